@@ -17,7 +17,7 @@ CREATE TABLE historical_events (
     description TEXT,
     start_date TIMESTAMPTZ NOT NULL,
     end_date TIMESTAMPTZ NOT NULL,
-    duration_minutes INTEGER GENERATED ALWAYS AS (
+    duration_minutes BIGINT GENERATED ALWAYS AS (
         EXTRACT(EPOCH FROM (end_date - start_date)) / 60
     ) STORED,
     parent_event_id UUID REFERENCES historical_events(event_id) ON DELETE CASCADE,
@@ -37,6 +37,123 @@ CREATE INDEX idx_historical_events_date_range ON historical_events(start_date, e
 -- Create GIN index for JSONB metadata field
 CREATE INDEX idx_historical_events_metadata ON historical_events USING GIN(metadata);
 
+-- Soft delete: set when the event (or an ancestor) was deleted, NULL for live events
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_historical_events_live ON historical_events(start_date) WHERE deleted_at IS NULL;
+
+-- Keyset pagination of the event listing: start date, then event ID
+CREATE INDEX IF NOT EXISTS idx_historical_events_live_keyset ON historical_events(start_date, event_id) WHERE deleted_at IS NULL;
+
+-- Date precision and uncertainty: start_date/end_date cover the stated dates at their precision
+-- ("1450" starts 1450-01-01), the bounds say how much earlier or later each end may really lie.
+-- A NULL bound equals start_date/end_date.
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS date_precision VARCHAR(10) NOT NULL DEFAULT 'minute';
+
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS earliest_start TIMESTAMPTZ;
+
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS latest_start TIMESTAMPTZ;
+
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS earliest_end TIMESTAMPTZ;
+
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS latest_end TIMESTAMPTZ;
+
+-- Whether end_date is the end of the period it was written as ("1450" stored as 1451-01-01) or, for events
+-- that stated no precision, its start. Rows from before the column existed are told apart by which side of
+-- its bounds the end date lies on: the end of a period sits at their late side, the start at their early side
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS end_period_closed BOOLEAN;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM historical_events WHERE end_period_closed IS NULL) THEN
+        ALTER TABLE historical_events DISABLE TRIGGER USER;
+        UPDATE historical_events
+        SET end_period_closed = end_date - COALESCE(earliest_end, end_date) > COALESCE(latest_end, end_date) - end_date
+        WHERE end_period_closed IS NULL;
+        ALTER TABLE historical_events ENABLE TRIGGER USER;
+    END IF;
+END $$;
+
+ALTER TABLE historical_events 
+ALTER COLUMN end_period_closed SET DEFAULT FALSE;
+
+ALTER TABLE historical_events 
+ALTER COLUMN end_period_closed SET NOT NULL;
+
+ALTER TABLE historical_events 
+DROP CONSTRAINT IF EXISTS chk_date_precision;
+
+ALTER TABLE historical_events 
+ADD CONSTRAINT chk_date_precision 
+CHECK (date_precision IN ('minute', 'day', 'month', 'year'));
+
+ALTER TABLE historical_events 
+DROP CONSTRAINT IF EXISTS chk_date_bounds;
+
+ALTER TABLE historical_events 
+ADD CONSTRAINT chk_date_bounds 
+CHECK (
+    (earliest_start IS NULL OR earliest_start <= start_date)
+    AND (latest_start IS NULL OR latest_start >= start_date)
+    AND (earliest_end IS NULL OR earliest_end <= end_date)
+    AND (latest_end IS NULL OR latest_end >= end_date)
+);
+
+-- Spans of more than about 4,000 years (e.g. BCE events) overflow INTEGER minutes.
+-- The column type cannot change under the view; it is recreated further down
+DROP VIEW IF EXISTS events_with_hierarchy;
+
+ALTER TABLE historical_events 
+ALTER COLUMN duration_minutes TYPE BIGINT;
+
+-- Full-text search document: name (weight A), description (B) and selected metadata fields (C).
+-- The text of the tags array is split into its words like any other text
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(event_name, '')), 'A')
+    || setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+    || setweight(to_tsvector('english',
+        COALESCE(metadata->>'tags', '') || ' ' || COALESCE(metadata->>'region', '') || ' '
+        || COALESCE(metadata->>'source', '') || ' ' || COALESCE(metadata->>'research_value', '')
+    ), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_historical_events_search ON historical_events USING GIN(search_vector);
+
+-- Metadata values as numbers and timestamps for search filters (ingested values are often text);
+-- NULL where a value does not read as one, so that it fails comparisons instead of the whole query
+CREATE OR REPLACE FUNCTION metadata_numeric(value TEXT)
+RETURNS NUMERIC AS $$
+BEGIN
+    RETURN value::NUMERIC;
+EXCEPTION WHEN data_exception THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION metadata_timestamptz(value TEXT)
+RETURNS TIMESTAMPTZ AS $$
+BEGIN
+    RETURN value::TIMESTAMPTZ;
+EXCEPTION WHEN data_exception THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Text with its HTML special characters written as entities, for search snippets that mark their matches in HTML
+CREATE OR REPLACE FUNCTION escape_html(value TEXT)
+RETURNS TEXT AS $$
+    SELECT replace(replace(replace(replace(replace(value,
+        '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;');
+$$ LANGUAGE sql IMMUTABLE;
+
 -- Create ingestion_jobs table to track file processing jobs
 CREATE TABLE ingestion_jobs (
     job_id VARCHAR(50) PRIMARY KEY,
@@ -52,9 +169,48 @@ CREATE TABLE ingestion_jobs (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Last committed position (hierarchy level, input line), used to resume after a restart
+ALTER TABLE ingestion_jobs 
+ADD COLUMN IF NOT EXISTS checkpoint_line INTEGER DEFAULT 0;
+
+ALTER TABLE ingestion_jobs 
+ADD COLUMN IF NOT EXISTS checkpoint_level INTEGER DEFAULT 0;
+
+-- How re-ingested event IDs are handled, and the resulting row counts
+ALTER TABLE ingestion_jobs 
+ADD COLUMN IF NOT EXISTS conflict_mode VARCHAR(10) DEFAULT 'error';
+
+ALTER TABLE ingestion_jobs 
+ADD COLUMN IF NOT EXISTS inserted_count INTEGER DEFAULT 0;
+
+ALTER TABLE ingestion_jobs 
+ADD COLUMN IF NOT EXISTS updated_count INTEGER DEFAULT 0;
+
+ALTER TABLE ingestion_jobs 
+ADD COLUMN IF NOT EXISTS skipped_count INTEGER DEFAULT 0;
+
+-- CSV column mapping the job was started with (NULL for positional/other formats)
+ALTER TABLE ingestion_jobs 
+ADD COLUMN IF NOT EXISTS column_mapping JSONB;
+
+-- Creation times are kept to the millisecond, as JavaScript dates hold them, so that listing cursors
+-- keyed on them match rows exactly
+ALTER TABLE ingestion_jobs 
+ALTER COLUMN created_at TYPE TIMESTAMPTZ(3);
+
+-- Saved CSV column mappings, one per partner export layout
+CREATE TABLE IF NOT EXISTS csv_mapping_profiles (
+    name VARCHAR(100) PRIMARY KEY,
+    description TEXT,
+    mapping JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Create index on job status for quick lookups
 CREATE INDEX idx_ingestion_jobs_status ON ingestion_jobs(status);
 CREATE INDEX idx_ingestion_jobs_created_at ON ingestion_jobs(created_at);
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_created_keyset ON ingestion_jobs(created_at, job_id);
 
 -- Add constraint to ensure end_date is after start_date
 ALTER TABLE historical_events 
@@ -62,9 +218,13 @@ ADD CONSTRAINT chk_date_order
 CHECK (end_date > start_date);
 
 -- Add constraint to ensure status values are valid
+-- (dropped first so existing databases pick up the CANCELLED status)
+ALTER TABLE ingestion_jobs 
+DROP CONSTRAINT IF EXISTS chk_job_status;
+
 ALTER TABLE ingestion_jobs 
 ADD CONSTRAINT chk_job_status 
-CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'));
+CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED'));
 
 -- Function to update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -84,42 +244,244 @@ CREATE TRIGGER update_ingestion_jobs_updated_at
     BEFORE UPDATE ON ingestion_jobs 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Create a view for events with their hierarchy depth
+CREATE TRIGGER update_csv_mapping_profiles_updated_at 
+    BEFORE UPDATE ON csv_mapping_profiles 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Revision history: one row per create, update, delete or restore of an event (including cascaded deletes)
+-- No foreign key to historical_events, so the history outlives a deleted event
+CREATE TABLE IF NOT EXISTS event_revisions (
+    revision_id BIGSERIAL PRIMARY KEY,
+    event_id UUID NOT NULL,
+    revision INTEGER NOT NULL,
+    operation VARCHAR(10) NOT NULL,
+    before_snapshot JSONB,
+    after_snapshot JSONB,
+    changed_fields TEXT[],
+    actor VARCHAR(255) NOT NULL DEFAULT 'system',
+    note TEXT,
+    cascaded BOOLEAN NOT NULL DEFAULT FALSE,
+    changed_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT uq_event_revision UNIQUE (event_id, revision)
+);
+
+-- (dropped first so existing databases pick up the restore operation)
+ALTER TABLE event_revisions 
+DROP CONSTRAINT IF EXISTS chk_revision_operation;
+
+ALTER TABLE event_revisions 
+ADD CONSTRAINT chk_revision_operation 
+CHECK (operation IN ('create', 'update', 'delete', 'restore'));
+
+CREATE INDEX IF NOT EXISTS idx_event_revisions_changed_at ON event_revisions(changed_at);
+
+-- Record a revision for every row change; the actor and note come from the
+-- transaction-local settings app.actor and app.change_note (see utils/audit.js)
+CREATE OR REPLACE FUNCTION record_event_revision()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB;
+    new_row JSONB;
+    target_id UUID;
+    changed TEXT[];
+    revision_operation TEXT;
+    is_cascaded BOOLEAN := FALSE;
+BEGIN
+    -- Generated and maintained columns follow from the fields a change sets, so snapshots leave them out
+    IF TG_OP <> 'INSERT' THEN
+        old_row := to_jsonb(OLD) - ARRAY['search_vector', 'hierarchy_path', 'hierarchy_depth'];
+        target_id := OLD.event_id;
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        new_row := to_jsonb(NEW) - ARRAY['search_vector', 'hierarchy_path', 'hierarchy_depth'];
+        target_id := NEW.event_id;
+    END IF;
+
+    IF TG_OP = 'UPDATE' THEN
+        SELECT array_agg(n.key ORDER BY n.key) INTO changed
+        FROM jsonb_each(new_row) n
+        WHERE n.key NOT IN ('updated_at', 'duration_minutes')
+          AND n.value IS DISTINCT FROM old_row -> n.key;
+
+        -- Updates that rewrite identical values are not worth a revision
+        IF changed IS NULL THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    revision_operation := CASE TG_OP WHEN 'INSERT' THEN 'create' WHEN 'UPDATE' THEN 'update' ELSE 'delete' END;
+
+    -- Setting or clearing deleted_at is a soft delete or a restore
+    IF TG_OP = 'UPDATE' AND OLD.deleted_at IS DISTINCT FROM NEW.deleted_at THEN
+        revision_operation := CASE WHEN NEW.deleted_at IS NULL THEN 'restore' ELSE 'delete' END;
+    END IF;
+
+    -- A deleted row whose parent is already gone was removed by ON DELETE CASCADE;
+    -- a soft-deleted row whose parent was deleted at the same moment went with its ancestor
+    IF revision_operation = 'delete' AND OLD.parent_event_id IS NOT NULL THEN
+        IF TG_OP = 'DELETE' THEN
+            is_cascaded := NOT EXISTS (SELECT 1 FROM historical_events WHERE event_id = OLD.parent_event_id);
+        ELSE
+            is_cascaded := EXISTS (
+                SELECT 1 FROM historical_events
+                WHERE event_id = OLD.parent_event_id AND deleted_at = NEW.deleted_at
+            );
+        END IF;
+    END IF;
+
+    INSERT INTO event_revisions (
+        event_id, revision, operation, before_snapshot, after_snapshot, changed_fields, actor, note, cascaded
+    ) VALUES (
+        target_id,
+        COALESCE((SELECT MAX(revision) FROM event_revisions WHERE event_id = target_id), 0) + 1,
+        revision_operation,
+        old_row,
+        new_row,
+        changed,
+        COALESCE(NULLIF(current_setting('app.actor', true), ''), 'system'),
+        NULLIF(current_setting('app.change_note', true), ''),
+        is_cascaded
+    );
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_historical_events_revision 
+    AFTER INSERT OR UPDATE OR DELETE ON historical_events 
+    FOR EACH ROW EXECUTE FUNCTION record_event_revision();
+
+-- Materialized hierarchy: the IDs from the root down to the event itself, and the event's depth
+-- (0 for roots). Subtrees are found with hierarchy_path @> ARRAY[id] through the GIN index, ancestors
+-- are read off the path. Kept up to date by the triggers below on every insert and parent change
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS hierarchy_path UUID[];
+
+ALTER TABLE historical_events 
+ADD COLUMN IF NOT EXISTS hierarchy_depth INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_historical_events_hierarchy_path ON historical_events USING GIN(hierarchy_path);
+CREATE INDEX IF NOT EXISTS idx_historical_events_hierarchy_depth ON historical_events(hierarchy_depth);
+
+-- Set the path of an inserted or reparented event from its parent's. Parents are written before their
+-- children (ingestion stages rows by level), so the parent's path is in place. The parent row is locked
+-- so that a concurrent move of the parent waits for this write, then carries the path down to the event.
+-- A parent without a path (in a parent cycle, see the backfill below) leaves the event without one too
+CREATE OR REPLACE FUNCTION set_event_hierarchy_path()
+RETURNS TRIGGER AS $$
+DECLARE
+    parent_path UUID[];
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.parent_event_id IS NOT DISTINCT FROM OLD.parent_event_id THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.parent_event_id IS NULL THEN
+        NEW.hierarchy_path := ARRAY[NEW.event_id];
+    ELSE
+        SELECT hierarchy_path INTO parent_path FROM historical_events WHERE event_id = NEW.parent_event_id FOR SHARE;
+        IF NEW.event_id = ANY(parent_path) THEN
+            RAISE EXCEPTION 'Event % cannot be placed under its own descendant %', NEW.event_id, NEW.parent_event_id
+                USING ERRCODE = 'check_violation';
+        END IF;
+        IF parent_path IS NULL THEN
+            NEW.hierarchy_path := NULL;
+        ELSE
+            NEW.hierarchy_path := parent_path || NEW.event_id;
+        END IF;
+    END IF;
+    NEW.hierarchy_depth := cardinality(NEW.hierarchy_path) - 1;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Carry a reparented event's new path (or the lack of one) down to its descendants. Descendants of an
+-- event that had no path have none either, so they are found through their parent links instead
+CREATE OR REPLACE FUNCTION update_descendant_hierarchy_paths()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.hierarchy_path IS NOT NULL THEN
+        UPDATE historical_events 
+        SET hierarchy_path = CASE WHEN NEW.hierarchy_path IS NOT NULL
+                THEN NEW.hierarchy_path || hierarchy_path[array_position(hierarchy_path, NEW.event_id) + 1:]
+            END,
+            hierarchy_depth = cardinality(NEW.hierarchy_path) + cardinality(hierarchy_path) - array_position(hierarchy_path, NEW.event_id) - 1
+        WHERE hierarchy_path @> ARRAY[NEW.event_id] AND event_id <> NEW.event_id;
+    ELSIF NEW.hierarchy_path IS NOT NULL THEN
+        WITH RECURSIVE tree AS (
+            SELECT he.event_id, NEW.hierarchy_path || he.event_id AS path
+            FROM historical_events he
+            WHERE he.parent_event_id = NEW.event_id
+            
+            UNION ALL
+            
+            SELECT he.event_id, t.path || he.event_id
+            FROM historical_events he
+            JOIN tree t ON he.parent_event_id = t.event_id
+            WHERE NOT he.event_id = ANY(t.path)
+        )
+        UPDATE historical_events he 
+        SET hierarchy_path = t.path, hierarchy_depth = cardinality(t.path) - 1
+        FROM tree t
+        WHERE he.event_id = t.event_id;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_historical_events_hierarchy_path 
+    BEFORE INSERT OR UPDATE OF parent_event_id ON historical_events 
+    FOR EACH ROW EXECUTE FUNCTION set_event_hierarchy_path();
+
+CREATE TRIGGER update_historical_events_descendant_paths 
+    AFTER UPDATE OF parent_event_id ON historical_events 
+    FOR EACH ROW 
+    WHEN (OLD.parent_event_id IS DISTINCT FROM NEW.parent_event_id) 
+    EXECUTE FUNCTION update_descendant_hierarchy_paths();
+
+-- Fill in the paths of events stored before the columns existed (rows in a parent cycle keep none).
+-- Triggers are held off so that updated_at and the revision history stay as they were
+DO $$
+BEGIN
+    ALTER TABLE historical_events DISABLE TRIGGER USER;
+
+    WITH RECURSIVE tree AS (
+        SELECT event_id, ARRAY[event_id] AS path
+        FROM historical_events 
+        WHERE parent_event_id IS NULL
+        
+        UNION ALL
+        
+        SELECT he.event_id, t.path || he.event_id
+        FROM historical_events he
+        JOIN tree t ON he.parent_event_id = t.event_id
+    )
+    UPDATE historical_events he 
+    SET hierarchy_path = t.path, hierarchy_depth = cardinality(t.path) - 1
+    FROM tree t
+    WHERE he.event_id = t.event_id AND he.hierarchy_path IS DISTINCT FROM t.path;
+
+    ALTER TABLE historical_events ENABLE TRIGGER USER;
+END;
+$$;
+
+-- Create a view for events with their hierarchy depth (soft-deleted events left out)
 CREATE OR REPLACE VIEW events_with_hierarchy AS
-WITH RECURSIVE event_hierarchy AS (
-    -- Base case: root events (no parent)
-    SELECT 
-        event_id,
-        event_name,
-        description,
-        start_date,
-        end_date,
-        duration_minutes,
-        parent_event_id,
-        metadata,
-        0 as depth,
-        ARRAY[event_id] as path
-    FROM historical_events 
-    WHERE parent_event_id IS NULL
-    
-    UNION ALL
-    
-    -- Recursive case: child events
-    SELECT 
-        he.event_id,
-        he.event_name,
-        he.description,
-        he.start_date,
-        he.end_date,
-        he.duration_minutes,
-        he.parent_event_id,
-        he.metadata,
-        eh.depth + 1,
-        eh.path || he.event_id
-    FROM historical_events he
-    JOIN event_hierarchy eh ON he.parent_event_id = eh.event_id
-)
-SELECT * FROM event_hierarchy;
+SELECT 
+    event_id,
+    event_name,
+    description,
+    start_date,
+    end_date,
+    duration_minutes,
+    parent_event_id,
+    metadata,
+    hierarchy_depth AS depth,
+    hierarchy_path AS path
+FROM historical_events 
+WHERE deleted_at IS NULL AND hierarchy_path IS NOT NULL;
 
 -- Sample data for testing (optional)
 -- INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, parent_event_id) VALUES
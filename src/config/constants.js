@@ -3,6 +3,8 @@
  * Centralized configuration and error messages
  */
 
+const path = require('path');
+
 // Job Status Constants
 const JOB_STATUS = {
   PENDING: 'PENDING',
@@ -16,6 +18,9 @@ const JOB_STATUS = {
 const ERROR_MESSAGES = {
   FILE_NOT_ACCESSIBLE: 'File not accessible',
   JOB_NOT_FOUND: 'Job not found',
+  JOB_NOT_CANCELLABLE: 'Only pending or processing jobs can be cancelled',
+  JOB_NOT_RETRYABLE: 'Only failed or cancelled jobs can be retried',
+  JOB_STILL_RUNNING: 'The job is still running; retry it once it has stopped',
   INVALID_UUID: 'Invalid UUID format',
   INVALID_DATE: 'Invalid date format',
   MISSING_REQUIRED_FIELDS: 'Missing required fields',
@@ -23,7 +28,24 @@ const ERROR_MESSAGES = {
   EVENT_NOT_FOUND: 'Event not found',
   VALIDATION_FAILED: 'Validation failed',
   DATABASE_ERROR: 'Database operation failed',
-  DUPLICATE_ENTRY: 'Duplicate entry detected'
+  DUPLICATE_ENTRY: 'Duplicate entry detected',
+  JOB_INTERRUPTED: 'Job interrupted by a server restart',
+  MAPPING_PROFILE_NOT_FOUND: 'Mapping profile not found',
+  MAPPING_REQUIRES_CSV: 'Column mappings can only be applied to CSV files',
+  EVENT_ALREADY_EXISTS: 'Event already exists',
+  BULK_ROLLED_BACK: 'No changes were applied',
+  REVISION_NOT_FOUND: 'Revision not found',
+  REVISION_DELETED_EVENT: 'This revision deleted the event; revert to an earlier revision instead',
+  EVENT_ALREADY_DELETED: 'Event is already deleted',
+  EVENT_NOT_DELETED: 'Event is not deleted',
+  PARENT_EVENT_DELETED: 'Parent event is deleted; restore it first',
+  PARENT_CYCLE: 'An event cannot be moved under itself or one of its descendants',
+  OUTSIDE_PARENT_RANGE: 'Event date range must lie within the date range of its parent',
+  RULE_VIOLATION: 'Temporal integrity rule violated',
+  INVALID_DATE_PRECISION: 'Invalid date precision',
+  DATE_BOUNDS_OUTSIDE: 'Date bounds must surround the stated date',
+  DATE_OUT_OF_RANGE: 'Date is outside the supported range (4713 BCE to 294275 CE)',
+  INVALID_CALENDAR: 'Unsupported calendar'
 };
 
 // Validation Constants
@@ -36,12 +58,135 @@ const VALIDATION = {
   DEFAULT_BATCH_SIZE: 100
 };
 
+// Date precision and uncertainty (see utils/historicalDate)
+const DATES = {
+  // Finest to coarsest
+  PRECISIONS: ['minute', 'day', 'month', 'year'],
+  // How far "circa" widens a date's bounds on each side, by precision
+  CIRCA_MARGINS: {
+    minute: { days: 1 },
+    day: { days: 7 },
+    month: { months: 3 },
+    year: { years: 5 }
+  },
+  // Date fields of an event besides start_date and end_date
+  BOUND_FIELDS: ['earliest_start', 'latest_start', 'earliest_end', 'latest_end'],
+  // Astronomical years PostgreSQL timestamps can hold in full (4713 BCE to 294275 CE). A hard limit of
+  // TIMESTAMPTZ storage, documented as the supported range in the README: dates outside it are rejected
+  MIN_YEAR: -4712,
+  MAX_YEAR: 294275,
+  // Calendars dates may be written in; all are stored as proleptic Gregorian
+  CALENDARS: ['gregorian', 'julian', 'hijri', 'hebrew'],
+  DEFAULT_CALENDAR: 'gregorian',
+  // Metadata key keeping dates as written in a calendar other than the default
+  ORIGINAL_DATES_KEY: 'original_dates'
+};
+
 // File Processing Constants
 const FILE_PROCESSING = {
   EXPECTED_FIELDS_COUNT: 6,
   MAX_SAMPLE_LINES: 10,
+  MAX_REPORTED_ISSUES: 1000, // Per category in dry-run validation reports
   CHUNK_SIZE: 1024 * 1024, // 1MB
-  MAX_FILE_SIZE: 100 * 1024 * 1024 // 100MB
+  MAX_FILE_SIZE: 100 * 1024 * 1024, // 100MB
+  UPLOAD_DIR: process.env.UPLOAD_DIR || path.join(__dirname, '../../temp-uploads'),
+  UPLOAD_FIELD_NAME: 'file',
+  // Staged events are written to their spool file (see utils/eventSpool) in chunks of this size
+  SPOOL_WRITE_BYTES: 64 * 1024,
+  // Finished jobs are deleted after this many days
+  JOB_RETENTION_DAYS: parseInt(process.env.INGESTION_JOB_RETENTION_DAYS) || 30,
+  // Uploads kept for retrying a failed or cancelled job are deleted this many hours after it ended
+  UPLOAD_RETENTION_HOURS: parseInt(process.env.INGESTION_UPLOAD_RETENTION_HOURS) || 24,
+  // How often expired jobs and uploads are looked for
+  EXPIRY_INTERVAL_MS: 60 * 60 * 1000,
+  ALLOWED_EXTENSIONS: ['.txt', '.csv', '.json', '.ndjson', '.jsonl']
+};
+
+// Conflict handling for re-ingested event IDs
+const CONFLICT_MODES = {
+  SKIP: 'skip',
+  UPDATE: 'update',
+  ERROR: 'error'
+};
+
+// CSV column mapping: event fields a header column can be mapped to
+const COLUMN_MAPPING = {
+  EVENT_FIELDS: [
+    'event_id', 'event_name', 'description', 'start_date', 'end_date', 'parent_event_id',
+    'date_precision', 'earliest_start', 'latest_start', 'earliest_end', 'latest_end', 'calendar'
+  ],
+  REQUIRED_FIELDS: ['event_id', 'event_name', 'start_date', 'end_date'],
+  DEFAULT_DELIMITER: ','
+};
+
+// Bulk event operations (POST /api/events/bulk)
+// 'atomic' applies all operations or none, 'partial' commits every operation that succeeds
+const BULK_OPERATIONS = {
+  MAX_OPERATIONS: parseInt(process.env.BULK_MAX_OPERATIONS) || 500,
+  MODES: {
+    ATOMIC: 'atomic',
+    PARTIAL: 'partial'
+  },
+  TYPES: {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+  }
+};
+
+// Event hierarchy
+const HIERARCHY = {
+  // Reasons an event cannot be placed under a new parent
+  PARENT_PROBLEMS: {
+    PARENT_NOT_FOUND: 'parent_not_found',
+    CYCLE: 'cycle',
+    OUTSIDE_PARENT_RANGE: 'outside_parent_range',
+    RULE_VIOLATION: 'rule_violation'
+  },
+  // Page size of sibling and descendant listings
+  DEFAULT_LIST_LIMIT: 100,
+  MAX_LIST_LIMIT: 1000
+};
+
+// Temporal integrity rules between parents and children (see src/rules)
+// Severity per rule: error rejects the event, warning accepts it and reports the problem, off skips the rule
+const TEMPORAL_RULES = {
+  SEVERITIES: {
+    ERROR: 'error',
+    WARNING: 'warning',
+    OFF: 'off'
+  },
+  SEVERITY: {
+    parent_containment: process.env.RULE_PARENT_CONTAINMENT || 'warning',
+    max_duration: process.env.RULE_MAX_DURATION || 'off',
+    sibling_overlap: process.env.RULE_SIBLING_OVERLAP || 'off',
+    required_metadata: process.env.RULE_REQUIRED_METADATA || 'off'
+  },
+  MAX_DURATION_MINUTES: parseInt(process.env.RULE_MAX_DURATION_MINUTES) || 525600, // one year
+  REQUIRED_METADATA_KEYS: (process.env.RULE_REQUIRED_METADATA_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+};
+
+// Audit trail: who made a change is taken from a request header
+const AUDIT = {
+  ACTOR_HEADER: 'X-Actor',
+  ANONYMOUS_ACTOR: 'anonymous',
+  SYSTEM_ACTOR: 'system',
+  MAX_ACTOR_LENGTH: 255,
+  // Snapshot fields restored by a revert (generated and bookkeeping columns are left alone)
+  REVERTIBLE_FIELDS: [
+    'event_name', 'description', 'start_date', 'end_date', 'parent_event_id', 'metadata',
+    'date_precision', 'earliest_start', 'latest_start', 'earliest_end', 'latest_end', 'end_period_closed'
+  ]
+};
+
+// Ingestion Recovery Constants
+// 'resume' continues orphaned jobs from their checkpoint on startup, 'fail' marks them FAILED
+const INGESTION_RECOVERY = {
+  MODE: process.env.INGESTION_RECOVERY_MODE || 'resume',
+  MODES: ['resume', 'fail']
 };
 
 // API Constants
@@ -49,7 +194,89 @@ const API = {
   DEFAULT_PAGE_SIZE: 10,
   MAX_PAGE_SIZE: 100,
   DEFAULT_SORT_ORDER: 'asc',
-  DEFAULT_SORT_BY: 'start_date'
+  DEFAULT_SORT_BY: 'start_date',
+  // Sorts full-text search results by rank; the default (descending) whenever q is given
+  RELEVANCE_SORT: 'relevance'
+};
+
+// Keyset pagination (see utils/cursor): cursors read on after the last row of a page or back before the first
+const PAGINATION = {
+  DIRECTIONS: {
+    NEXT: 'next',
+    PREV: 'prev'
+  },
+  MAX_CURSOR_LENGTH: 2048
+};
+
+// Timeline retrieval (GET /api/timeline/:rootEventId): event fields a response can be narrowed to with
+// fields=...; event_id, children and the hasMoreChildren/nextChildrenCursor markers are always included
+const TIMELINE = {
+  FIELDS: [
+    'event_name', 'description', 'start_date', 'end_date', 'duration_minutes', 'parent_event_id', 'metadata',
+    'date_precision', 'earliest_start', 'latest_start', 'earliest_end', 'latest_end', 'end_period_closed', 'level'
+  ],
+  MAX_CHILD_LIMIT: 1000
+};
+
+// Exports (see src/exporters): rows are read from the database this many at a time
+const EXPORT = {
+  BATCH_SIZE: parseInt(process.env.EXPORT_BATCH_SIZE) || 500,
+  DEFAULT_FORMAT: 'ndjson',
+  // Identifies this service in iCalendar files
+  ICAL_PRODUCT_ID: '-//Chronologicon Engine//Timeline Export//EN'
+};
+
+// Where event metadata may hold a location (see utils/geometry): a GeoJSON geometry object,
+// a [longitude, latitude] pair, or separate latitude and longitude values
+const GEO = {
+  GEOMETRY_KEY: 'geometry',
+  COORDINATES_KEY: 'coordinates',
+  LATITUDE_KEYS: ['latitude', 'lat'],
+  LONGITUDE_KEYS: ['longitude', 'lon', 'lng'],
+  GEOMETRY_TYPES: ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon']
+};
+
+// Metadata paths event search may filter on (metadata.<path>=...), with the type their values are read as.
+// Nested paths are dotted ("source.archive"); override with SEARCH_METADATA_FIELDS="path:type,..."
+const METADATA_FILTERS = {
+  TYPES: {
+    TEXT: 'text',
+    ARRAY: 'array',
+    NUMBER: 'number',
+    DATE: 'date'
+  },
+  // Operators each type accepts; eq is used when a parameter names none
+  OPERATORS: {
+    text: ['eq', 'exists'],
+    array: ['eq', 'exists'],
+    number: ['eq', 'exists', 'gt', 'gte', 'lt', 'lte'],
+    date: ['eq', 'exists', 'gt', 'gte', 'lt', 'lte']
+  },
+  MAX_FILTERS: 20,
+  FIELDS: Object.fromEntries(
+    (process.env.SEARCH_METADATA_FIELDS || 'region:text,source:text,archive:text,tags:array,research_value:number')
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([path, type]) => path && type)
+  )
+};
+
+// Boolean filter trees for POST /api/events/query (see utils/filterTree): the operators of each field.
+// metadata.<path> fields take the operators of their METADATA_FILTERS type
+const QUERY_LANGUAGE = {
+  FIELDS: {
+    name: ['eq', 'contains', 'starts_with'],
+    description: ['contains', 'exists'],
+    start_date: ['eq', 'gt', 'gte', 'lt', 'lte'],
+    end_date: ['eq', 'gt', 'gte', 'lt', 'lte'],
+    duration: ['eq', 'gt', 'gte', 'lt', 'lte'],
+    parent: ['eq', 'in', 'exists'],
+    depth: ['eq', 'gt', 'gte', 'lt', 'lte']
+  },
+  MAX_DEPTH: 8,
+  MAX_NODES: 100,
+  MAX_LIST_VALUES: 100,
+  MAX_TEXT_LENGTH: 255
 };
 
 // Database Constants
@@ -63,7 +290,21 @@ module.exports = {
   JOB_STATUS,
   ERROR_MESSAGES,
   VALIDATION,
+  DATES,
   FILE_PROCESSING,
+  CONFLICT_MODES,
+  COLUMN_MAPPING,
+  BULK_OPERATIONS,
+  HIERARCHY,
+  TEMPORAL_RULES,
+  AUDIT,
+  METADATA_FILTERS,
+  QUERY_LANGUAGE,
+  INGESTION_RECOVERY,
   API,
+  PAGINATION,
+  TIMELINE,
+  EXPORT,
+  GEO,
   DATABASE
 };
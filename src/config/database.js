@@ -1,6 +1,13 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
+// BIGINT columns (duration_minutes, counts) arrive as strings by default; minute counts for any
+// storable date range stay well within Number.MAX_SAFE_INTEGER
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+// search_vector only serves full-text matching; leaving it undefined keeps it out of JSON responses
+types.setTypeParser(types.builtins.TSVECTOR, () => undefined);
+
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
   port: process.env.DB_PORT || 5432,
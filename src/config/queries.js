@@ -7,55 +7,221 @@ const { JOB_STATUS } = require('./constants');
 
 const QUERIES = {
   // ===== EVENT REPOSITORY QUERIES =====
+  // Soft-deleted events (deleted_at set) are left out of every read unless stated otherwise
   EVENT: {
-    FIND_BY_ID: 'SELECT * FROM historical_events WHERE event_id = $1',
+    FIND_BY_ID: 'SELECT * FROM historical_events WHERE event_id = $1 AND deleted_at IS NULL',
     
+    FIND_BY_ID_INCLUDING_DELETED: 'SELECT * FROM historical_events WHERE event_id = $1',
+    
+    // Pages are ordered by event_id within equal sort values, so that keyset cursors have a unique key
     FIND_ALL: `
       SELECT * FROM historical_events 
-      ORDER BY start_date ASC 
-      LIMIT $1 OFFSET $2
+      WHERE deleted_at IS NULL {KEYSET_CONDITION}
+      ORDER BY start_date {SORT_ORDER}, event_id {SORT_ORDER}
+      LIMIT ${'{LIMIT_PARAM}'} OFFSET ${'{OFFSET_PARAM}'}
     `,
     
     SEARCH: `
       SELECT * FROM historical_events 
       {WHERE_CLAUSE}
-      ORDER BY {SORT_BY} {SORT_ORDER}
+      ORDER BY {SORT_BY} {SORT_ORDER}, event_id {SORT_ORDER}
       LIMIT ${'{LIMIT_PARAM}'} OFFSET ${'{OFFSET_PARAM}'}
     `,
     
+    // Full-text search: SEARCH plus a relevance score and a snippet with the matches in <mark> tags.
+    // The snippet is HTML: the name and description are escaped first, so that the marks are its only tags
+    TEXT_SEARCH: `
+      SELECT 
+        historical_events.*,
+        ts_rank(search_vector, websearch_to_tsquery('english', {QUERY_PARAM})) AS relevance,
+        ts_headline(
+          'english',
+          escape_html(event_name || COALESCE(': ' || description, '')),
+          websearch_to_tsquery('english', {QUERY_PARAM}),
+          'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "'
+        ) AS snippet
+      FROM historical_events 
+      {WHERE_CLAUSE}
+      ORDER BY {SORT_BY} {SORT_ORDER}, event_id {SORT_ORDER}
+      LIMIT ${'{LIMIT_PARAM}'} OFFSET ${'{OFFSET_PARAM}'}
+    `,
+    
+    // Every match of a search in its sort order, for exports (read through utils/queryStream)
+    EXPORT: `
+      SELECT * FROM historical_events 
+      {WHERE_CLAUSE}
+      ORDER BY {SORT_BY} {SORT_ORDER}, event_id {SORT_ORDER}
+    `,
+    
+    // An event and its live descendants with every column, parents before their children
+    EXPORT_SUBTREE: `
+      SELECT he.*, he.hierarchy_depth - root.hierarchy_depth AS depth
+      FROM historical_events root
+      JOIN historical_events he ON he.hierarchy_path @> ARRAY[$1::uuid]
+      WHERE root.event_id = $1 AND root.deleted_at IS NULL AND he.deleted_at IS NULL
+      ORDER BY depth, he.start_date, he.event_id
+    `,
+    
+    // TEXT_SEARCH's relevance, for conditions (the alias only exists in ORDER BY)
+    RELEVANCE: "ts_rank(search_vector, websearch_to_tsquery('english', {QUERY_PARAM}))",
+    
     COUNT: 'SELECT COUNT(*) FROM historical_events {WHERE_CLAUSE}',
     
-    GET_TIMELINE_HIERARCHY: `
+    // Filter tree condition on an event's depth in the hierarchy (roots are at depth 0)
+    DEPTH_CONDITION: 'hierarchy_depth {OPERATOR} {VALUE_PARAM}',
+    
+    // A root event and its live descendants, children in sibling order ({SORT_BY} is a column of he).
+    // {CHILD_CONDITIONS} narrows the children read under each event (window, and a keyset cursor for the
+    // root's children), {CHILD_LIMIT} caps how many are read, and {EXPAND_CONDITIONS} stops the descent
+    // (depth limit, and the one extra child read per parent to tell whether there are more).
+    // has_children tells whether an event left unexpanded at {MAX_LEVEL} has children of its own.
+    // Unlike other subtree queries this walks down from the root (through the parent index) rather than
+    // reading hierarchy_path: the limits and the window decide per parent which branches go on
+    GET_TIMELINE: `
       WITH RECURSIVE event_tree AS (
         SELECT 
-          event_id, event_name, description, start_date, end_date, 
-          duration_minutes, parent_event_id, metadata, 0 as level
+          event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id,
+          metadata, date_precision, earliest_start, latest_start, earliest_end, latest_end, end_period_closed,
+          0 AS level, 1::bigint AS sibling_rank
         FROM historical_events 
-        WHERE event_id = $1
+        WHERE event_id = $1 AND deleted_at IS NULL
         
         UNION ALL
         
-        SELECT 
-          he.event_id, he.event_name, he.description, he.start_date, he.end_date,
-          he.duration_minutes, he.parent_event_id, he.metadata, et.level + 1
-        FROM historical_events he
-        JOIN event_tree et ON he.parent_event_id = et.event_id
+        SELECT child.*
+        FROM event_tree et
+        CROSS JOIN LATERAL (
+          SELECT 
+            he.event_id, he.event_name, he.description, he.start_date, he.end_date, he.duration_minutes,
+            he.parent_event_id, he.metadata, he.date_precision, he.earliest_start, he.latest_start,
+            he.earliest_end, he.latest_end, he.end_period_closed, et.level + 1 AS level,
+            ROW_NUMBER() OVER (ORDER BY he.{SORT_BY} {SORT_ORDER}, he.event_id {SORT_ORDER}) AS sibling_rank
+          FROM historical_events he
+          WHERE he.parent_event_id = et.event_id AND he.deleted_at IS NULL {CHILD_CONDITIONS}
+          ORDER BY he.{SORT_BY} {SORT_ORDER}, he.event_id {SORT_ORDER}
+          {CHILD_LIMIT}
+        ) child
+        WHERE 1=1 {EXPAND_CONDITIONS}
       )
-      SELECT * FROM event_tree ORDER BY level, start_date
+      SELECT et.*, (et.level = {MAX_LEVEL} AND EXISTS (
+        SELECT 1 FROM historical_events he
+        WHERE he.parent_event_id = et.event_id AND he.deleted_at IS NULL {WINDOW_CONDITIONS}
+      )) AS has_children
+      FROM event_tree et
+      ORDER BY et.level, et.sibling_rank
+    `,
+    
+    // Timeline date window: events whose possible range (widened by any uncertainty bounds) reaches into it
+    WINDOW_START_CONDITION: 'COALESCE(he.latest_end, he.end_date) >= {PARAM}',
+    WINDOW_END_CONDITION: 'COALESCE(he.earliest_start, he.start_date) <= {PARAM}',
+    
+    // Descendants of an event, nearest first; $2 = true also lists soft-deleted ones
+    // (a permanent delete cascades to those as well)
+    FIND_DESCENDANTS: `
+      SELECT he.*, he.hierarchy_depth - root.hierarchy_depth AS depth
+      FROM historical_events root
+      JOIN historical_events he ON he.hierarchy_path @> ARRAY[$1::uuid]
+      WHERE root.event_id = $1 AND he.event_id <> $1 AND ($2 OR he.deleted_at IS NULL)
+      ORDER BY depth, he.start_date
+    `,
+    
+    FIND_LIVE_BY_IDS: 'SELECT * FROM historical_events WHERE event_id = ANY($1::uuid[]) AND deleted_at IS NULL',
+    
+    // Live siblings overlapping each candidate event ($1..$4 are parallel arrays of
+    // event_id, parent_event_id, start_date, end_date); stored rows of the candidates themselves are skipped
+    FIND_OVERLAPPING_SIBLINGS: `
+      SELECT c.event_id AS candidate_id, he.event_id, he.event_name, he.start_date, he.end_date
+      FROM unnest($1::uuid[], $2::uuid[], $3::timestamptz[], $4::timestamptz[]) 
+        AS c(event_id, parent_event_id, start_date, end_date)
+      JOIN historical_events he 
+        ON he.parent_event_id = c.parent_event_id
+        AND he.event_id <> ALL($1::uuid[])
+        AND he.deleted_at IS NULL
+        AND he.start_date < c.end_date
+        AND c.start_date < he.end_date
+      ORDER BY he.start_date
+    `,
+    
+    FIND_CHILDREN_OUTSIDE_RANGE: `
+      SELECT event_id, event_name, start_date, end_date
+      FROM historical_events 
+      WHERE parent_event_id = $1 AND deleted_at IS NULL
+        AND (start_date < $2 OR end_date > $3)
+      ORDER BY start_date
+    `,
+    
+    // Is $1 the event $2 itself or one of its ancestors?
+    IS_SELF_OR_ANCESTOR: `
+      SELECT EXISTS (
+        SELECT 1 FROM historical_events WHERE event_id = $2 AND $1 = ANY(hierarchy_path)
+      ) AS found
+    `,
+    
+    // Live ancestors of $1, root first; level is the depth below the root
+    FIND_ANCESTORS: `
+      SELECT he.*, he.hierarchy_depth AS level
+      FROM historical_events e
+      JOIN historical_events he ON he.event_id = ANY(e.hierarchy_path)
+      WHERE e.event_id = $1 AND he.event_id <> $1 AND he.deleted_at IS NULL
+      ORDER BY he.hierarchy_depth
+    `,
+    
+    // Live events sharing the parent of $1 ({PARENT_CONDITION}), by start date
+    FIND_SIBLINGS: `
+      SELECT * FROM historical_events 
+      WHERE {PARENT_CONDITION} AND event_id <> $1 AND deleted_at IS NULL
+      ORDER BY start_date, event_id
+      LIMIT {LIMIT_PARAM} OFFSET {OFFSET_PARAM}
+    `,
+    
+    // Live descendants of $1 down to $2 levels (all when null), nearest first, $3 at a time from $4
+    FIND_DESCENDANTS_PAGE: `
+      SELECT he.*, he.hierarchy_depth - root.hierarchy_depth AS depth
+      FROM historical_events root
+      JOIN historical_events he ON he.hierarchy_path @> ARRAY[$1::uuid]
+      WHERE root.event_id = $1 AND he.event_id <> $1 AND he.deleted_at IS NULL
+        AND ($2::int IS NULL OR he.hierarchy_depth <= root.hierarchy_depth + $2)
+      ORDER BY depth, he.start_date, he.event_id
+      LIMIT $3 OFFSET $4
+    `,
+    
+    // Serializes parent changes so two concurrent moves cannot close a cycle together
+    LOCK_HIERARCHY: "SELECT pg_advisory_xact_lock(hashtext('historical_events.parent_event_id'))",
+    
+    // Soft delete an event with its live descendants; they share one deleted_at (NOW() is fixed per transaction)
+    SOFT_DELETE_SUBTREE: `
+      UPDATE historical_events 
+      SET deleted_at = NOW() 
+      WHERE hierarchy_path @> ARRAY[$1::uuid] AND deleted_at IS NULL
+        AND EXISTS (SELECT 1 FROM historical_events WHERE event_id = $1 AND deleted_at IS NULL)
+      RETURNING *
+    `,
+    
+    // Restore a soft-deleted event and the descendants deleted together with it
+    RESTORE_SUBTREE: `
+      UPDATE historical_events he
+      SET deleted_at = NULL 
+      FROM historical_events root
+      WHERE root.event_id = $1 AND root.deleted_at IS NOT NULL
+        AND he.hierarchy_path @> ARRAY[$1::uuid] AND he.deleted_at = root.deleted_at
+      RETURNING he.*
     `,
     
     CREATE: `
       INSERT INTO historical_events (
-        event_id, event_name, description, start_date, end_date, parent_event_id, metadata
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        event_id, event_name, description, start_date, end_date, parent_event_id, metadata,
+        date_precision, earliest_start, latest_start, earliest_end, latest_end, end_period_closed
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `,
     
     BATCH_INSERT: `
       INSERT INTO historical_events (
-        event_id, event_name, description, start_date, end_date, parent_event_id, metadata
+        event_id, event_name, description, start_date, end_date, parent_event_id, metadata,
+        date_precision, earliest_start, latest_start, earliest_end, latest_end, end_period_closed
       ) VALUES {PLACEHOLDERS}
-      RETURNING *
+      {ON_CONFLICT}
+      RETURNING *, (xmax = 0) AS inserted
     `,
     
     UPDATE: `
@@ -65,74 +231,126 @@ const QUERIES = {
       RETURNING *
     `,
     
+    // Permanent delete; ON DELETE CASCADE removes the whole subtree
     DELETE_BY_ID: 'DELETE FROM historical_events WHERE event_id = $1 RETURNING *'
   },
 
+  // ===== BATCH INSERT CONFLICT CLAUSES =====
+  // Used by BATCH_INSERT; RETURNING's (xmax = 0) tells inserted rows from updated ones
+  ON_CONFLICT: {
+    SKIP: 'ON CONFLICT (event_id) DO NOTHING',
+    
+    // Only rows whose content actually changed are updated (and returned);
+    // ingestion bookkeeping keys in metadata are ignored for that comparison
+    UPDATE: `
+      ON CONFLICT (event_id) DO UPDATE SET
+        event_name = EXCLUDED.event_name,
+        description = EXCLUDED.description,
+        start_date = EXCLUDED.start_date,
+        end_date = EXCLUDED.end_date,
+        parent_event_id = EXCLUDED.parent_event_id,
+        metadata = historical_events.metadata || EXCLUDED.metadata,
+        date_precision = EXCLUDED.date_precision,
+        earliest_start = EXCLUDED.earliest_start,
+        latest_start = EXCLUDED.latest_start,
+        earliest_end = EXCLUDED.earliest_end,
+        latest_end = EXCLUDED.latest_end,
+        end_period_closed = EXCLUDED.end_period_closed
+      WHERE (
+        historical_events.event_name, historical_events.description,
+        historical_events.start_date, historical_events.end_date,
+        historical_events.parent_event_id,
+        historical_events.date_precision,
+        historical_events.earliest_start, historical_events.latest_start,
+        historical_events.earliest_end, historical_events.latest_end, historical_events.end_period_closed,
+        historical_events.metadata - 'ingested_at' - 'source_line' - 'source_record'
+      ) IS DISTINCT FROM (
+        EXCLUDED.event_name, EXCLUDED.description,
+        EXCLUDED.start_date, EXCLUDED.end_date,
+        EXCLUDED.parent_event_id,
+        EXCLUDED.date_precision,
+        EXCLUDED.earliest_start, EXCLUDED.latest_start,
+        EXCLUDED.earliest_end, EXCLUDED.latest_end, EXCLUDED.end_period_closed,
+        (historical_events.metadata || EXCLUDED.metadata) - 'ingested_at' - 'source_line' - 'source_record'
+      )
+    `
+  },
+
   // ===== HISTORICAL EVENT MODEL QUERIES =====
   HISTORICAL_EVENT: {
     SAVE: `
       INSERT INTO historical_events (
-        event_id, event_name, description, start_date, end_date, parent_event_id, metadata
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        event_id, event_name, description, start_date, end_date, parent_event_id, metadata,
+        date_precision, earliest_start, latest_start, earliest_end, latest_end, end_period_closed
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `,
     
-    FIND_BY_ID: 'SELECT * FROM historical_events WHERE event_id = $1',
+    FIND_BY_ID: 'SELECT * FROM historical_events WHERE event_id = $1 AND deleted_at IS NULL',
     
     FIND_ALL: `
       SELECT * FROM historical_events 
+      WHERE deleted_at IS NULL
       ORDER BY start_date ASC 
       LIMIT $1 OFFSET $2
     `,
     
     FIND_BY_PARENT_ID: `
       SELECT * FROM historical_events 
-      WHERE parent_event_id = $1 
+      WHERE parent_event_id = $1 AND deleted_at IS NULL
       ORDER BY start_date ASC
     `,
     
+    // Soft-deleted rows still hold their primary key, so they count as existing here
+    FIND_EXISTING_IDS: 'SELECT event_id FROM historical_events WHERE event_id = ANY($1::uuid[])',
+    
+    FIND_LIVE_IDS: 'SELECT event_id FROM historical_events WHERE event_id = ANY($1::uuid[]) AND deleted_at IS NULL',
+    
     FIND_ROOT_EVENTS: `
       SELECT * FROM historical_events 
-      WHERE parent_event_id IS NULL 
+      WHERE parent_event_id IS NULL AND deleted_at IS NULL
       ORDER BY start_date ASC
     `,
     
     GET_TIMELINE_HIERARCHY: `
-      WITH RECURSIVE event_tree AS (
-        -- Base case: the root event
-        SELECT 
-          event_id, event_name, description, start_date, end_date, 
-          duration_minutes, parent_event_id, metadata, 0 as level
-        FROM historical_events 
-        WHERE event_id = $1
-        
-        UNION ALL
-        
-        -- Recursive case: children
-        SELECT 
-          he.event_id, he.event_name, he.description, he.start_date, he.end_date,
-          he.duration_minutes, he.parent_event_id, he.metadata, et.level + 1
-        FROM historical_events he
-        JOIN event_tree et ON he.parent_event_id = et.event_id
-      )
-      SELECT * FROM event_tree ORDER BY level, start_date
+      SELECT 
+        he.event_id, he.event_name, he.description, he.start_date, he.end_date,
+        he.duration_minutes, he.parent_event_id, he.metadata,
+        he.hierarchy_depth - root.hierarchy_depth AS level
+      FROM historical_events root
+      JOIN historical_events he ON he.hierarchy_path @> ARRAY[$1::uuid]
+      WHERE root.event_id = $1 AND root.deleted_at IS NULL AND he.deleted_at IS NULL
+      ORDER BY level, he.start_date
     `,
     
     SEARCH_BASE: 'SELECT * FROM historical_events WHERE 1=1',
     COUNT_BASE: 'SELECT COUNT(*) FROM historical_events WHERE 1=1',
     
+    // Pairs whose possible ranges (widened by any uncertainty bounds) overlap;
+    // certain is true when they overlap whatever the actual dates turn out to be
     FIND_OVERLAPPING_EVENTS: `
+      WITH ranges AS (
+        SELECT 
+          event_id, event_name, start_date, end_date, date_precision,
+          COALESCE(earliest_start, start_date) as possible_start,
+          COALESCE(latest_end, end_date) as possible_end,
+          COALESCE(latest_start, start_date) as certain_start,
+          COALESCE(earliest_end, end_date) as certain_end
+        FROM historical_events
+        WHERE deleted_at IS NULL
+      )
       SELECT 
         e1.event_id as event1_id, e1.event_name as event1_name,
-        e1.start_date as event1_start, e1.end_date as event1_end,
+        e1.start_date as event1_start, e1.end_date as event1_end, e1.date_precision as event1_precision,
         e2.event_id as event2_id, e2.event_name as event2_name,
-        e2.start_date as event2_start, e2.end_date as event2_end,
-        EXTRACT(EPOCH FROM (LEAST(e1.end_date, e2.end_date) - GREATEST(e1.start_date, e2.start_date))) as overlap_duration_seconds
-      FROM historical_events e1
-      JOIN historical_events e2 ON e1.event_id < e2.event_id
+        e2.start_date as event2_start, e2.end_date as event2_end, e2.date_precision as event2_precision,
+        EXTRACT(EPOCH FROM (LEAST(e1.possible_end, e2.possible_end) - GREATEST(e1.possible_start, e2.possible_start))) as overlap_duration_seconds,
+        (e1.certain_start < e2.certain_end AND e2.certain_start < e1.certain_end) as certain
+      FROM ranges e1
+      JOIN ranges e2 ON e1.event_id < e2.event_id
       WHERE 
-        e1.start_date < e2.end_date 
-        AND e2.start_date < e1.end_date
+        e1.possible_start < e2.possible_end 
+        AND e2.possible_start < e1.possible_end
         AND e1.start_date >= $1 
         AND e1.end_date <= $2
         AND e2.start_date >= $1 
@@ -140,17 +358,19 @@ const QUERIES = {
       ORDER BY overlap_duration_seconds DESC
     `,
     
+    // Only time no event could possibly cover counts as a gap, so uncertain
+    // events are taken at their latest possible end and earliest possible start
     FIND_TEMPORAL_GAPS: `
       WITH event_boundaries AS (
         SELECT 
           event_id,
           event_name,
-          start_date,
-          end_date,
-          LAG(end_date) OVER (ORDER BY start_date) as prev_end_date,
-          LEAD(start_date) OVER (ORDER BY start_date) as next_start_date
+          COALESCE(earliest_start, start_date) as start_date,
+          COALESCE(latest_end, end_date) as end_date,
+          LAG(COALESCE(latest_end, end_date)) OVER (ORDER BY COALESCE(earliest_start, start_date)) as prev_end_date,
+          LEAD(COALESCE(earliest_start, start_date)) OVER (ORDER BY COALESCE(earliest_start, start_date)) as next_start_date
         FROM historical_events
-        WHERE start_date >= $1 AND end_date <= $2
+        WHERE start_date >= $1 AND end_date <= $2 AND deleted_at IS NULL
         ORDER BY start_date
       ),
       gaps AS (
@@ -173,45 +393,37 @@ const QUERIES = {
     
     FIND_SUCCEEDING_EVENT: `
       SELECT * FROM historical_events 
-      WHERE start_date = $1 AND start_date >= $2 AND end_date <= $3
+      WHERE COALESCE(earliest_start, start_date) = $1 AND start_date >= $2 AND end_date <= $3 AND deleted_at IS NULL
       ORDER BY start_date LIMIT 1
     `,
     
+    // Events are linked through their parents, so the one path between two events of the same tree
+    // runs up from the source to their deepest common ancestor and down to the target
     FIND_SHORTEST_PATH: `
-      WITH RECURSIVE event_paths AS (
-        -- Start from source event
+      WITH endpoints AS (
+        SELECT source.hierarchy_path AS source_path, target.hierarchy_path AS target_path
+        FROM historical_events source, historical_events target
+        WHERE source.event_id = $1 AND source.deleted_at IS NULL
+          AND target.event_id = $2 AND target.deleted_at IS NULL
+      ),
+      common AS (
         SELECT 
-          event_id,
-          event_name,
-          duration_minutes,
-          parent_event_id,
-          ARRAY[event_id] as path,
-          duration_minutes as total_duration
-        FROM historical_events 
-        WHERE event_id = $1
-        
-        UNION ALL
-        
-        -- Follow parent-child relationships (both directions)
+          source_path, 
+          target_path,
+          (SELECT COUNT(*) FROM generate_subscripts(source_path, 1) i WHERE source_path[i] = target_path[i]) AS shared
+        FROM endpoints
+      ),
+      event_path AS (
         SELECT 
-          he.event_id,
-          he.event_name,
-          he.duration_minutes,
-          he.parent_event_id,
-          ep.path || he.event_id,
-          ep.total_duration + he.duration_minutes
-        FROM historical_events he
-        JOIN event_paths ep ON (
-          he.parent_event_id = ep.event_id OR 
-          he.event_id = ep.parent_event_id
-        )
-        WHERE NOT he.event_id = ANY(ep.path) -- Prevent cycles
-          AND array_length(ep.path, 1) < 20 -- Prevent infinite recursion
+          ARRAY(SELECT source_path[i] FROM generate_series(cardinality(source_path), shared, -1) i)
+            || target_path[shared + 1:] AS path
+        FROM common
+        WHERE shared > 0
       )
-      SELECT * FROM event_paths 
-      WHERE event_id = $2
-      ORDER BY total_duration ASC
-      LIMIT 1
+      SELECT 
+        ep.path,
+        (SELECT SUM(duration_minutes) FROM historical_events WHERE event_id = ANY(ep.path)) AS total_duration
+      FROM event_path ep
     `,
     
     GET_PATH_DETAILS: `
@@ -223,9 +435,11 @@ const QUERIES = {
     
     BATCH_INSERT: `
       INSERT INTO historical_events (
-        event_id, event_name, description, start_date, end_date, parent_event_id, metadata
+        event_id, event_name, description, start_date, end_date, parent_event_id, metadata,
+        date_precision, earliest_start, latest_start, earliest_end, latest_end, end_period_closed
       ) VALUES {PLACEHOLDERS}
-      RETURNING *
+      {ON_CONFLICT}
+      RETURNING *, (xmax = 0) AS inserted
     `,
     
     DELETE_BY_ID: 'DELETE FROM historical_events WHERE event_id = $1 RETURNING *',
@@ -242,8 +456,9 @@ const QUERIES = {
   INGESTION_JOB: {
     SAVE: `
       INSERT INTO ingestion_jobs (
-        job_id, status, file_path, total_lines, processed_lines, error_lines, errors, start_time, end_time
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        job_id, status, file_path, total_lines, processed_lines, error_lines, errors, start_time, end_time,
+        conflict_mode, column_mapping
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `,
     
@@ -256,81 +471,99 @@ const QUERIES = {
       RETURNING *
     `,
     
-    FIND_ALL: `
+    // Newest first, by job_id within the same creation time (the key of keyset cursors)
+    FIND_PAGE: `
       SELECT * FROM ingestion_jobs 
-      ORDER BY created_at DESC 
-      LIMIT $1 OFFSET $2
+      {WHERE_CLAUSE}
+      ORDER BY created_at {SORT_ORDER}, job_id {SORT_ORDER}
+      LIMIT ${'{LIMIT_PARAM}'} OFFSET ${'{OFFSET_PARAM}'}
     `,
     
-    FIND_BY_STATUS: `
+    FIND_UNFINISHED: `
       SELECT * FROM ingestion_jobs 
-      WHERE status = $1 
-      ORDER BY created_at DESC
+      WHERE status IN ('${JOB_STATUS.PENDING}', '${JOB_STATUS.PROCESSING}') 
+      ORDER BY created_at ASC
     `,
     
+    COUNT_ALL: 'SELECT COUNT(*) FROM ingestion_jobs',
+    
+    COUNT_BY_STATUS: 'SELECT COUNT(*) FROM ingestion_jobs WHERE status = $1',
+    
     DELETE_OLD_JOBS: `
       DELETE FROM ingestion_jobs 
-      WHERE status IN ('${JOB_STATUS.COMPLETED}', '${JOB_STATUS.FAILED}') 
+      WHERE status IN ('${JOB_STATUS.COMPLETED}', '${JOB_STATUS.FAILED}', '${JOB_STATUS.CANCELLED}') 
         AND created_at < NOW() - INTERVAL '{DAYS_OLD} days'
-      RETURNING job_id
+      RETURNING job_id, file_path
+    `,
+    
+    // Failed or cancelled jobs that ended more than {HOURS_OLD} hours ago, whose uploads may still be kept
+    FIND_ENDED_UNSUCCESSFULLY: `
+      SELECT job_id, file_path FROM ingestion_jobs 
+      WHERE status IN ('${JOB_STATUS.FAILED}', '${JOB_STATUS.CANCELLED}') 
+        AND COALESCE(end_time, created_at) < NOW() - INTERVAL '{HOURS_OLD} hours'
     `
   },
 
+  // ===== EVENT REVISION QUERIES =====
+  // Revisions are written by the record_historical_events_revision trigger
+  REVISION: {
+    // Transaction-local, so it only tags the changes made in the current transaction
+    SET_CONTEXT: `SELECT set_config('app.actor', $1, true), set_config('app.change_note', $2, true)`,
+    
+    FIND_BY_EVENT: `
+      SELECT * FROM event_revisions 
+      WHERE event_id = $1 
+      ORDER BY revision DESC 
+      LIMIT $2 OFFSET $3
+    `,
+    
+    COUNT_BY_EVENT: 'SELECT COUNT(*) FROM event_revisions WHERE event_id = $1',
+    
+    FIND_BY_REVISION: 'SELECT * FROM event_revisions WHERE event_id = $1 AND revision = $2'
+  },
+
+  // ===== CSV MAPPING PROFILE QUERIES =====
+  MAPPING_PROFILE: {
+    SAVE: `
+      INSERT INTO csv_mapping_profiles (name, description, mapping)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (name) DO UPDATE SET
+        description = EXCLUDED.description,
+        mapping = EXCLUDED.mapping
+      RETURNING *, (xmax = 0) AS inserted
+    `,
+    
+    FIND_BY_NAME: 'SELECT * FROM csv_mapping_profiles WHERE name = $1',
+    
+    FIND_ALL: 'SELECT * FROM csv_mapping_profiles ORDER BY name ASC',
+    
+    DELETE: 'DELETE FROM csv_mapping_profiles WHERE name = $1 RETURNING name'
+  },
+
   // ===== INSIGHTS SERVICE QUERIES =====
   INSIGHTS: {
     EVENT_STATISTICS: `
-      WITH event_stats AS (
-        SELECT 
-          COUNT(*) as total_events,
-          AVG(duration_minutes) as avg_duration_minutes,
-          MIN(duration_minutes) as min_duration_minutes,
-          MAX(duration_minutes) as max_duration_minutes,
-          COUNT(CASE WHEN parent_event_id IS NULL THEN 1 END) as root_events,
-          COUNT(CASE WHEN parent_event_id IS NOT NULL THEN 1 END) as child_events,
-          MIN(start_date) as earliest_event,
-          MAX(end_date) as latest_event
-        FROM historical_events
-        WHERE start_date >= $1 AND end_date <= $2
-      ),
-      hierarchy_stats AS (
-        SELECT 
-          MAX(depth) as max_hierarchy_depth,
-          AVG(depth) as avg_hierarchy_depth
-        FROM events_with_hierarchy
-        WHERE start_date >= $1 AND end_date <= $2
-      )
       SELECT 
-        es.*,
-        hs.max_hierarchy_depth,
-        hs.avg_hierarchy_depth
-      FROM event_stats es, hierarchy_stats hs
+        COUNT(*) as total_events,
+        AVG(duration_minutes) as avg_duration_minutes,
+        MIN(duration_minutes) as min_duration_minutes,
+        MAX(duration_minutes) as max_duration_minutes,
+        COUNT(CASE WHEN parent_event_id IS NULL THEN 1 END) as root_events,
+        COUNT(CASE WHEN parent_event_id IS NOT NULL THEN 1 END) as child_events,
+        MIN(start_date) as earliest_event,
+        MAX(end_date) as latest_event,
+        MAX(hierarchy_depth) as max_hierarchy_depth,
+        AVG(hierarchy_depth) as avg_hierarchy_depth
+      FROM historical_events
+      WHERE start_date >= $1 AND end_date <= $2 AND deleted_at IS NULL
     `,
     
     HIERARCHY_ANALYSIS: `
-      WITH RECURSIVE event_hierarchy AS (
-        SELECT 
-          event_id,
-          event_name,
-          duration_minutes,
-          parent_event_id,
-          0 as depth,
-          ARRAY[event_id] as path,
-          duration_minutes as cumulative_duration
-        FROM historical_events 
-        WHERE event_id = $1
-        
-        UNION ALL
-        
-        SELECT 
-          he.event_id,
-          he.event_name,
-          he.duration_minutes,
-          he.parent_event_id,
-          eh.depth + 1,
-          eh.path || he.event_id,
-          eh.cumulative_duration + he.duration_minutes
-        FROM historical_events he
-        JOIN event_hierarchy eh ON he.parent_event_id = eh.event_id
+      WITH event_hierarchy AS (
+        SELECT he.duration_minutes, he.hierarchy_depth - root.hierarchy_depth AS depth
+        FROM historical_events root
+        JOIN historical_events he ON he.hierarchy_path @> ARRAY[$1::uuid]
+        WHERE root.event_id = $1 AND root.deleted_at IS NULL AND he.deleted_at IS NULL
       ),
       hierarchy_stats AS (
         SELECT 
@@ -360,6 +593,16 @@ const QUERIES = {
     `
   },
 
+  // ===== STREAMED READS (utils/queryStream) =====
+  // A server-side cursor read in batches inside a read-only snapshot transaction
+  STREAM: {
+    BEGIN: 'BEGIN TRANSACTION ISOLATION LEVEL REPEATABLE READ READ ONLY',
+    
+    DECLARE_CURSOR: 'DECLARE {CURSOR_NAME} NO SCROLL CURSOR FOR {QUERY}',
+    
+    FETCH: 'FETCH FORWARD {BATCH_SIZE} FROM {CURSOR_NAME}'
+  },
+
   // ===== FILTER CONDITIONS =====
   FILTERS: {
     NAME_LIKE: 'LOWER(event_name) LIKE LOWER($${PARAM})',
@@ -1,9 +1,27 @@
 const EventRepository = require('../repositories/EventRepository');
 const EventFactory = require('../factories/EventFactory');
-const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
-const { ERROR_MESSAGES } = require('../config/constants');
+const EventBulkService = require('../services/EventBulkService');
+const EventHistoryService = require('../services/EventHistoryService');
+const EventHierarchyService = require('../services/EventHierarchyService');
+const TemporalRuleService = require('../services/TemporalRuleService');
+const EventExportService = require('../services/EventExportService');
+const EventRevision = require('../models/EventRevision');
+const { getExporter } = require('../exporters');
+const { withAuditedTransaction, getRequestActor } = require('../utils/audit');
+const { asyncHandler, NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { ERROR_MESSAGES, HIERARCHY } = require('../config/constants');
 const logger = require('../config/logger');
 
+// A missing parent is bad input; a cycle or date range clash conflicts with the current hierarchy
+const parentProblemError = (problem) => (
+  problem.type === HIERARCHY.PARENT_PROBLEMS.PARENT_NOT_FOUND
+    ? new ValidationError(problem.message)
+    : new ConflictError(problem.message)
+);
+
+// Download names carry the time of the export, e.g. 20240501T120000Z
+const exportTimestamp = () => new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+
 // GET /api/events/search
 const searchEvents = asyncHandler(async (req, res) => {
   const filters = req.query;
@@ -15,6 +33,31 @@ const searchEvents = asyncHandler(async (req, res) => {
   res.json(result);
 });
 
+// POST /api/events/query
+const queryEvents = asyncHandler(async (req, res) => {
+  const { filter, ...options } = req.body;
+
+  logger.info('Querying events with filter:', { filter: JSON.stringify(filter) });
+
+  const result = await EventRepository.search({ ...options, filterTree: filter });
+
+  res.json(result);
+});
+
+// GET /api/events/export
+const exportEvents = asyncHandler(async (req, res) => {
+  const { format, ...filters } = req.query;
+
+  logger.info(`Exporting events as ${format} with filters:`, filters);
+
+  const exporter = getExporter(format);
+  const written = await EventExportService.streamEvents(
+    res, exporter, EventRepository.streamSearch(filters), { filename: `events-${exportTimestamp()}` }
+  );
+
+  logger.info(`Exported ${written} events as ${format}`);
+});
+
 // GET /api/events/:eventId
 const getEvent = asyncHandler(async (req, res) => {
   const { eventId } = req.params;
@@ -40,78 +83,281 @@ const createEvent = asyncHandler(async (req, res) => {
     }
   }
   
-  const event = EventFactory.createFromRawData(eventData);
-  const savedEvent = await EventRepository.create(event);
+  let event;
+  try {
+    event = EventFactory.createFromRawData(eventData);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+  
+  const { savedEvent, warnings } = await withAuditedTransaction({ actor: getRequestActor(req) }, async (client) => {
+    const report = await TemporalRuleService.checkEvent(client, event);
+    if (report.errors.length > 0) {
+      throw new ValidationError(TemporalRuleService.describeErrors(report.errors));
+    }
+    
+    return { savedEvent: await EventRepository.create(event, client), warnings: report.warnings };
+  });
   
   logger.info(`Created new event: ${savedEvent.event_id}`);
   
-  res.status(201).json(savedEvent);
+  // Rules configured as warnings do not block the write but are reported back
+  res.status(201).json({ ...savedEvent, warnings });
 });
 
 // PUT /api/events/:eventId
 const updateEvent = asyncHandler(async (req, res) => {
   const { eventId } = req.params;
-  const updates = req.body;
   
   const event = await EventRepository.findById(eventId);
   if (!event) {
     throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
   }
   
-  // Check if parent event exists (if being updated)
-  if (updates.parent_event_id && updates.parent_event_id !== event.parent_event_id) {
-    const parentEvent = await EventRepository.findById(updates.parent_event_id);
-    if (!parentEvent) {
-      throw new ValidationError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: parent ${updates.parent_event_id}`);
-    }
+  // Parse approximate dates and keep the range in order when only one end changes
+  let updates;
+  try {
+    updates = EventFactory.normalizeDateUpdates(req.body, event);
+  } catch (error) {
+    throw new ValidationError(error.message);
   }
   
-  const updatedEvent = await EventRepository.update(eventId, updates);
+  const { updatedEvent, warnings } = await withAuditedTransaction({ actor: getRequestActor(req) }, async (client) => {
+    // A new parent must exist and must not sit below the event itself
+    if (updates.parent_event_id && updates.parent_event_id !== event.parent_event_id) {
+      await EventRepository.lockHierarchy(client);
+      const problem = await EventHierarchyService.findParentProblem(client, event, updates.parent_event_id);
+      if (problem) {
+        throw parentProblemError(problem);
+      }
+    }
+    
+    // New dates must also leave the event's children inside its range
+    const report = await TemporalRuleService.checkEvent(client, { ...event, ...updates }, {
+      checkChildren: Boolean(updates.start_date || updates.end_date)
+    });
+    if (report.errors.length > 0) {
+      throw new ValidationError(TemporalRuleService.describeErrors(report.errors));
+    }
+    
+    return { updatedEvent: await EventRepository.update(eventId, updates, client), warnings: report.warnings };
+  });
   
   logger.info(`Updated event: ${eventId}`);
   
-  res.json(updatedEvent);
+  res.json({ ...updatedEvent, warnings });
 });
 
-// DELETE /api/events/:eventId
+// DELETE /api/events/:eventId[?permanent=true][&dryRun=true]
 const deleteEvent = asyncHandler(async (req, res) => {
   const { eventId } = req.params;
+  const { permanent, dryRun } = req.query;
+  
+  // Only a permanent delete can purge an event that is already soft-deleted
+  const event = await EventRepository.findByIdIncludingDeleted(eventId);
+  if (!event) {
+    throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+  }
+  if (event.deleted_at && !permanent) {
+    throw new ConflictError(`${ERROR_MESSAGES.EVENT_ALREADY_DELETED}: ${eventId}`);
+  }
+  
+  if (dryRun) {
+    const descendants = await EventRepository.findDescendants(eventId, { includeDeleted: permanent });
+    return res.json({
+      dryRun: true,
+      permanent,
+      event,
+      descendants,
+      totalAffected: descendants.length + 1
+    });
+  }
   
-  const deletedEvent = await EventRepository.deleteById(eventId);
+  // Descendants are deleted with the event and recorded in their own histories
+  const deletedEvents = await withAuditedTransaction({ actor: getRequestActor(req) }, async (client) => {
+    if (!permanent) {
+      return EventRepository.softDeleteSubtree(eventId, client);
+    }
+    const descendants = await EventRepository.findDescendants(eventId, { includeDeleted: true, client });
+    const deletedEvent = await EventRepository.deleteById(eventId, client);
+    return deletedEvent ? [deletedEvent, ...descendants] : [];
+  });
   
+  const deletedEvent = deletedEvents.find(row => row.event_id === event.event_id);
   if (!deletedEvent) {
     throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
   }
   
-  logger.info(`Deleted event: ${eventId}`);
+  logger.info(`${permanent ? 'Permanently deleted' : 'Soft-deleted'} event ${eventId} with ${deletedEvents.length - 1} descendants`);
+  
+  res.json({
+    message: permanent ? 'Event permanently deleted' : 'Event deleted successfully',
+    permanent,
+    deletedEvent,
+    deletedDescendants: deletedEvents.length - 1
+  });
+});
+
+// POST /api/events/:eventId/restore
+const restoreEvent = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  
+  const event = await EventRepository.findByIdIncludingDeleted(eventId);
+  if (!event) {
+    throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+  }
+  if (!event.deleted_at) {
+    throw new ConflictError(`${ERROR_MESSAGES.EVENT_NOT_DELETED}: ${eventId}`);
+  }
+  if (event.parent_event_id && !await EventRepository.findById(event.parent_event_id)) {
+    throw new ConflictError(`${ERROR_MESSAGES.PARENT_EVENT_DELETED}: ${event.parent_event_id}`);
+  }
+  
+  // Descendants deleted together with the event come back with it
+  const restoredEvents = await withAuditedTransaction({ actor: getRequestActor(req) }, (client) => (
+    EventRepository.restoreSubtree(eventId, client)
+  ));
+  
+  const restoredEvent = restoredEvents.find(row => row.event_id === event.event_id);
+  if (!restoredEvent) {
+    throw new ConflictError(`${ERROR_MESSAGES.EVENT_NOT_DELETED}: ${eventId}`);
+  }
+  
+  logger.info(`Restored event ${eventId} with ${restoredEvents.length - 1} descendants`);
+  
+  res.json({
+    message: 'Event restored successfully',
+    event: restoredEvent,
+    restoredDescendants: restoredEvents.length - 1
+  });
+});
+
+// POST /api/events/:eventId/move
+const moveEvent = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { parentEventId, enforceDateRange } = req.body;
+  
+  const result = await EventHierarchyService.moveSubtree(eventId, parentEventId, {
+    enforceDateRange,
+    actor: getRequestActor(req)
+  });
+  
+  if (!result) {
+    throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+  }
+  if (result.problem) {
+    throw parentProblemError(result.problem);
+  }
+  
+  logger.info(`Moved event ${eventId} with ${result.movedDescendants} descendants under ${parentEventId || 'the top level'}`);
+  
+  res.json({
+    message: 'Event moved successfully',
+    event: result.event,
+    previousParentId: result.previousParentId,
+    movedDescendants: result.movedDescendants,
+    warnings: result.warnings
+  });
+});
+
+// POST /api/events/bulk
+const bulkEvents = asyncHandler(async (req, res) => {
+  const { operations, mode } = req.body;
+  
+  logger.info(`Bulk request with ${operations.length} operations (mode: ${mode})`);
+  
+  const report = await EventBulkService.execute(operations, { mode, actor: getRequestActor(req) });
+  
+  // An atomic batch with any failed operation is rolled back as a whole
+  if (!report.applied) {
+    return res.status(400).json({
+      success: false,
+      error: `${ERROR_MESSAGES.BULK_ROLLED_BACK}: ${report.summary.failed} of ${report.summary.total} operations failed`,
+      ...report
+    });
+  }
+  
+  res.json({
+    success: report.summary.failed === 0,
+    ...report
+  });
+});
+
+// GET /api/events/:eventId/history
+const getEventHistory = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { limit, offset } = req.query;
+  
+  const history = await EventHistoryService.getHistory(eventId, { limit, offset });
+  
+  // Deleted events keep their history, so only an event that never existed is missing
+  if (history.total === 0 && !await EventRepository.findByIdIncludingDeleted(eventId)) {
+    throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+  }
+  
+  res.json(history);
+});
+
+// POST /api/events/:eventId/revert/:revision
+const revertEvent = asyncHandler(async (req, res) => {
+  const { eventId, revision } = req.params;
+  
+  const target = await EventRevision.findByRevision(eventId, revision);
+  if (!target) {
+    throw new NotFoundError(`${ERROR_MESSAGES.REVISION_NOT_FOUND}: ${eventId} revision ${revision}`);
+  }
+  
+  if (!target.after_snapshot || target.after_snapshot.deleted_at) {
+    throw new ConflictError(`${ERROR_MESSAGES.REVISION_DELETED_EVENT} (revision ${revision})`);
+  }
+  
+  const result = await EventHistoryService.revertToSnapshot(eventId, revision, target.after_snapshot, {
+    actor: getRequestActor(req)
+  });
+  
+  if (!result) {
+    throw new ConflictError(
+      `Cannot revert to revision ${revision}: parent event ${target.after_snapshot.parent_event_id} no longer exists`
+    );
+  }
+  
+  logger.info(`${result.restored ? 'Restored' : 'Reverted'} event ${eventId} to revision ${revision}`);
   
   res.json({
-    message: 'Event deleted successfully',
-    deletedEvent
+    message: `Event reverted to revision ${revision}`,
+    restored: result.restored,
+    event: result.event
   });
 });
 
 // GET /api/events
 const listEvents = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
-  const offset = (page - 1) * limit;
+  const { cursor, page, limit } = req.query;
   
-  const events = await EventRepository.findAll(limit, offset);
+  const result = await EventRepository.findAll({ limit, offset: cursor ? 0 : (page - 1) * limit, cursor });
   
   res.json({
-    events,
-    page,
+    events: result.rows,
+    page: cursor ? null : page,
     limit,
-    hasMore: events.length === limit
+    hasMore: result.hasMore,
+    nextCursor: result.nextCursor,
+    prevCursor: result.prevCursor
   });
 });
 
 module.exports = {
   searchEvents,
+  exportEvents,
+  queryEvents,
   getEvent,
   createEvent,
   updateEvent,
   deleteEvent,
+  restoreEvent,
+  moveEvent,
+  bulkEvents,
+  getEventHistory,
+  revertEvent,
   listEvents
 };
@@ -0,0 +1,78 @@
+const EventRepository = require('../repositories/EventRepository');
+const TimelineService = require('../services/TimelineService');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+// The live event, or a 404
+const findEventOrFail = async (eventId) => {
+  const event = await EventRepository.findById(eventId);
+  if (!event) {
+    throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+  }
+  return event;
+};
+
+// GET /api/events/:eventId/ancestors
+const getAncestors = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const event = await findEventOrFail(eventId);
+  const ancestors = await EventRepository.findAncestors(eventId);
+
+  res.json({ event, ancestors });
+});
+
+// GET /api/events/:eventId/siblings?limit=&offset=
+const getSiblings = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { limit, offset } = req.query;
+
+  const event = await findEventOrFail(eventId);
+  const { rows, hasMore } = await EventRepository.findSiblings(event, { limit, offset });
+
+  res.json({
+    event_id: eventId,
+    parent_event_id: event.parent_event_id,
+    siblings: rows,
+    limit,
+    offset,
+    hasMore
+  });
+});
+
+// GET /api/events/:eventId/descendants?maxDepth=&limit=&offset=
+const getDescendants = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { maxDepth = null, limit, offset } = req.query;
+
+  await findEventOrFail(eventId);
+  const { rows, hasMore } = await EventRepository.findDescendantsPage(eventId, { maxDepth, limit, offset });
+
+  res.json({
+    event_id: eventId,
+    descendants: rows,
+    maxDepth,
+    limit,
+    offset,
+    hasMore
+  });
+});
+
+// GET /api/events/:eventId/lineage?childLimit=&sortBy=&sortOrder=
+const getLineage = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const lineage = await TimelineService.getLineage(eventId, req.query);
+  if (!lineage) {
+    throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+  }
+
+  res.json(lineage);
+});
+
+module.exports = {
+  getAncestors,
+  getSiblings,
+  getDescendants,
+  getLineage
+};
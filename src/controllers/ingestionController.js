@@ -1,58 +1,133 @@
 const FileIngestionService = require('../services/FileIngestionService');
+const IngestionJob = require('../models/IngestionJob');
+const MappingProfile = require('../models/MappingProfile');
 const CSVConverter = require('../utils/csvConverter');
-const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
-const { ERROR_MESSAGES } = require('../config/constants');
+const { detectFormat } = require('../parsers');
+const { asyncHandler, NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { ERROR_MESSAGES, FILE_PROCESSING } = require('../config/constants');
 const logger = require('../config/logger');
-const path = require('path');
+const fs = require('fs').promises;
 
-// POST /api/events/ingest
-const ingestEvents = asyncHandler(async (req, res) => {
-  const { filePath } = req.body;
+// Resolve the CSV column mapping of a request: inline, from a saved profile, or none
+const resolveColumnMapping = async ({ mapping, mappingProfile }) => {
+  if (!mappingProfile) {
+    return mapping || null;
+  }
   
-  logger.info(`Starting ingestion for file: ${filePath}`);
+  const profile = await MappingProfile.findByName(mappingProfile);
+  if (!profile) {
+    throw new NotFoundError(`${ERROR_MESSAGES.MAPPING_PROFILE_NOT_FOUND}: ${mappingProfile}`);
+  }
+  return profile.mapping;
+};
+
+// Validate a file before starting ingestion, returning its detected format
+const prepareIngestionFile = async (filePath, mapping = null) => {
+  const format = await detectFormat(filePath);
   
-  let processFilePath = filePath;
+  if (mapping && format !== 'csv') {
+    throw new ValidationError(`${ERROR_MESSAGES.MAPPING_REQUIRES_CSV} (detected format: ${format})`);
+  }
   
-  // Check if it's a CSV file and convert it
-  if (path.extname(filePath).toLowerCase() === '.csv') {
-    logger.info(`Detected CSV file, converting to pipe-delimited format...`);
-    
-    // Validate CSV format first
+  // Without a mapping, CSV rows are read by column position, so the header must match the expected layout
+  if (format === 'csv' && !mapping) {
     const csvValidation = await CSVConverter.validateCSVFormat(filePath);
     if (!csvValidation.isValid) {
       logger.warn(`CSV validation failed for ${filePath}:`, csvValidation.errors);
       throw new ValidationError(`CSV validation failed: ${csvValidation.errors.join('; ')}`);
     }
-    
-    // Convert CSV to pipe-delimited format
-    try {
-      processFilePath = await CSVConverter.convertCSVToPipeDelimited(filePath);
-      logger.info(`CSV converted successfully: ${processFilePath}`);
-    } catch (error) {
-      logger.error(`CSV conversion failed: ${error.message}`);
-      throw new ValidationError(`CSV conversion failed: ${error.message}`);
-    }
   }
   
-  // Validate file before starting ingestion
-  const validation = await FileIngestionService.validateFile(processFilePath);
+  const validation = await FileIngestionService.validateFile(filePath, { mapping });
   if (!validation.isValid) {
-    logger.warn(`File validation failed for ${processFilePath}:`, validation.errors);
+    logger.warn(`File validation failed for ${filePath}:`, validation.errors);
     throw new ValidationError(`File validation failed: ${validation.errors.join('; ')}`);
   }
   
-  const jobId = await FileIngestionService.startIngestion(processFilePath);
+  return format;
+};
+
+// POST /api/events/ingest
+const ingestEvents = asyncHandler(async (req, res) => {
+  const { filePath, onConflict, mappingProfile } = req.body;
+  
+  logger.info(`Starting ingestion for file: ${filePath} (onConflict: ${onConflict})`);
+  
+  const mapping = await resolveColumnMapping(req.body);
+  const format = await prepareIngestionFile(filePath, mapping);
+  const jobId = await FileIngestionService.startIngestion(filePath, { onConflict, mapping });
   
   res.status(202).json({
     status: 'Ingestion initiated',
     jobId,
     message: `Check /api/events/ingestion-status/${jobId} for updates.`,
     originalFile: filePath,
-    processedFile: processFilePath,
-    fileType: path.extname(filePath).toLowerCase() === '.csv' ? 'CSV (converted)' : 'Pipe-delimited'
+    fileType: format,
+    onConflict,
+    mappingProfile
+  });
+});
+
+// POST /api/events/ingest/upload (multipart/form-data)
+const uploadAndIngestEvents = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError(`No file uploaded (expected multipart field "${FILE_PROCESSING.UPLOAD_FIELD_NAME}")`);
+  }
+  
+  const { originalname, path: uploadedPath, size } = req.file;
+  const { onConflict, mappingProfile } = req.body;
+  logger.info(`Starting ingestion for uploaded file: ${originalname} (${size} bytes, onConflict: ${onConflict})`);
+  
+  // A rejected upload is removed by the upload middleware
+  const mapping = await resolveColumnMapping(req.body);
+  const format = await prepareIngestionFile(uploadedPath, mapping);
+  const jobId = await FileIngestionService.startIngestion(uploadedPath, { onConflict, mapping });
+  
+  res.status(202).json({
+    status: 'Ingestion initiated',
+    jobId,
+    message: `Check /api/events/ingestion-status/${jobId} for updates.`,
+    originalFile: originalname,
+    fileSize: size,
+    fileType: format,
+    onConflict,
+    mappingProfile
   });
 });
 
+// POST /api/events/ingest/validate (JSON filePath or multipart upload)
+const dryRunIngestion = asyncHandler(async (req, res) => {
+  const filePath = req.file ? req.file.path : req.body.filePath;
+  const { onConflict } = req.body;
+  
+  if (!filePath) {
+    throw new ValidationError(`Provide a filePath or upload a file (multipart field "${FILE_PROCESSING.UPLOAD_FIELD_NAME}")`);
+  }
+  
+  try {
+    // Surfaces ENOENT as a 404 for missing server-side paths
+    await fs.access(filePath);
+    
+    const mapping = await resolveColumnMapping(req.body);
+    if (mapping && await detectFormat(filePath) !== 'csv') {
+      throw new ValidationError(ERROR_MESSAGES.MAPPING_REQUIRES_CSV);
+    }
+    
+    logger.info(`Dry-run validation for file: ${req.file ? req.file.originalname : filePath}`);
+    const report = await FileIngestionService.dryRunFile(filePath, { onConflict, mapping });
+    
+    res.json({
+      file: req.file ? req.file.originalname : filePath,
+      ...report
+    });
+  } finally {
+    // Nothing is ingested from a dry run, so an upload is never kept
+    if (req.file) {
+      await FileIngestionService.cleanupFiles([req.file.path]);
+    }
+  }
+});
+
 // GET /api/events/ingestion-status/:jobId
 const getIngestionStatus = asyncHandler(async (req, res) => {
   const { jobId } = req.params;
@@ -66,7 +141,120 @@ const getIngestionStatus = asyncHandler(async (req, res) => {
   res.json(status);
 });
 
+// GET /api/events/ingestion-jobs
+const listIngestionJobs = asyncHandler(async (req, res) => {
+  const { status, limit, offset, cursor } = req.query;
+  
+  const result = await FileIngestionService.listJobs({ status, limit, offset, cursor });
+  
+  res.json({
+    ...result,
+    activeJobs: FileIngestionService.getActiveJobs()
+  });
+});
+
+// POST /api/events/ingestion-jobs/:jobId/cancel
+const cancelIngestionJob = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  
+  const job = await FileIngestionService.getJobStatus(jobId);
+  if (!job) {
+    throw new NotFoundError(`${ERROR_MESSAGES.JOB_NOT_FOUND}: ${jobId}`);
+  }
+  
+  if (!IngestionJob.isCancellable(job.status)) {
+    throw new ConflictError(`${ERROR_MESSAGES.JOB_NOT_CANCELLABLE} (job ${jobId} is ${job.status})`);
+  }
+  
+  await FileIngestionService.cancelJob(jobId);
+  logger.info(`Cancelled ingestion job: ${jobId}`);
+  
+  res.json({
+    message: 'Ingestion job cancelled',
+    job: await FileIngestionService.getJobStatus(jobId)
+  });
+});
+
+// POST /api/events/ingestion-jobs/:jobId/retry
+const retryIngestionJob = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  
+  const job = await FileIngestionService.getJobStatus(jobId);
+  if (!job) {
+    throw new NotFoundError(`${ERROR_MESSAGES.JOB_NOT_FOUND}: ${jobId}`);
+  }
+  
+  if (!IngestionJob.isRetryable(job.status)) {
+    throw new ConflictError(`${ERROR_MESSAGES.JOB_NOT_RETRYABLE} (job ${jobId} is ${job.status})`);
+  }
+  
+  // A cancelled job is marked as such before its run reaches the next line and stops
+  if (FileIngestionService.isJobActive(jobId)) {
+    throw new ConflictError(`${ERROR_MESSAGES.JOB_STILL_RUNNING} (job ${jobId})`);
+  }
+  
+  const retriedJob = await FileIngestionService.retryJob(jobId);
+  
+  res.status(202).json({
+    status: 'Ingestion restarted',
+    jobId,
+    message: `Check /api/events/ingestion-status/${jobId} for updates.`,
+    job: retriedJob
+  });
+});
+
+// GET /api/events/ingest/mapping-profiles
+const listMappingProfiles = asyncHandler(async (req, res) => {
+  const profiles = await MappingProfile.findAll();
+  
+  res.json({ profiles, total: profiles.length });
+});
+
+// GET /api/events/ingest/mapping-profiles/:name
+const getMappingProfile = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  
+  const profile = await MappingProfile.findByName(name);
+  if (!profile) {
+    throw new NotFoundError(`${ERROR_MESSAGES.MAPPING_PROFILE_NOT_FOUND}: ${name}`);
+  }
+  
+  res.json(profile);
+});
+
+// PUT /api/events/ingest/mapping-profiles/:name (create or replace)
+const saveMappingProfile = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { description, mapping } = req.body;
+  
+  const { inserted, ...profile } = await new MappingProfile({ name, description, mapping }).save();
+  logger.info(`${inserted ? 'Created' : 'Updated'} CSV mapping profile ${name}`);
+  
+  res.status(inserted ? 201 : 200).json(profile);
+});
+
+// DELETE /api/events/ingest/mapping-profiles/:name
+const deleteMappingProfile = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  
+  const deleted = await MappingProfile.delete(name);
+  if (!deleted) {
+    throw new NotFoundError(`${ERROR_MESSAGES.MAPPING_PROFILE_NOT_FOUND}: ${name}`);
+  }
+  
+  res.json({ message: `Mapping profile ${name} deleted` });
+});
+
 module.exports = {
   ingestEvents,
-  getIngestionStatus
+  uploadAndIngestEvents,
+  dryRunIngestion,
+  getIngestionStatus,
+  listIngestionJobs,
+  cancelIngestionJob,
+  retryIngestionJob,
+  listMappingProfiles,
+  getMappingProfile,
+  saveMappingProfile,
+  deleteMappingProfile
 };
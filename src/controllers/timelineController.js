@@ -1,9 +1,12 @@
-const HistoricalEvent = require('../models/HistoricalEvent');
 const EventRepository = require('../repositories/EventRepository');
+const EventExportService = require('../services/EventExportService');
+const TimelineService = require('../services/TimelineService');
+const { getExporter } = require('../exporters');
 const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
 const { ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../config/logger');
 
-// GET /api/timeline/:rootEventId
+// GET /api/timeline/:rootEventId?maxDepth=&startDate=&endDate=&sortBy=&sortOrder=&childLimit=&cursor=&fields=
 const getTimeline = asyncHandler(async (req, res) => {
   const { rootEventId } = req.params;
   
@@ -13,9 +16,8 @@ const getTimeline = asyncHandler(async (req, res) => {
     throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${rootEventId}`);
   }
   
-  // Get the complete hierarchy
-  const hierarchyData = await EventRepository.getTimelineHierarchy(rootEventId);
-  const timeline = HistoricalEvent.buildHierarchy(hierarchyData);
+  // The hierarchy below it, as far as the depth, window and child limit allow
+  const timeline = await TimelineService.getTimeline(rootEventId, req.query);
   
   if (!timeline) {
     throw new NotFoundError(`Timeline for event ${rootEventId} not found`);
@@ -24,6 +26,26 @@ const getTimeline = asyncHandler(async (req, res) => {
   res.json(timeline);
 });
 
+// GET /api/timeline/:rootEventId/export
+const exportTimeline = asyncHandler(async (req, res) => {
+  const { rootEventId } = req.params;
+  const { format } = req.query;
+
+  const rootEvent = await EventRepository.findById(rootEventId);
+  if (!rootEvent) {
+    throw new NotFoundError(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${rootEventId}`);
+  }
+
+  const exporter = getExporter(format);
+  const written = await EventExportService.streamEvents(res, exporter, EventRepository.streamSubtree(rootEventId), {
+    filename: `timeline-${rootEventId}`,
+    context: { root: rootEvent }
+  });
+
+  logger.info(`Exported timeline ${rootEventId} as ${format}: ${written} events`);
+});
+
 module.exports = {
-  getTimeline
+  getTimeline,
+  exportTimeline
 };
@@ -4,6 +4,47 @@ const pool = require('../config/database');
 const logger = require('../config/logger');
 const QUERIES = require('../config/queries');
 
+// Split a SQL script into statements, ignoring comment lines and
+// semicolons inside dollar-quoted function bodies
+function splitSqlStatements(sql) {
+  const statements = [];
+  let current = '';
+  let inDollarQuote = false;
+  
+  sql.split('\n').forEach(line => {
+    if (!inDollarQuote && line.trim().startsWith('--')) {
+      return;
+    }
+    
+    const segments = line.split('$$');
+    segments.forEach((segment, index) => {
+      if (index > 0) {
+        current += '$$';
+        inDollarQuote = !inDollarQuote;
+      }
+      
+      if (inDollarQuote) {
+        current += segment;
+        return;
+      }
+      
+      const parts = segment.split(';');
+      parts.forEach((part, partIndex) => {
+        current += part;
+        if (partIndex < parts.length - 1) {
+          statements.push(current.trim());
+          current = '';
+        }
+      });
+    });
+    
+    current += '\n';
+  });
+  
+  statements.push(current.trim());
+  return statements.filter(stmt => stmt.length > 0);
+}
+
 async function runMigration() {
   try {
     logger.info('Starting database migration...');
@@ -13,10 +54,7 @@ async function runMigration() {
     const schemaSql = await fs.readFile(schemaPath, 'utf8');
     
     // Split the SQL into individual statements
-    const statements = schemaSql
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+    const statements = splitSqlStatements(schemaSql);
     
     // Execute each statement
     for (const statement of statements) {
@@ -67,4 +105,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { runMigration };
+module.exports = { runMigration, splitSqlStatements };
@@ -0,0 +1,74 @@
+const { closesEndPeriod, formatBoundary, parseHistoricalDate } = require('../utils/historicalDate');
+
+/**
+ * Base class for export formats
+ * Subclasses turn stored event rows (as read from historical_events) into the text of a file,
+ * one event at a time, so that exports can be streamed without holding every event.
+ * context holds what the export covers: { root } for a timeline (the root event), {} for a search
+ */
+class BaseExporter {
+
+  // Short format name, as given in ?format=
+  static get format() {
+    throw new Error('Exporter must define a format');
+  }
+
+  static get contentType() {
+    throw new Error(`${this.name} must define a content type`);
+  }
+
+  // File extension of downloads, chosen so that ingestion detects the format again
+  static get extension() {
+    throw new Error(`${this.name} must define an extension`);
+  }
+
+  // Whether ingestion reads the format back (searches only export to these)
+  static get ingestible() {
+    return false;
+  }
+
+  // Text written before the first event (e.g. a header row)
+  static header(context) {
+    return '';
+  }
+
+  // Text for one event, or '' to leave it out; index counts the events written so far
+  static formatEvent(event, index, context) {
+    throw new Error(`${this.name} must implement formatEvent`);
+  }
+
+  // Text written after the last event
+  static footer(context) {
+    return '';
+  }
+
+  // The event's start or end date as text that ingestion reads back to the stored date,
+  // at the event's precision where possible (see utils/historicalDate formatBoundary)
+  static dateText(event, role) {
+    return formatBoundary({
+      date: event[`${role}_date`],
+      earliest: event[`earliest_${role}`],
+      latest: event[`latest_${role}`]
+    }, role, event.date_precision, this.closesEndPeriod(event));
+  }
+
+  // Whether an end date written as a period stands for the end of it, as it did when the event's end
+  // was stored (end_period_closed; see utils/historicalDate closesEndPeriod). Formats that are read back
+  // without that flag write the end as the start of its period, which is how ingestion reads it then
+  static closesEndPeriod(event) {
+    return !this.ingestible && closesEndPeriod(event);
+  }
+
+  // Precision the date is written at by dateText, which may be finer than the event's precision
+  static datePrecision(event, role) {
+    return parseHistoricalDate(this.dateText(event, role)).precision;
+  }
+
+  // Line-based formats cannot hold line breaks, and pipes separate their fields;
+  // breaks become spaces and pipes broken bars (¦)
+  static singleLine(text) {
+    return (text || '').replace(/\r\n|[\r\n]/g, ' ').replace(/\|/g, '¦');
+  }
+}
+
+module.exports = BaseExporter;
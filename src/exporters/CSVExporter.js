@@ -0,0 +1,49 @@
+const BaseExporter = require('./BaseExporter');
+
+// The header CSVConverter.validateCSVFormat expects
+const COLUMNS = ['eventId', 'eventName', 'startDate', 'endDate', 'parentId', 'description'];
+
+/**
+ * Exporter for CSV: a header row, then the pipe-delimited fields in the same order, which
+ * CSVParser reads by position without a column mapping. Fields holding commas or quotes are
+ * quoted, with "" for a quote
+ */
+class CSVExporter extends BaseExporter {
+
+  static get format() {
+    return 'csv';
+  }
+
+  static get contentType() {
+    return 'text/csv; charset=utf-8';
+  }
+
+  static get extension() {
+    return '.csv';
+  }
+
+  static get ingestible() {
+    return true;
+  }
+
+  static header() {
+    return COLUMNS.join(',') + '\n';
+  }
+
+  static formatEvent(event) {
+    return [
+      event.event_id,
+      this.singleLine(event.event_name),
+      this.dateText(event, 'start'),
+      this.dateText(event, 'end'),
+      event.parent_event_id || '',
+      this.singleLine(event.description)
+    ].map(field => this.quote(field)).join(',') + '\n';
+  }
+
+  static quote(field) {
+    return /[",]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }
+}
+
+module.exports = CSVExporter;
@@ -0,0 +1,66 @@
+const BaseExporter = require('./BaseExporter');
+const { eventGeometry } = require('../utils/geometry');
+const { parseHistoricalDate } = require('../utils/historicalDate');
+
+/**
+ * Exporter for GeoJSON-T: a FeatureCollection with a feature per event, located by the geometry
+ * its metadata holds (see utils/geometry; null without one) and placed in time by a "when"
+ * timespan. Each end of the span is the period it falls in ("in": "1450"), or the earliest and
+ * latest instants it may be when the event has uncertainty bounds
+ */
+class GeoJSONTExporter extends BaseExporter {
+
+  static get format() {
+    return 'geojson-t';
+  }
+
+  static get contentType() {
+    return 'application/geo+json; charset=utf-8';
+  }
+
+  static get extension() {
+    return '.geojson';
+  }
+
+  static header() {
+    return '{"type":"FeatureCollection","features":[';
+  }
+
+  static formatEvent(event, index) {
+    const feature = {
+      type: 'Feature',
+      id: event.event_id,
+      properties: {
+        title: event.event_name,
+        description: event.description,
+        parent_event_id: event.parent_event_id,
+        date_precision: event.date_precision
+      },
+      geometry: eventGeometry(event.metadata),
+      when: {
+        timespans: [{ start: this.timespanEnd(event, 'start'), end: this.timespanEnd(event, 'end') }]
+      }
+    };
+    return (index > 0 ? ',' : '') + JSON.stringify(feature);
+  }
+
+  static footer() {
+    return ']}';
+  }
+
+  // "in" a period when the end's bounds are just those of the period its date is written as
+  static timespanEnd(event, role) {
+    const date = event[`${role}_date`];
+    const earliest = event[`earliest_${role}`] || date;
+    const latest = event[`latest_${role}`] || date;
+
+    const text = this.dateText(event, role);
+    const period = parseHistoricalDate(text);
+    if (!period.approximate && period.start.getTime() === earliest.getTime() && period.end.getTime() === latest.getTime()) {
+      return { in: text };
+    }
+    return { earliest: earliest.toISOString(), latest: latest.toISOString() };
+  }
+}
+
+module.exports = GeoJSONTExporter;
@@ -0,0 +1,120 @@
+const BaseExporter = require('./BaseExporter');
+const { eventGeometry } = require('../utils/geometry');
+const { DATES, EXPORT } = require('../config/constants');
+
+const [MINUTE] = DATES.PRECISIONS;
+
+// Content lines longer than this many octets are folded onto continuation lines (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Exporter for iCalendar (RFC 5545): one VEVENT per event, with a RELATED-TO property naming its
+ * parent and a GEO property when its metadata holds a point (see utils/geometry). Events at day
+ * precision or coarser become all-day events. iCalendar only has four-digit years, so events
+ * outside the years 1 to 9999 are left out
+ */
+class ICalendarExporter extends BaseExporter {
+
+  static get format() {
+    return 'ical';
+  }
+
+  static get contentType() {
+    return 'text/calendar; charset=utf-8';
+  }
+
+  static get extension() {
+    return '.ics';
+  }
+
+  static header(context = {}) {
+    return this.contentLines([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${EXPORT.ICAL_PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      context.root ? `X-WR-CALNAME:${this.escapeText(context.root.event_name)}` : null
+    ]);
+  }
+
+  static formatEvent(event) {
+    if (![event.start_date, event.end_date].every(date => this.hasCalendarYear(date))) {
+      return '';
+    }
+
+    // DTSTART and DTEND must both be dates or both be date-times
+    const allDay = ['start', 'end'].every(role => this.datePrecision(event, role) !== MINUTE);
+    const dateValue = (date) => (allDay ? `;VALUE=DATE:${this.formatDate(date)}` : `:${this.formatDateTime(date)}`);
+    const geometry = eventGeometry(event.metadata);
+
+    return this.contentLines([
+      'BEGIN:VEVENT',
+      `UID:${event.event_id}`,
+      `DTSTAMP:${this.formatDateTime(event.updated_at || new Date())}`,
+      `DTSTART${dateValue(event.start_date)}`,
+      `DTEND${dateValue(event.end_date)}`,
+      `SUMMARY:${this.escapeText(event.event_name)}`,
+      event.description ? `DESCRIPTION:${this.escapeText(event.description)}` : null,
+      event.parent_event_id ? `RELATED-TO;RELTYPE=PARENT:${event.parent_event_id}` : null,
+      geometry && geometry.type === 'Point' ? `GEO:${geometry.coordinates[1]};${geometry.coordinates[0]}` : null,
+      'END:VEVENT'
+    ]);
+  }
+
+  static footer() {
+    return this.contentLines(['END:VCALENDAR']);
+  }
+
+  static hasCalendarYear(date) {
+    const year = date.getUTCFullYear();
+    return year >= 1 && year <= 9999;
+  }
+
+  // 20240501
+  static formatDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  // 20240501T120000Z (UTC)
+  static formatDateTime(date) {
+    return date.toISOString().replace(/[-:]|\.\d+/g, '');
+  }
+
+  // TEXT values escape backslashes, semicolons, commas and line breaks
+  static escapeText(text) {
+    return text
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|[\r\n]/g, '\\n');
+  }
+
+  // Lines (nulls skipped) folded and ended with CRLF
+  static contentLines(lines) {
+    return lines.filter(line => line !== null).map(line => this.fold(line) + '\r\n').join('');
+  }
+
+  // Continuation lines start with a space, which counts towards their length
+  static fold(line) {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const character of line) {
+      const size = Buffer.byteLength(character);
+      if (octets + size > MAX_LINE_OCTETS) {
+        lines.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += character;
+      octets += size;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n');
+  }
+}
+
+module.exports = ICalendarExporter;
@@ -0,0 +1,80 @@
+const BaseExporter = require('./BaseExporter');
+const { closesEndPeriod, resolveBoundary } = require('../utils/historicalDate');
+const { DATES } = require('../config/constants');
+
+/**
+ * Exporter for newline-delimited JSON, read by NDJSONParser: one event object per line with
+ * its precision, uncertainty bounds and metadata, so that nothing is lost on re-ingestion.
+ * Dates written in another calendar are exported as given, as { date, calendar } objects
+ */
+class NDJSONExporter extends BaseExporter {
+
+  static get format() {
+    return 'ndjson';
+  }
+
+  static get contentType() {
+    return 'application/x-ndjson; charset=utf-8';
+  }
+
+  static get extension() {
+    return '.ndjson';
+  }
+
+  static get ingestible() {
+    return true;
+  }
+
+  static formatEvent(event) {
+    const originals = (event.metadata && event.metadata[DATES.ORIGINAL_DATES_KEY]) || {};
+    // An original end date is kept where it still reads back to the stored one, as it does with the
+    // row's end_period_closed
+    const originalEnd = this.readBack(event, 'end', originals.end_date);
+    const dates = {
+      start: originals.start_date || this.dateText(event, 'start'),
+      end: originalEnd && originalEnd.date.getTime() === event.end_date.getTime()
+        ? originals.end_date
+        : this.dateText(event, 'end')
+    };
+    // Bounds are read in the calendar of their side's date, so next to a converted date they say they are Gregorian.
+    // A bound stored as null equals its date, which is written out where the date as written reads back another bound
+    const bound = (field) => {
+      if (originals[field]) return originals[field];
+      const [limit, role] = field.split('_');
+      const readBack = event[field] ? null : this.readBack(event, role, dates[role]);
+      if (!event[field] && !(readBack && readBack[limit])) return null;
+      const date = (event[field] || event[`${role}_date`]).toISOString();
+      return dates[role] === originals[`${role}_date`] ? { date, calendar: DATES.DEFAULT_CALENDAR } : date;
+    };
+
+    return JSON.stringify({
+      event_id: event.event_id,
+      event_name: event.event_name,
+      description: event.description,
+      start_date: dates.start,
+      end_date: dates.end,
+      parent_event_id: event.parent_event_id,
+      date_precision: event.date_precision,
+      end_period_closed: event.end_period_closed,
+      ...Object.fromEntries(DATES.BOUND_FIELDS.map(field => [field, bound(field)])),
+      metadata: event.metadata
+    }) + '\n';
+  }
+
+  // Rows state end_period_closed, which says how ingestion reads their end dates
+  static closesEndPeriod(event) {
+    return closesEndPeriod(event);
+  }
+
+  // What ingestion resolves a written start or end date of the row to, or null
+  static readBack(event, role, value) {
+    if (!value) return null;
+    try {
+      return resolveBoundary(value, role, `${role}_date`, {}, DATES.DEFAULT_CALENDAR, role === 'start' || this.closesEndPeriod(event));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = NDJSONExporter;
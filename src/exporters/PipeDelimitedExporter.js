@@ -0,0 +1,39 @@
+const BaseExporter = require('./BaseExporter');
+
+/**
+ * Exporter for the native pipe-delimited layout read by PipeDelimitedParser:
+ * EVENT_ID|EVENT_NAME|START_DATE|END_DATE|PARENT_ID_OR_NULL|DESCRIPTION
+ * The layout has no room for metadata or uncertainty bounds beyond what a date like
+ * "circa 1450" says; use NDJSON for complete backups
+ */
+class PipeDelimitedExporter extends BaseExporter {
+
+  static get format() {
+    return 'pipe';
+  }
+
+  static get contentType() {
+    return 'text/plain; charset=utf-8';
+  }
+
+  static get extension() {
+    return '.txt';
+  }
+
+  static get ingestible() {
+    return true;
+  }
+
+  static formatEvent(event) {
+    return [
+      event.event_id,
+      this.singleLine(event.event_name),
+      this.dateText(event, 'start'),
+      this.dateText(event, 'end'),
+      event.parent_event_id || 'NULL',
+      this.singleLine(event.description)
+    ].join('|') + '\n';
+  }
+}
+
+module.exports = PipeDelimitedExporter;
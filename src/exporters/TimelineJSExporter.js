@@ -0,0 +1,88 @@
+const BaseExporter = require('./BaseExporter');
+const { DATES } = require('../config/constants');
+
+const [MINUTE, DAY, MONTH] = DATES.PRECISIONS;
+
+/**
+ * Exporter for TimelineJS (timeline.knightlab.com) JSON: a slide per event, with the timeline's
+ * root event as the title slide and as an era spanning the whole timeline. Dates give as many of
+ * year, month, day and time as their precision holds, so that "1450" shows as a year.
+ * Headlines and texts are HTML in TimelineJS, and are escaped
+ */
+class TimelineJSExporter extends BaseExporter {
+
+  static get format() {
+    return 'timelinejs';
+  }
+
+  static get contentType() {
+    return 'application/json; charset=utf-8';
+  }
+
+  static get extension() {
+    return '.json';
+  }
+
+  static header(context = {}) {
+    const { root } = context;
+    if (!root) {
+      return '{"events":[';
+    }
+
+    const title = { text: this.slideText(root) };
+    const era = {
+      start_date: this.slideDate(root, 'start'),
+      end_date: this.slideDate(root, 'end'),
+      text: { headline: this.escapeHtml(root.event_name) }
+    };
+    return `{"title":${JSON.stringify(title)},"eras":[${JSON.stringify(era)}],"events":[`;
+  }
+
+  static formatEvent(event, index) {
+    const slide = {
+      unique_id: event.event_id,
+      start_date: this.slideDate(event, 'start'),
+      end_date: this.slideDate(event, 'end'),
+      text: this.slideText(event)
+    };
+    return (index > 0 ? ',' : '') + JSON.stringify(slide);
+  }
+
+  static footer() {
+    return ']}';
+  }
+
+  static slideText(event) {
+    return {
+      headline: this.escapeHtml(event.event_name),
+      text: this.escapeHtml(event.description || '')
+    };
+  }
+
+  // { year, month, day, hour, minute, second } down to the precision the date is written at.
+  // An end date that closes its period names the last period the event covers (1450, not 1451)
+  static slideDate(event, role) {
+    const precision = this.datePrecision(event, role);
+    const stored = event[`${role}_date`];
+    const closed = role === 'end' && precision !== MINUTE && this.closesEndPeriod(event);
+    const date = closed ? new Date(stored.getTime() - 1) : stored;
+
+    const slideDate = { year: date.getUTCFullYear() };
+    if (precision === MONTH || precision === DAY || precision === MINUTE) slideDate.month = date.getUTCMonth() + 1;
+    if (precision === DAY || precision === MINUTE) slideDate.day = date.getUTCDate();
+    if (precision === MINUTE) {
+      Object.assign(slideDate, { hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds() });
+    }
+    return slideDate;
+  }
+
+  static escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = TimelineJSExporter;
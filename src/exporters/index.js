@@ -0,0 +1,36 @@
+const PipeDelimitedExporter = require('./PipeDelimitedExporter');
+const CSVExporter = require('./CSVExporter');
+const NDJSONExporter = require('./NDJSONExporter');
+const ICalendarExporter = require('./ICalendarExporter');
+const TimelineJSExporter = require('./TimelineJSExporter');
+const GeoJSONTExporter = require('./GeoJSONTExporter');
+
+/**
+ * Export format registry, keyed by the format name clients ask for
+ * Ingestible formats round-trip through ingestion; the others are for publishing timelines elsewhere
+ */
+
+const EXPORTERS = {
+  [NDJSONExporter.format]: NDJSONExporter,
+  [CSVExporter.format]: CSVExporter,
+  [PipeDelimitedExporter.format]: PipeDelimitedExporter,
+  [ICalendarExporter.format]: ICalendarExporter,
+  [TimelineJSExporter.format]: TimelineJSExporter,
+  [GeoJSONTExporter.format]: GeoJSONTExporter
+};
+
+const INGESTIBLE_FORMATS = Object.keys(EXPORTERS).filter(format => EXPORTERS[format].ingestible);
+
+function getExporter(format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return exporter;
+}
+
+module.exports = {
+  EXPORTERS,
+  INGESTIBLE_FORMATS,
+  getExporter
+};
@@ -1,6 +1,10 @@
 const { v4: uuidv4 } = require('uuid');
 const HistoricalEvent = require('../models/HistoricalEvent');
-const { VALIDATION, ERROR_MESSAGES } = require('../config/constants');
+const { resolveBoundary, isSupportedCalendar, isValidPrecision, coarsestPrecision, closesEndPeriod } = require('../utils/historicalDate');
+const { VALIDATION, DATES, ERROR_MESSAGES } = require('../config/constants');
+
+// Every field that takes a date, in any calendar
+const DATE_INPUT_FIELDS = ['start_date', 'end_date', ...DATES.BOUND_FIELDS];
 
 /**
  * Factory Pattern for creating HistoricalEvent instances
@@ -16,18 +20,32 @@ class EventFactory {
 
   static createFromFileLine(line, lineNumber) {
     const parsedData = this.parseFileLine(line, lineNumber);
-    return this.createFromRawData(parsedData);
+    // Blank lines carry no event
+    return parsedData ? this.createFromRawData(parsedData) : null;
   }
 
   static validateAndNormalize(data) {
+    const calendar = this.validateCalendar(data.calendar);
+    const endPeriodClosed = closesEndPeriod(data);
+    const start = this.validateDate(data.start_date, 'start_date', 'start', {
+      earliest: data.earliest_start,
+      latest: data.latest_start
+    }, calendar);
+    const end = this.validateDate(data.end_date, 'end_date', 'end', {
+      earliest: data.earliest_end,
+      latest: data.latest_end
+    }, calendar, endPeriodClosed);
+
     const normalized = {
       event_id: data.event_id || uuidv4(),
       event_name: this.validateEventName(data.event_name),
       description: this.validateDescription(data.description),
-      start_date: this.validateDate(data.start_date, 'start_date'),
-      end_date: this.validateDate(data.end_date, 'end_date'),
+      start_date: start.date,
+      end_date: end.date,
       parent_event_id: this.validateParentId(data.parent_event_id),
-      metadata: data.metadata || {}
+      metadata: this.withOriginalDates(data.metadata || {}, data, calendar),
+      ...this.boundaryFields(start, end, data.date_precision),
+      end_period_closed: endPeriodClosed
     };
 
     // Validate date order
@@ -55,7 +73,7 @@ class EventFactory {
 
     const parts = line.split('|');
     if (parts.length !== 6) {
-      throw new Error(`Line ${lineNumber}: Expected 6 fields, got ${parts.length}`);
+      throw new Error(`Expected 6 fields, got ${parts.length}`);
     }
 
     const [eventId, eventName, startDateStr, endDateStr, parentIdStr, description] = parts;
@@ -98,17 +116,119 @@ class EventFactory {
     return trimmed || null;
   }
 
-  static validateDate(date, fieldName) {
+  // Exact or approximate date (see utils/historicalDate); role is 'start' or 'end' of the event.
+  // A { date, calendar } value overrides the event's calendar. Returns { date, earliest, latest, precision }
+  static validateDate(date, fieldName, role = 'start', bounds = {}, calendar = DATES.DEFAULT_CALENDAR, closesPeriod = true) {
     if (!date) {
       throw new Error(`${ERROR_MESSAGES.MISSING_REQUIRED_FIELDS}: ${fieldName}`);
     }
 
-    const dateObj = new Date(date);
-    if (isNaN(dateObj.getTime())) {
-      throw new Error(`${ERROR_MESSAGES.INVALID_DATE}: ${fieldName}`);
+    const ownCalendar = this.calendarOf(date, calendar);
+    return resolveBoundary(date, role, fieldName, bounds, ownCalendar, closesPeriod);
+  }
+
+  // Calendar the event's dates are written in, lower-cased; the default (Gregorian) when not given
+  static validateCalendar(calendar) {
+    if (!calendar) {
+      return DATES.DEFAULT_CALENDAR;
+    }
+
+    const name = String(calendar).trim().toLowerCase();
+    if (!isSupportedCalendar(name)) {
+      throw new Error(`${ERROR_MESSAGES.INVALID_CALENDAR}: ${calendar} (expected ${DATES.CALENDARS.join(', ')})`);
+    }
+    return name;
+  }
+
+  // Calendar of one date value: its own for { date, calendar }, otherwise the event's
+  static calendarOf(value, calendar) {
+    return value && typeof value === 'object' && !(value instanceof Date)
+      ? this.validateCalendar(value.calendar || calendar)
+      : calendar;
+  }
+
+  // Keep dates written in a non-default calendar as given, under metadata[DATES.ORIGINAL_DATES_KEY],
+  // so that reads echo them back. Originals of the replaced fields are dropped first
+  static withOriginalDates(metadata, data, calendar, replaced = DATE_INPUT_FIELDS) {
+    const { [DATES.ORIGINAL_DATES_KEY]: previous, ...rest } = metadata;
+    const originals = { ...previous };
+    replaced.forEach(field => { delete originals[field]; });
+
+    DATE_INPUT_FIELDS.forEach(field => {
+      const value = data[field];
+      if (value === undefined || value === null || value instanceof Date) return;
+
+      const fieldCalendar = this.calendarOf(value, calendar);
+      if (fieldCalendar !== DATES.DEFAULT_CALENDAR) {
+        originals[field] = { date: typeof value === 'object' ? value.date : value, calendar: fieldCalendar };
+      }
+    });
+
+    return Object.keys(originals).length > 0 ? { ...rest, [DATES.ORIGINAL_DATES_KEY]: originals } : rest;
+  }
+
+  // Bound and precision columns for a resolved start and end; an explicit precision overrides the parsed one
+  static boundaryFields(start, end, precision) {
+    if (precision && !isValidPrecision(precision)) {
+      throw new Error(`${ERROR_MESSAGES.INVALID_DATE_PRECISION}: ${precision} (expected ${DATES.PRECISIONS.join(', ')})`);
+    }
+
+    return {
+      date_precision: precision || coarsestPrecision(start.precision, end.precision),
+      earliest_start: start.earliest,
+      latest_start: start.latest,
+      earliest_end: end.earliest,
+      latest_end: end.latest
+    };
+  }
+
+  // Normalise the date fields of a partial update against the stored event.
+  // A side whose date is left unchanged keeps its stored bounds unless new ones are given;
+  // precision becomes the coarser of the stored one and that of the new dates.
+  static normalizeDateUpdates(changes, existing) {
+    // calendar only says how the given dates are written; it is not stored as such
+    const { calendar: calendarName, ...updates } = changes;
+    const given = (field) => updates[field] !== undefined;
+    if (![...DATE_INPUT_FIELDS, 'date_precision'].some(given)) {
+      return updates;
+    }
+
+    const calendar = this.validateCalendar(calendarName);
+    const replaced = [];
+    const resolveSide = (role) => {
+      const field = `${role}_date`;
+      const keep = !given(field);
+      const bound = (name) => (given(name) ? updates[name] : (keep ? existing[name] : undefined));
+      // A new date re-derives both of its bounds
+      const sideFields = [field, `earliest_${role}`, `latest_${role}`];
+      replaced.push(...(keep ? sideFields.filter(given) : sideFields));
+
+      return this.validateDate(keep ? existing[field] : updates[field], field, role, {
+        earliest: bound(`earliest_${role}`),
+        latest: bound(`latest_${role}`)
+      }, calendar, closesEndPeriod(updates));
+    };
+
+    const start = resolveSide('start');
+    const end = resolveSide('end');
+    if (end.date <= start.date) {
+      throw new Error(ERROR_MESSAGES.END_DATE_BEFORE_START);
     }
 
-    return dateObj;
+    const bothDatesGiven = given('start_date') && given('end_date');
+    const precision = updates.date_precision || (bothDatesGiven
+      ? coarsestPrecision(start.precision, end.precision)
+      : coarsestPrecision(existing.date_precision, start.precision, end.precision));
+
+    return {
+      ...updates,
+      start_date: start.date,
+      end_date: end.date,
+      metadata: this.withOriginalDates(updates.metadata || existing.metadata || {}, updates, calendar, replaced),
+      ...this.boundaryFields(start, end, precision),
+      // How a stored end date was read stays with it until a new one is given
+      end_period_closed: given('end_date') ? closesEndPeriod(updates) : existing.end_period_closed
+    };
   }
 
   static validateParentId(parentId) {
@@ -17,6 +17,10 @@ class NotFoundError extends AppError {
   constructor(message = 'Resource not found') { super(message, 404); }
 }
 
+class ConflictError extends AppError {
+  constructor(message) { super(message, 409); }
+}
+
 class DatabaseError extends AppError {
   constructor(message) { super(message, 500); }
 }
@@ -103,5 +107,6 @@ module.exports = {
   AppError,
   ValidationError,
   NotFoundError,
+  ConflictError,
   DatabaseError
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+const multer = require('multer');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const { FILE_PROCESSING } = require('../config/constants');
+const { ValidationError } = require('./errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * Multipart upload middleware for ingestion files
+ * Uploaded files are streamed to a temporary directory and removed once the job finishes
+ */
+
+const storage = multer.diskStorage({
+  destination: FILE_PROCESSING.UPLOAD_DIR,
+  filename: (req, file, cb) => {
+    // Keep the original extension so format detection still works downstream
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, `upload-${Date.now()}-${uuidv4().substring(0, 8)}${extension}`);
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (!FILE_PROCESSING.ALLOWED_EXTENSIONS.includes(extension)) {
+    return cb(new ValidationError(
+      `Unsupported file type: ${extension || 'none'} (allowed: ${FILE_PROCESSING.ALLOWED_EXTENSIONS.join(', ')})`
+    ));
+  }
+  cb(null, true);
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: FILE_PROCESSING.MAX_FILE_SIZE,
+    files: 1
+  }
+});
+
+// Remove the uploaded file if the request is rejected after the upload completed
+const removeUploadOnFailure = (req, res, next) => {
+  res.on('finish', () => {
+    if (req.file && res.statusCode >= 400) {
+      fs.unlink(req.file.path, (error) => {
+        if (error && error.code !== 'ENOENT') {
+          logger.warn(`Failed to remove rejected upload ${req.file.path}: ${error.message}`);
+        }
+      });
+    }
+  });
+  next();
+};
+
+// Single file upload under the configured field name
+const uploadIngestFile = [
+  upload.single(FILE_PROCESSING.UPLOAD_FIELD_NAME),
+  removeUploadOnFailure
+];
+
+module.exports = {
+  uploadIngestFile
+};
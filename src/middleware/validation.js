@@ -1,25 +1,257 @@
 const Joi = require('joi');
-const { JOB_STATUS } = require('../config/constants');
+const { JOB_STATUS, CONFLICT_MODES, COLUMN_MAPPING, BULK_OPERATIONS, HIERARCHY, DATES, API, PAGINATION, TIMELINE, EXPORT } = require('../config/constants');
+const { isValidDateFormat } = require('../utils/dateFormat');
+const { parseHistoricalDate, clampToSupportedRange, closesEndPeriod } = require('../utils/historicalDate');
+const { isMetadataParameter, parseMetadataFilters } = require('../utils/metadataFilter');
+const { parseFilterTree } = require('../utils/filterTree');
+const { decodeCursor } = require('../utils/cursor');
+const { EXPORTERS, INGESTIBLE_FORMATS } = require('../exporters');
+
+// Multipart text fields arrive as strings, so objects may also be sent JSON-encoded
+const JoiJSON = Joi.extend({
+  type: 'object',
+  base: Joi.object(),
+  coerce: {
+    from: 'string',
+    method(value, helpers) {
+      try {
+        return { value: JSON.parse(value) };
+      } catch (error) {
+        return { errors: [helpers.error('object.base', { type: 'object' })] };
+      }
+    }
+  }
+});
 
 const uuidSchema = Joi.string().pattern(/^[0-9a-f-]{36}$/i).message('Must be a valid UUID format');
 
-const dateSchema = Joi.date().iso();
+// Query boundaries take the same dates as events ("1450", "500 BCE", ISO 8601), converted to the
+// instant their period begins, or ends for upper boundaries (kept within the storable range)
+const boundaryDateSchema = (edge) => Joi.string().custom((value, helpers) => {
+  const period = parseHistoricalDate(value);
+  if (!period) {
+    return helpers.error('any.invalid', { message: 'Must be an ISO 8601 or historical date' });
+  }
+  return clampToSupportedRange(period[edge]);
+});
+
+const dateSchema = boundaryDateSchema('start');
+const endDateSchema = boundaryDateSchema('end');
+
+const calendarSchema = Joi.string().lowercase().valid(...DATES.CALENDARS);
+
+// Event dates may be exact or approximate ("1450", "1066-05", "spring 1066", "circa 1450"), and
+// { date, calendar } when written in a calendar of their own. They are read in the event's calendar
+// by checkEventDates and stay as given here so that EventFactory can record precision and originals
+const historicalDateSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({ date: Joi.string().required(), calendar: calendarSchema.required() })
+);
+
+// Calendar, precision and uncertainty bounds that may accompany start_date/end_date
+const dateUncertaintyFields = {
+  calendar: calendarSchema.optional(),
+  date_precision: Joi.string().valid(...DATES.PRECISIONS).optional(),
+  end_period_closed: Joi.boolean().optional(),
+  earliest_start: historicalDateSchema.allow(null).optional(),
+  latest_start: historicalDateSchema.allow(null).optional(),
+  earliest_end: historicalDateSchema.allow(null).optional(),
+  latest_end: historicalDateSchema.allow(null).optional()
+};
+
+// Every date of an event body must read in its calendar, and the end date (the end of its period
+// with a stated precision or end_period_closed, else its start; see utils/historicalDate closesEndPeriod)
+// must come after the start date's period begins
+const checkEventDates = (value, helpers) => {
+  const periods = {};
+  for (const field of ['start_date', 'end_date', ...DATES.BOUND_FIELDS]) {
+    if (value[field] === undefined || value[field] === null) continue;
+
+    periods[field] = parseHistoricalDate(value[field], value.calendar);
+    if (!periods[field]) {
+      return helpers.message(`${field} must be an ISO 8601, approximate or historical date`);
+    }
+  }
+
+  const endEdge = closesEndPeriod(value) ? 'end' : 'start';
+  if (periods.start_date && periods.end_date && periods.end_date[endEdge] <= periods.start_date.start) {
+    return helpers.message('end_date must be after start_date');
+  }
+  return value;
+};
+
+const SEARCH_SORT_FIELDS = ['start_date', 'end_date', 'event_name', 'duration_minutes'];
+
+// Keyset cursors (utils/cursor) are decoded here; a listing with a fixed sort only takes its own cursors
+const cursorSchema = (fixedSort = null) => Joi.string().max(PAGINATION.MAX_CURSOR_LENGTH).custom((value, helpers) => {
+  const cursor = decodeCursor(value);
+  if (!cursor || (fixedSort && (cursor.sortBy !== fixedSort.sortBy || cursor.sortOrder !== fixedSort.sortOrder))) {
+    return helpers.message('Invalid cursor');
+  }
+  return cursor;
+});
+
+// Pages are chosen by cursor or by position, not both
+const pageSchema = Joi.number().integer().min(1)
+  .when('cursor', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.optional().default(1) });
+const offsetSchema = Joi.number().integer().min(0)
+  .when('cursor', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.optional().default(0) });
+
+// A search cursor carries the sort of the results it came from, which an explicit sortBy/sortOrder must match
+const applyCursorSort = (value, helpers) => {
+  const { cursor } = value;
+  if (!cursor) return value;
+
+  const sortFields = value.q ? [...SEARCH_SORT_FIELDS, API.RELEVANCE_SORT] : SEARCH_SORT_FIELDS;
+  if (!sortFields.includes(cursor.sortBy)) {
+    return helpers.message('Invalid cursor');
+  }
+  if ((value.sortBy && value.sortBy !== cursor.sortBy) || (value.sortOrder && value.sortOrder !== cursor.sortOrder)) {
+    return helpers.message('The cursor belongs to results sorted differently; omit sortBy/sortOrder or start again');
+  }
+  return { ...value, sortBy: cursor.sortBy, sortOrder: cursor.sortOrder };
+};
+
+// metadata.<path> search parameters become metadataFilters (see utils/metadataFilter)
+const METADATA_PARAMETER = /^metadata\./;
+
+const metadataParameterSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().items(Joi.string()),
+  Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())))
+);
+
+const readMetadataFilters = (value, helpers) => {
+  let metadataFilters;
+  try {
+    metadataFilters = parseMetadataFilters(value);
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+
+  const filters = Object.fromEntries(Object.entries(value).filter(([name]) => !isMetadataParameter(name)));
+  return metadataFilters.length > 0 ? { ...filters, metadataFilters } : filters;
+};
+
+// Filters shared by event search and export
+const searchFilterFields = {
+  q: Joi.string().trim().min(1).max(500).optional(),
+  name: Joi.string().min(1).max(255).optional(),
+  start_date_after: dateSchema.optional(),
+  end_date_before: endDateSchema.optional(),
+  // Relevance only exists for full-text searches
+  sortBy: Joi.string().when('q', {
+    is: Joi.exist(),
+    then: Joi.valid(...SEARCH_SORT_FIELDS, API.RELEVANCE_SORT),
+    otherwise: Joi.valid(...SEARCH_SORT_FIELDS)
+  }).optional(),
+  sortOrder: Joi.string().valid('asc', 'desc').optional()
+};
+
+// Searches export to the formats ingestion reads back; timelines also to iCalendar, TimelineJS and GeoJSON-T
+const exportFormatSchema = (formats) => Joi.string().lowercase().valid(...formats).default(EXPORT.DEFAULT_FORMAT);
+
+const conflictModeSchema = Joi.string().valid(...Object.values(CONFLICT_MODES)).default(CONFLICT_MODES.ERROR);
+
+const mappingProfileNameSchema = Joi.string().pattern(/^[A-Za-z0-9_.-]{1,100}$/)
+  .message('Must be 1-100 letters, digits, dots, dashes or underscores');
+
+// CSV column mapping: header -> event field, header -> metadata key, header -> date format
+const columnMappingSchema = JoiJSON.object({
+  columns: Joi.object()
+    .pattern(Joi.string().min(1), Joi.string().valid(...COLUMN_MAPPING.EVENT_FIELDS))
+    .required(),
+  metadata: Joi.object().pattern(Joi.string().min(1), Joi.string().min(1).max(100)).default({}),
+  dateFormats: Joi.object().pattern(Joi.string().min(1), Joi.string().custom((value, helpers) => (
+    isValidDateFormat(value)
+      ? value
+      : helpers.message('Date formats must contain YYYY, MM and DD once each, or be iso, unix or unix_ms')
+  ))).default({}),
+  delimiter: Joi.string().length(1).default(COLUMN_MAPPING.DEFAULT_DELIMITER)
+}).custom((value, helpers) => {
+  const fields = Object.values(value.columns);
+  const missing = COLUMN_MAPPING.REQUIRED_FIELDS.filter(field => !fields.includes(field));
+  if (missing.length > 0) {
+    return helpers.message(`Column mapping must map a column to: ${missing.join(', ')}`);
+  }
+  const repeated = fields.filter((field, index) => fields.indexOf(field) !== index);
+  if (repeated.length > 0) {
+    return helpers.message(`Column mapping maps more than one column to: ${[...new Set(repeated)].join(', ')}`);
+  }
+  return value;
+});
 
 // Validation schemas
 const schemas = {
   // File ingestion validation
+  // A CSV column mapping is given inline (mapping) or by saved profile name (mappingProfile)
   ingestFile: Joi.object({
-    filePath: Joi.string().required().min(1).max(500)
+    filePath: Joi.string().required().min(1).max(500),
+    onConflict: conflictModeSchema,
+    mapping: columnMappingSchema.optional(),
+    mappingProfile: mappingProfileNameSchema.optional()
+  }).oxor('mapping', 'mappingProfile'),
+
+  // Uploaded file ingestion validation (multipart text fields)
+  ingestUpload: Joi.object({
+    onConflict: conflictModeSchema,
+    mapping: columnMappingSchema.optional(),
+    mappingProfile: mappingProfileNameSchema.optional()
+  }).oxor('mapping', 'mappingProfile'),
+
+  // Dry-run validation (filePath, or a multipart upload handled before this schema)
+  ingestDryRun: Joi.object({
+    filePath: Joi.string().min(1).max(500).optional(),
+    onConflict: conflictModeSchema,
+    mapping: columnMappingSchema.optional(),
+    mappingProfile: mappingProfileNameSchema.optional()
+  }).oxor('mapping', 'mappingProfile'),
+
+  // Saved CSV mapping profile validation
+  mappingProfileParams: Joi.object({
+    name: mappingProfileNameSchema.required()
+  }),
+
+  mappingProfile: Joi.object({
+    description: Joi.string().max(500).allow(null, '').optional(),
+    mapping: columnMappingSchema.required()
   }),
 
   // Search validation
+  // (sortBy/sortOrder default in EventRepository.search: relevance, descending, for full-text searches)
   searchEvents: Joi.object({
-    name: Joi.string().min(1).max(255).optional(),
-    start_date_after: dateSchema.optional(),
-    end_date_before: dateSchema.optional(),
-    sortBy: Joi.string().valid('start_date', 'end_date', 'event_name', 'duration_minutes').default('start_date'),
-    sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
-    page: Joi.number().integer().min(1).default(1),
+    ...searchFilterFields,
+    cursor: cursorSchema().optional(),
+    page: pageSchema,
+    limit: Joi.number().integer().min(1).max(100).default(10)
+  }).pattern(METADATA_PARAMETER, metadataParameterSchema).custom(readMetadataFilters).custom(applyCursorSort),
+
+  // Export of every search match (no pages)
+  exportEvents: Joi.object({
+    ...searchFilterFields,
+    format: exportFormatSchema(INGESTIBLE_FORMATS)
+  }).pattern(METADATA_PARAMETER, metadataParameterSchema).custom(readMetadataFilters),
+
+  // Boolean filter tree search (POST /api/events/query), checked and read by utils/filterTree
+  queryEvents: Joi.object({
+    filter: Joi.object().unknown(true).required().custom((value, helpers) => {
+      try {
+        return parseFilterTree(value);
+      } catch (error) {
+        return helpers.message(error.message);
+      }
+    }),
+    sortBy: Joi.string().valid(...SEARCH_SORT_FIELDS).optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional(),
+    cursor: cursorSchema().optional(),
+    page: pageSchema,
+    limit: Joi.number().integer().min(1).max(100).default(10)
+  }).custom(applyCursorSort),
+
+  // Event listing (by start date)
+  listEvents: Joi.object({
+    cursor: cursorSchema({ sortBy: API.DEFAULT_SORT_BY, sortOrder: API.DEFAULT_SORT_ORDER }).optional(),
+    page: pageSchema,
     limit: Joi.number().integer().min(1).max(100).default(10)
   }),
 
@@ -28,28 +260,117 @@ const schemas = {
     rootEventId: uuidSchema.required()
   }),
 
+  // Part of a timeline: levels below the root, a date window, sibling order, children per event
+  // (the root's read on from a cursor) and the event fields returned
+  timelineQuery: Joi.object({
+    maxDepth: Joi.number().integer().min(0).optional(),
+    startDate: dateSchema.optional(),
+    endDate: endDateSchema.optional(),
+    sortBy: Joi.string().valid(...SEARCH_SORT_FIELDS).optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional(),
+    childLimit: Joi.number().integer().min(1).max(TIMELINE.MAX_CHILD_LIMIT).optional(),
+    cursor: cursorSchema().optional(),
+    fields: Joi.string().custom((value, helpers) => {
+      const fields = [...new Set(value.split(',').map(field => field.trim()).filter(Boolean))];
+      const unknown = fields.filter(field => !TIMELINE.FIELDS.includes(field));
+      if (fields.length === 0) {
+        return helpers.message('fields must name at least one field');
+      }
+      if (unknown.length > 0) {
+        return helpers.message(`Unknown fields: ${unknown.join(', ')} (available: ${TIMELINE.FIELDS.join(', ')})`);
+      }
+      return fields;
+    }).optional()
+  }).custom((value, helpers) => {
+    if (value.startDate && value.endDate && new Date(value.endDate) < new Date(value.startDate)) {
+      return helpers.message('endDate must not be before startDate');
+    }
+    // Cursors only read on to further children
+    if (value.cursor && value.cursor.direction !== PAGINATION.DIRECTIONS.NEXT) {
+      return helpers.message('Invalid cursor');
+    }
+    return value;
+  }).custom(applyCursorSort),
+
+  // Where an event sits: its children as in a timeline
+  lineageQuery: Joi.object({
+    sortBy: Joi.string().valid(...SEARCH_SORT_FIELDS).optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional(),
+    childLimit: Joi.number().integer().min(1).max(TIMELINE.MAX_CHILD_LIMIT).optional()
+  }),
+
+  // Sibling and descendant listings
+  hierarchyListQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(HIERARCHY.MAX_LIST_LIMIT).default(HIERARCHY.DEFAULT_LIST_LIMIT),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  descendantsQuery: Joi.object({
+    maxDepth: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(HIERARCHY.MAX_LIST_LIMIT).default(HIERARCHY.DEFAULT_LIST_LIMIT),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  timelineExport: Joi.object({
+    format: exportFormatSchema(Object.keys(EXPORTERS))
+  }),
+
+  // Event revision history validation
+  eventIdParams: Joi.object({
+    eventId: uuidSchema.required()
+  }),
+
+  eventHistoryQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  revertEventParams: Joi.object({
+    eventId: uuidSchema.required(),
+    revision: Joi.number().integer().min(1).required()
+  }),
+
+  // Reparent an event with its subtree; null moves it to the top level
+  moveEvent: Joi.object({
+    parentEventId: uuidSchema.allow(null).required(),
+    enforceDateRange: Joi.boolean().default(false)
+  }),
+
+  // Delete is soft unless permanent; dryRun only previews the affected subtree
+  deleteEventQuery: Joi.object({
+    permanent: Joi.boolean().default(false),
+    dryRun: Joi.boolean().default(false)
+  }),
+
   // Job status validation
   jobStatusParams: Joi.object({
     jobId: Joi.string().required().min(1).max(100)
   }),
 
-  // Job status filter validation (for potential filtering endpoints)
+  // Job status filter validation (ingestion job listing)
   jobStatusFilter: Joi.object({
     status: Joi.string().valid(...Object.values(JOB_STATUS)).optional(),
+    cursor: cursorSchema({ sortBy: 'created_at', sortOrder: 'desc' }).optional(),
     limit: Joi.number().integer().min(1).max(100).default(10),
-    offset: Joi.number().integer().min(0).default(0)
+    offset: offsetSchema
   }),
 
   // Overlapping events validation
   overlappingEvents: Joi.object({
     startDate: dateSchema.optional(),
-    endDate: dateSchema.optional()
+    endDate: endDateSchema.optional()
+  }),
+
+  // Event statistics validation (defaults to the last 30 days like overlapping events)
+  eventStatistics: Joi.object({
+    startDate: dateSchema.optional(),
+    endDate: endDateSchema.optional()
   }),
 
   // Temporal gaps validation
   temporalGaps: Joi.object({
     startDate: dateSchema.required(),
-    endDate: dateSchema.required()
+    endDate: endDateSchema.required()
   }).custom((value, helpers) => {
     if (new Date(value.endDate) <= new Date(value.startDate)) {
       return helpers.error('any.invalid', { message: 'endDate must be after startDate' });
@@ -73,30 +394,51 @@ const schemas = {
     event_id: uuidSchema.optional(),
     event_name: Joi.string().required().min(1).max(255),
     description: Joi.string().max(2000).allow(null, '').optional(),
-    start_date: dateSchema.required(),
-    end_date: dateSchema.required(),
+    start_date: historicalDateSchema.required(),
+    end_date: historicalDateSchema.required(),
     parent_event_id: uuidSchema.allow(null).optional(),
-    metadata: Joi.object().default({})
-  }).custom((value, helpers) => {
-    if (new Date(value.end_date) <= new Date(value.start_date)) {
-      return helpers.error('any.invalid', { message: 'end_date must be after start_date' });
-    }
-    return value;
-  }),
+    metadata: Joi.object().default({}),
+    ...dateUncertaintyFields
+  }).custom(checkEventDates),
 
   // Update event validation (all fields optional)
   updateEvent: Joi.object({
     event_name: Joi.string().min(1).max(255).optional(),
     description: Joi.string().max(2000).allow(null, '').optional(),
-    start_date: dateSchema.optional(),
-    end_date: dateSchema.optional(),
+    start_date: historicalDateSchema.optional(),
+    end_date: historicalDateSchema.optional(),
     parent_event_id: uuidSchema.allow(null).optional(),
-    metadata: Joi.object().optional()
-  }).custom((value, helpers) => {
-    if (value.start_date && value.end_date && new Date(value.end_date) <= new Date(value.start_date)) {
-      return helpers.error('any.invalid', { message: 'end_date must be after start_date' });
-    }
-    return value;
+    metadata: Joi.object().optional(),
+    ...dateUncertaintyFields
+  }).with('end_period_closed', 'end_date').custom(checkEventDates),
+
+  // Bulk event operations; event and changes are validated per operation (createEvent / updateEvent)
+  // so that one bad item can be reported without rejecting the whole request
+  bulkEvents: Joi.object({
+    mode: Joi.string().valid(...Object.values(BULK_OPERATIONS.MODES)).default(BULK_OPERATIONS.MODES.ATOMIC),
+    operations: Joi.array().min(1).max(BULK_OPERATIONS.MAX_OPERATIONS).items(Joi.object({
+      op: Joi.string().valid(...Object.values(BULK_OPERATIONS.TYPES)).required(),
+      eventId: uuidSchema.when('op', {
+        is: BULK_OPERATIONS.TYPES.CREATE,
+        then: Joi.forbidden(),
+        otherwise: Joi.required()
+      }),
+      event: Joi.object().when('op', {
+        is: BULK_OPERATIONS.TYPES.CREATE,
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      changes: Joi.object().when('op', {
+        is: BULK_OPERATIONS.TYPES.UPDATE,
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      permanent: Joi.boolean().when('op', {
+        is: BULK_OPERATIONS.TYPES.DELETE,
+        then: Joi.boolean().default(false),
+        otherwise: Joi.forbidden()
+      })
+    })).required()
   })
 };
 
@@ -158,14 +500,33 @@ const validate = (schema, source = 'body') => {
 // Export validation middleware functions
 module.exports = {
   validateIngestFile: validate(schemas.ingestFile, 'body'),
+  validateIngestUpload: validate(schemas.ingestUpload, 'body'),
+  validateIngestDryRun: validate(schemas.ingestDryRun, 'body'),
+  validateMappingProfileParams: validate(schemas.mappingProfileParams, 'params'),
+  validateMappingProfile: validate(schemas.mappingProfile, 'body'),
   validateSearchEvents: validate(schemas.searchEvents, 'query'),
+  validateExportEvents: validate(schemas.exportEvents, 'query'),
+  validateQueryEvents: validate(schemas.queryEvents, 'body'),
+  validateListEvents: validate(schemas.listEvents, 'query'),
   validateTimelineParams: validate(schemas.timelineParams, 'params'),
+  validateTimelineQuery: validate(schemas.timelineQuery, 'query'),
+  validateTimelineExport: validate(schemas.timelineExport, 'query'),
+  validateLineageQuery: validate(schemas.lineageQuery, 'query'),
+  validateHierarchyListQuery: validate(schemas.hierarchyListQuery, 'query'),
+  validateDescendantsQuery: validate(schemas.descendantsQuery, 'query'),
   validateJobStatusParams: validate(schemas.jobStatusParams, 'params'),
   validateJobStatusFilter: validate(schemas.jobStatusFilter, 'query'),
   validateOverlappingEvents: validate(schemas.overlappingEvents, 'query'),
   validateTemporalGaps: validate(schemas.temporalGaps, 'query'),
+  validateEventStatistics: validate(schemas.eventStatistics, 'query'),
   validateEventInfluence: validate(schemas.eventInfluence, 'query'),
   validateCreateEvent: validate(schemas.createEvent, 'body'),
   validateUpdateEvent: validate(schemas.updateEvent, 'body'),
+  validateBulkEvents: validate(schemas.bulkEvents, 'body'),
+  validateEventIdParams: validate(schemas.eventIdParams, 'params'),
+  validateEventHistoryQuery: validate(schemas.eventHistoryQuery, 'query'),
+  validateRevertEventParams: validate(schemas.revertEventParams, 'params'),
+  validateDeleteEventQuery: validate(schemas.deleteEventQuery, 'query'),
+  validateMoveEvent: validate(schemas.moveEvent, 'body'),
   schemas
 };
@@ -0,0 +1,24 @@
+const pool = require('../config/database');
+const QUERIES = require('../config/queries');
+
+// Read-only view of event_revisions; rows are written by the revision trigger
+class EventRevision {
+
+  // Revisions of an event, newest first
+  static async findByEvent(eventId, limit = 20, offset = 0) {
+    const result = await pool.query(QUERIES.REVISION.FIND_BY_EVENT, [eventId, limit, offset]);
+    return result.rows;
+  }
+
+  static async countByEvent(eventId) {
+    const result = await pool.query(QUERIES.REVISION.COUNT_BY_EVENT, [eventId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  static async findByRevision(eventId, revision) {
+    const result = await pool.query(QUERIES.REVISION.FIND_BY_REVISION, [eventId, revision]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = EventRevision;
@@ -1,7 +1,7 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const QUERIES = require('../config/queries');
-const { replaceQueryPlaceholders, buildWhereClause, buildUpdateClause, buildBatchInsertPlaceholders } = require('../utils/queryBuilder');
+const { replaceQueryPlaceholders, buildWhereClause, buildUpdateClause, buildBatchInsertPlaceholders, buildOnConflictClause, summarizeBatchInsert } = require('../utils/queryBuilder');
 
 class HistoricalEvent {
   constructor(data) {
@@ -12,6 +12,14 @@ class HistoricalEvent {
     this.end_date = data.end_date;
     this.parent_event_id = data.parent_event_id || null;
     this.metadata = data.metadata || {};
+    // Date precision and uncertainty bounds (null bounds equal start_date/end_date)
+    this.date_precision = data.date_precision || 'minute';
+    this.earliest_start = data.earliest_start || null;
+    this.latest_start = data.latest_start || null;
+    this.earliest_end = data.earliest_end || null;
+    this.latest_end = data.latest_end || null;
+    // Whether end_date is the end of the period it was written as, rather than its start
+    this.end_period_closed = Boolean(data.end_period_closed);
   }
 
   // Create a new historical event
@@ -23,7 +31,13 @@ class HistoricalEvent {
       this.start_date,
       this.end_date,
       this.parent_event_id,
-      JSON.stringify(this.metadata)
+      JSON.stringify(this.metadata),
+      this.date_precision,
+      this.earliest_start,
+      this.latest_start,
+      this.earliest_end,
+      this.latest_end,
+      this.end_period_closed
     ];
 
     const result = await pool.query(QUERIES.HISTORICAL_EVENT.SAVE, values);
@@ -48,6 +62,23 @@ class HistoricalEvent {
     return result.rows;
   }
 
+  // Return the subset of the given IDs that already exist (queried in chunks);
+  // soft-deleted events are only counted when includeDeleted is set
+  static async findExistingIds(eventIds, { includeDeleted = true, chunkSize = 1000 } = {}) {
+    const existingIds = new Set();
+    const query = includeDeleted
+      ? QUERIES.HISTORICAL_EVENT.FIND_EXISTING_IDS
+      : QUERIES.HISTORICAL_EVENT.FIND_LIVE_IDS;
+    
+    for (let i = 0; i < eventIds.length; i += chunkSize) {
+      const chunk = eventIds.slice(i, i + chunkSize);
+      const result = await pool.query(query, [chunk]);
+      result.rows.forEach(row => existingIds.add(row.event_id));
+    }
+    
+    return existingIds;
+  }
+
   // Find root events (no parent)
   static async findRootEvents() {
     const result = await pool.query(QUERIES.HISTORICAL_EVENT.FIND_ROOT_EVENTS);
@@ -139,16 +170,19 @@ class HistoricalEvent {
           event_id: row.event1_id,
           event_name: row.event1_name,
           start_date: row.event1_start,
-          end_date: row.event1_end
+          end_date: row.event1_end,
+          date_precision: row.event1_precision
         },
         {
           event_id: row.event2_id,
           event_name: row.event2_name,
           start_date: row.event2_start,
-          end_date: row.event2_end
+          end_date: row.event2_end,
+          date_precision: row.event2_precision
         }
       ],
-      overlap_duration_minutes: Math.round(parseFloat(row.overlap_duration_seconds) / 60)
+      overlap_duration_minutes: Math.round(parseFloat(row.overlap_duration_seconds) / 60),
+      certain: row.certain
     }));
   }
 
@@ -179,7 +213,7 @@ class HistoricalEvent {
 
   // Find shortest path between two events (for event influence)
   static async findShortestPath(sourceEventId, targetEventId) {
-    // First, build the complete hierarchy to understand relationships
+    // The path runs through the deepest common ancestor (see hierarchy_path)
     const result = await pool.query(QUERIES.HISTORICAL_EVENT.FIND_SHORTEST_PATH, [sourceEventId, targetEventId]);
     
     if (result.rows.length === 0) {
@@ -199,11 +233,13 @@ class HistoricalEvent {
   }
 
   // Batch insert events (for file ingestion)
-  static async batchInsert(events) {
-    if (events.length === 0) return [];
+  // onConflict: 'error' (default), 'skip' or 'update' existing event_ids
+  // Pass a transaction client to commit the batch together with other writes
+  static async batchInsert(events, { onConflict, client = pool } = {}) {
+    if (events.length === 0) return summarizeBatchInsert([], 0);
     
     const values = [];
-    const placeholders = buildBatchInsertPlaceholders(events, 7);
+    const placeholders = buildBatchInsertPlaceholders(events, 13);
     
     events.forEach((event) => {
       values.push(
@@ -213,16 +249,23 @@ class HistoricalEvent {
         event.start_date,
         event.end_date,
         event.parent_event_id,
-        JSON.stringify(event.metadata)
+        JSON.stringify(event.metadata),
+        event.date_precision,
+        event.earliest_start,
+        event.latest_start,
+        event.earliest_end,
+        event.latest_end,
+        event.end_period_closed
       );
     });
     
     const query = replaceQueryPlaceholders(QUERIES.HISTORICAL_EVENT.BATCH_INSERT, {
-      PLACEHOLDERS: placeholders
+      PLACEHOLDERS: placeholders,
+      ON_CONFLICT: buildOnConflictClause(onConflict)
     });
     
-    const result = await pool.query(query, values);
-    return result.rows;
+    const result = await client.query(query, values);
+    return summarizeBatchInsert(result.rows, events.length);
   }
 
   // Delete event and all its children
@@ -1,7 +1,10 @@
 const pool = require('../config/database');
 const QUERIES = require('../config/queries');
-const { replaceQueryPlaceholders, buildUpdateClause } = require('../utils/queryBuilder');
-const { JOB_STATUS } = require('../config/constants');
+const { replaceQueryPlaceholders, buildUpdateClause, buildKeysetCondition } = require('../utils/queryBuilder');
+const { fetchOrder, buildPage } = require('../utils/cursor');
+const { JOB_STATUS, CONFLICT_MODES } = require('../config/constants');
+
+const JOB_LISTING_ORDER = 'desc';
 
 class IngestionJob {
   constructor(data) {
@@ -12,6 +15,13 @@ class IngestionJob {
     this.processed_lines = data.processed_lines || 0;
     this.error_lines = data.error_lines || 0;
     this.errors = data.errors || [];
+    this.checkpoint_level = data.checkpoint_level || 0;
+    this.checkpoint_line = data.checkpoint_line || 0;
+    this.conflict_mode = data.conflict_mode || CONFLICT_MODES.ERROR;
+    this.inserted_count = data.inserted_count || 0;
+    this.updated_count = data.updated_count || 0;
+    this.skipped_count = data.skipped_count || 0;
+    this.column_mapping = data.column_mapping || null;
     this.start_time = data.start_time;
     this.end_time = data.end_time;
   }
@@ -27,7 +37,9 @@ class IngestionJob {
       this.error_lines,
       JSON.stringify(this.errors),
       this.start_time,
-      this.end_time
+      this.end_time,
+      this.conflict_mode,
+      this.column_mapping ? JSON.stringify(this.column_mapping) : null
     ];
 
     const result = await pool.query(QUERIES.INGESTION_JOB.SAVE, values);
@@ -41,7 +53,8 @@ class IngestionJob {
   }
 
   // Update job status and progress
-  async updateProgress(updates) {
+  // Pass a transaction client to record progress atomically with the data it describes
+  async updateProgress(updates, client = pool) {
     const { fields, values, paramCount } = buildUpdateClause(updates);
     values.push(this.job_id);
 
@@ -50,7 +63,7 @@ class IngestionJob {
       PARAM_COUNT: `$${paramCount + 1}`
     });
 
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     const updated = result.rows[0];
     
     // Update instance properties
@@ -59,22 +72,23 @@ class IngestionJob {
     return updated;
   }
 
-  // Add error to job
-  async addError(errorMessage) {
+  // Add error to job, with any progress (e.g. a checkpoint) written in the same update
+  async addError(errorMessage, updates = {}) {
     this.errors.push(errorMessage);
     this.error_lines++;
     
     await this.updateProgress({
+      ...updates,
       errors: this.errors,
       error_lines: this.error_lines
     });
   }
 
-  // Mark job as started
+  // Mark job as started (a resumed job keeps its original start time)
   async start() {
     await this.updateProgress({
       status: JOB_STATUS.PROCESSING,
-      start_time: new Date()
+      start_time: this.start_time || new Date()
     });
   }
 
@@ -98,25 +112,98 @@ class IngestionJob {
     });
   }
 
-  // Get all jobs with pagination
-  static async findAll(limit = 10, offset = 0) {
-    const result = await pool.query(QUERIES.INGESTION_JOB.FIND_ALL, [limit, offset]);
-    return result.rows;
+  // Mark job as cancelled
+  async cancel() {
+    await this.updateProgress({
+      status: JOB_STATUS.CANCELLED,
+      end_time: new Date()
+    });
+  }
+
+  // Clear progress so the job can be processed again from the start
+  async reset() {
+    await this.updateProgress({
+      status: JOB_STATUS.PENDING,
+      total_lines: 0,
+      processed_lines: 0,
+      error_lines: 0,
+      errors: [],
+      checkpoint_level: 0,
+      checkpoint_line: 0,
+      inserted_count: 0,
+      updated_count: 0,
+      skipped_count: 0,
+      start_time: null,
+      end_time: null
+    });
   }
 
-  // Get jobs by status
-  static async findByStatus(status) {
-    const result = await pool.query(QUERIES.INGESTION_JOB.FIND_BY_STATUS, [status]);
+  // A page of jobs, newest first, optionally restricted to one status; read from a keyset cursor
+  // (utils/cursor) or at an offset. Returns { rows, hasMore, nextCursor, prevCursor }
+  static async findPage({ status = null, limit = 10, offset = 0, cursor = null } = {}) {
+    const order = fetchOrder(JOB_LISTING_ORDER, cursor);
+    const values = [];
+    const addParam = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const conditions = [];
+    if (status) {
+      conditions.push(`status = ${addParam(status)}`);
+    }
+    if (cursor) {
+      conditions.push(buildKeysetCondition('created_at', 'job_id', order, cursor.key, addParam));
+    }
+
+    const query = replaceQueryPlaceholders(QUERIES.INGESTION_JOB.FIND_PAGE, {
+      WHERE_CLAUSE: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      SORT_ORDER: order,
+      LIMIT_PARAM: addParam(limit + 1),
+      OFFSET_PARAM: addParam(cursor ? 0 : offset)
+    });
+    const result = await pool.query(query, values);
+
+    return buildPage(result.rows, {
+      limit,
+      cursor,
+      offset,
+      sortBy: 'created_at',
+      sortOrder: JOB_LISTING_ORDER,
+      keyOf: (job) => [job.created_at, job.job_id]
+    });
+  }
+
+  // Get jobs that were left unfinished (e.g. by a server restart)
+  static async findUnfinished() {
+    const result = await pool.query(QUERIES.INGESTION_JOB.FIND_UNFINISHED);
     return result.rows;
   }
 
+  // Count jobs, optionally restricted to one status
+  static async count(status = null) {
+    const result = status
+      ? await pool.query(QUERIES.INGESTION_JOB.COUNT_BY_STATUS, [status])
+      : await pool.query(QUERIES.INGESTION_JOB.COUNT_ALL);
+    return parseInt(result.rows[0].count);
+  }
+
   // Delete old completed jobs (cleanup)
   static async deleteOldJobs(daysOld = 30) {
     const query = replaceQueryPlaceholders(QUERIES.INGESTION_JOB.DELETE_OLD_JOBS, {
       DAYS_OLD: daysOld
     });
     const result = await pool.query(query);
-    return result.rows.map(row => row.job_id);
+    return result.rows;
+  }
+
+  // Failed or cancelled jobs that ended more than hoursOld hours ago
+  static async findEndedUnsuccessfully(hoursOld) {
+    const query = replaceQueryPlaceholders(QUERIES.INGESTION_JOB.FIND_ENDED_UNSUCCESSFULLY, {
+      HOURS_OLD: hoursOld
+    });
+    const result = await pool.query(query);
+    return result.rows;
   }
 
   // Static method to get available status values
@@ -128,6 +215,16 @@ class IngestionJob {
   static isValidStatus(status) {
     return Object.values(JOB_STATUS).includes(status);
   }
+
+  // Only jobs that have not finished can be cancelled
+  static isCancellable(status) {
+    return status === JOB_STATUS.PENDING || status === JOB_STATUS.PROCESSING;
+  }
+
+  // Only jobs that ended without completing can be retried
+  static isRetryable(status) {
+    return status === JOB_STATUS.FAILED || status === JOB_STATUS.CANCELLED;
+  }
 }
 
 module.exports = IngestionJob;
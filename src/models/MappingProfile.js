@@ -0,0 +1,39 @@
+const pool = require('../config/database');
+const QUERIES = require('../config/queries');
+
+// Saved CSV column mapping, referenced by name from ingestion requests
+class MappingProfile {
+  constructor(data) {
+    this.name = data.name;
+    this.description = data.description || null;
+    this.mapping = data.mapping;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create the profile, or replace the one with the same name
+  // Returns the stored row, with inserted = false when an existing profile was replaced
+  async save() {
+    const values = [this.name, this.description, JSON.stringify(this.mapping)];
+    const result = await pool.query(QUERIES.MAPPING_PROFILE.SAVE, values);
+    return result.rows[0];
+  }
+
+  static async findByName(name) {
+    const result = await pool.query(QUERIES.MAPPING_PROFILE.FIND_BY_NAME, [name]);
+    return result.rows[0] || null;
+  }
+
+  static async findAll() {
+    const result = await pool.query(QUERIES.MAPPING_PROFILE.FIND_ALL);
+    return result.rows;
+  }
+
+  // Returns true when a profile was deleted
+  static async delete(name) {
+    const result = await pool.query(QUERIES.MAPPING_PROFILE.DELETE, [name]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = MappingProfile;
@@ -0,0 +1,74 @@
+const readline = require('readline');
+const { createReadStream } = require('fs');
+const EventFactory = require('../factories/EventFactory');
+
+/**
+ * Base class for ingestion file format parsers
+ * Subclasses read raw records from a file and map each one to raw event data
+ * for EventFactory.createFromRawData
+ */
+class BaseParser {
+
+  // Short format name reported to clients
+  static get format() {
+    throw new Error('Parser must define a format');
+  }
+
+  // How a record position is referred to in error messages
+  static get recordLabel() {
+    return 'Line';
+  }
+
+  // Yield { number, raw } for every record in the file (subclasses implement it as an async generator)
+  static readRecords(filePath) {
+    throw new Error(`${this.name} must implement readRecords`);
+  }
+
+  // Map a raw record to event data, or return null for records that carry no event
+  // context is whatever prepare() returned for the file
+  static toEventData(raw, number, context) {
+    throw new Error(`${this.name} must implement toEventData`);
+  }
+
+  // Build per-file parsing state (e.g. a header bound to a column mapping) from the ingestion options
+  static async prepare(filePath, options) {
+    return options;
+  }
+
+  // Yield { number, event } for every record, or { number, error } when it cannot become an event
+  // options.mapping holds a CSV column mapping, where the format supports one
+  static async *readEvents(filePath, options = {}) {
+    const context = await this.prepare(filePath, options);
+
+    for await (const { number, raw } of this.readRecords(filePath)) {
+      try {
+        const data = this.toEventData(raw, number, context);
+        yield { number, event: data ? EventFactory.createFromRawData(data) : null };
+      } catch (error) {
+        yield { number, error };
+      }
+    }
+  }
+
+  // Shared line reader; closing the generator early releases the file
+  static async *readLines(filePath) {
+    const input = createReadStream(filePath);
+    const rl = readline.createInterface({
+      input,
+      crlfDelay: Infinity
+    });
+    let lineNumber = 0;
+
+    try {
+      for await (const line of rl) {
+        lineNumber++;
+        yield { number: lineNumber, raw: line };
+      }
+    } finally {
+      rl.close();
+      input.destroy();
+    }
+  }
+}
+
+module.exports = BaseParser;
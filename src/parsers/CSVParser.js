@@ -0,0 +1,61 @@
+const BaseParser = require('./BaseParser');
+const EventFactory = require('../factories/EventFactory');
+const CSVConverter = require('../utils/csvConverter');
+const ColumnMapping = require('../utils/columnMapping');
+const { COLUMN_MAPPING } = require('../config/constants');
+
+/**
+ * Parser for CSV exports
+ * Without a column mapping, rows are read by position and mapped to the pipe-delimited
+ * layout in memory; with one, columns are matched by their header names
+ */
+class CSVParser extends BaseParser {
+
+  static get format() {
+    return 'csv';
+  }
+
+  static async *readRecords(filePath) {
+    for await (const record of this.readLines(filePath)) {
+      // Skip header line
+      if (record.number > 1) {
+        yield record;
+      }
+    }
+  }
+
+  // Bind the column mapping (if any) to the header row
+  static async prepare(filePath, options = {}) {
+    if (!options.mapping) {
+      return {};
+    }
+
+    let header = null;
+    for await (const record of this.readLines(filePath)) {
+      header = record.raw;
+      break;
+    }
+
+    if (header === null) {
+      throw new Error('CSV file is empty (expected a header row)');
+    }
+
+    const delimiter = options.mapping.delimiter || COLUMN_MAPPING.DEFAULT_DELIMITER;
+    const headerFields = CSVConverter.parseCSVLine(header.replace(/^\uFEFF/, ''), delimiter);
+    return { columnMapping: new ColumnMapping(options.mapping, headerFields) };
+  }
+
+  static toEventData(line, lineNumber, context = {}) {
+    const { columnMapping } = context;
+    if (columnMapping) {
+      return line.trim()
+        ? columnMapping.toEventData(CSVConverter.parseCSVLine(line, columnMapping.delimiter), lineNumber)
+        : null;
+    }
+
+    const pipeLine = CSVConverter.convertCSVLine(line, lineNumber);
+    return pipeLine ? EventFactory.parseFileLine(pipeLine, lineNumber) : null;
+  }
+}
+
+module.exports = CSVParser;
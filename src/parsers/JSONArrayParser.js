@@ -0,0 +1,95 @@
+const { createReadStream } = require('fs');
+const NDJSONParser = require('./NDJSONParser');
+
+/**
+ * Parser for a top-level JSON array of event objects
+ * Elements are split out of the stream one at a time, so large exports are never held in memory
+ */
+class JSONArrayParser extends NDJSONParser {
+
+  static get format() {
+    return 'json';
+  }
+
+  static get recordLabel() {
+    return 'Record';
+  }
+
+  static get sourceKey() {
+    return 'source_record';
+  }
+
+  static async *readRecords(filePath) {
+    const input = createReadStream(filePath, { encoding: 'utf8' });
+    let started = false;
+    let finished = false;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let element = '';
+    let recordNumber = 0;
+
+    try {
+      for await (const chunk of input) {
+        for (const char of chunk) {
+          if (finished) {
+            if (!/\s/.test(char)) {
+              throw new Error('Unexpected content after the closing bracket of the JSON array');
+            }
+            continue;
+          }
+
+          if (!started) {
+            if (char === '[') {
+              started = true;
+            } else if (!/\s/.test(char) && char !== '\uFEFF') {
+              throw new Error('Expected a JSON array of event objects');
+            }
+            continue;
+          }
+
+          if (inString) {
+            element += char;
+            if (escaped) {
+              escaped = false;
+            } else if (char === '\\') {
+              escaped = true;
+            } else if (char === '"') {
+              inString = false;
+            }
+            continue;
+          }
+
+          if (depth === 0 && (char === ',' || char === ']')) {
+            if (element.trim()) {
+              recordNumber++;
+              yield { number: recordNumber, raw: element };
+            } else if (char === ',' || recordNumber > 0) {
+              throw new Error(`Empty element in JSON array after record ${recordNumber}`);
+            }
+            element = '';
+            finished = char === ']';
+            continue;
+          }
+
+          if (char === '"') {
+            inString = true;
+          } else if (char === '{' || char === '[') {
+            depth++;
+          } else if (char === '}' || char === ']') {
+            depth--;
+          }
+          element += char;
+        }
+      }
+
+      if (!finished) {
+        throw new Error('Unexpected end of file inside JSON array');
+      }
+    } finally {
+      input.destroy();
+    }
+  }
+}
+
+module.exports = JSONArrayParser;
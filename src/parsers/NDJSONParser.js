@@ -0,0 +1,111 @@
+const BaseParser = require('./BaseParser');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+const TEXT_FIELDS = ['event_id', 'event_name', 'description', 'parent_event_id', 'date_precision', 'calendar'];
+
+// Dates are strings, or { date, calendar } objects for a date written in a calendar of its own
+const DATE_FIELDS = ['start_date', 'end_date', 'earliest_start', 'latest_start', 'earliest_end', 'latest_end'];
+
+// Accepted spellings for each event field in JSON records
+const FIELD_ALIASES = {
+  event_id: ['event_id', 'eventId'],
+  event_name: ['event_name', 'eventName'],
+  description: ['description'],
+  start_date: ['start_date', 'startDate'],
+  end_date: ['end_date', 'endDate'],
+  parent_event_id: ['parent_event_id', 'parentEventId', 'parentId'],
+  date_precision: ['date_precision', 'datePrecision'],
+  earliest_start: ['earliest_start', 'earliestStart'],
+  latest_start: ['latest_start', 'latestStart'],
+  earliest_end: ['earliest_end', 'earliestEnd'],
+  latest_end: ['latest_end', 'latestEnd'],
+  end_period_closed: ['end_period_closed', 'endPeriodClosed'],
+  calendar: ['calendar']
+};
+
+/**
+ * Parser for newline-delimited JSON: one event object per line
+ * Records may carry an arbitrary metadata object, which is stored as-is
+ */
+class NDJSONParser extends BaseParser {
+
+  static get format() {
+    return 'ndjson';
+  }
+
+  // Metadata key recording where the record came from
+  static get sourceKey() {
+    return 'source_line';
+  }
+
+  static readRecords(filePath) {
+    return this.readLines(filePath);
+  }
+
+  static toEventData(line, number) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    return this.mapRecord(record, number);
+  }
+
+  // Map a parsed JSON object (snake_case or camelCase keys) to raw event data
+  static mapRecord(record, number) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error('Expected a JSON object');
+    }
+
+    const data = {};
+    Object.keys(FIELD_ALIASES).forEach(field => {
+      const key = FIELD_ALIASES[field].find(alias => record[alias] !== undefined);
+      data[field] = key ? record[key] : null;
+    });
+
+    TEXT_FIELDS.forEach(field => {
+      if (data[field] !== null && typeof data[field] !== 'string') {
+        throw new Error(`Field ${field} must be a string`);
+      }
+    });
+
+    DATE_FIELDS.forEach(field => {
+      const value = data[field];
+      const isCalendarDate = value !== null && typeof value === 'object' && !Array.isArray(value)
+        && typeof value.date === 'string' && typeof value.calendar === 'string';
+      if (value !== null && typeof value !== 'string' && !isCalendarDate) {
+        throw new Error(`Field ${field} must be a string or a { date, calendar } object`);
+      }
+    });
+
+    if (data.end_period_closed !== null && typeof data.end_period_closed !== 'boolean') {
+      throw new Error('Field end_period_closed must be a boolean');
+    }
+
+    // Without a stable ID a retried or resumed job would create the event twice
+    if (!data.event_id) {
+      throw new Error(`${ERROR_MESSAGES.MISSING_REQUIRED_FIELDS}: event_id`);
+    }
+
+    const { metadata } = record;
+    if (metadata !== undefined && metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+      throw new Error('Field metadata must be an object');
+    }
+
+    data.metadata = {
+      ...(metadata || {}),
+      [this.sourceKey]: number,
+      ingested_at: new Date().toISOString()
+    };
+
+    return data;
+  }
+}
+
+module.exports = NDJSONParser;
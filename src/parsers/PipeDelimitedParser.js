@@ -0,0 +1,23 @@
+const BaseParser = require('./BaseParser');
+const EventFactory = require('../factories/EventFactory');
+
+/**
+ * Parser for the native pipe-delimited layout:
+ * EVENT_ID|EVENT_NAME|START_DATE_ISO|END_DATE_ISO|PARENT_ID_OR_NULL|DESCRIPTION
+ */
+class PipeDelimitedParser extends BaseParser {
+
+  static get format() {
+    return 'pipe';
+  }
+
+  static readRecords(filePath) {
+    return this.readLines(filePath);
+  }
+
+  static toEventData(line, lineNumber) {
+    return EventFactory.parseFileLine(line, lineNumber);
+  }
+}
+
+module.exports = PipeDelimitedParser;
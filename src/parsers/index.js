@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PipeDelimitedParser = require('./PipeDelimitedParser');
+const CSVParser = require('./CSVParser');
+const NDJSONParser = require('./NDJSONParser');
+const JSONArrayParser = require('./JSONArrayParser');
+
+/**
+ * Ingestion format registry
+ * Picks a parser from the file extension, falling back to sniffing the first bytes
+ */
+
+const PARSERS = {
+  [PipeDelimitedParser.format]: PipeDelimitedParser,
+  [CSVParser.format]: CSVParser,
+  [NDJSONParser.format]: NDJSONParser,
+  [JSONArrayParser.format]: JSONArrayParser
+};
+
+const EXTENSION_FORMATS = {
+  '.txt': PipeDelimitedParser.format,
+  '.csv': CSVParser.format,
+  '.ndjson': NDJSONParser.format,
+  '.jsonl': NDJSONParser.format
+};
+
+const SNIFF_BYTES = 4096;
+
+// Read the first non-whitespace character of the file
+async function readFirstCharacter(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    const text = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '');
+    const match = text.match(/\S/);
+    return { first: match ? match[0] : null, text };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Guess the format from content: JSON arrays start with '[', NDJSON with '{'
+async function sniffFormat(filePath) {
+  const { first, text } = await readFirstCharacter(filePath);
+
+  if (first === '[') return JSONArrayParser.format;
+  if (first === '{') return NDJSONParser.format;
+
+  const firstLine = text.split(/\r?\n/)[0];
+  if (firstLine.includes('|')) return PipeDelimitedParser.format;
+  if (firstLine.includes(',')) return CSVParser.format;
+
+  return PipeDelimitedParser.format;
+}
+
+async function detectFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  // .json may hold either an array or one object per line
+  if (extension === '.json') {
+    const { first } = await readFirstCharacter(filePath);
+    return first === '{' ? NDJSONParser.format : JSONArrayParser.format;
+  }
+
+  return EXTENSION_FORMATS[extension] || sniffFormat(filePath);
+}
+
+function getParser(format) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unsupported ingestion format: ${format}`);
+  }
+  return parser;
+}
+
+async function detectParser(filePath) {
+  return getParser(await detectFormat(filePath));
+}
+
+module.exports = {
+  PARSERS,
+  detectFormat,
+  detectParser,
+  getParser
+};
@@ -1,7 +1,9 @@
 const pool = require('../config/database');
-const { API } = require('../config/constants');
+const { API, HIERARCHY, EXPORT } = require('../config/constants');
 const QUERIES = require('../config/queries');
-const { replaceQueryPlaceholders, buildWhereClause, buildUpdateClause, buildBatchInsertPlaceholders } = require('../utils/queryBuilder');
+const { replaceQueryPlaceholders, buildWhereClause, buildKeysetCondition, buildUpdateClause, buildBatchInsertPlaceholders, buildOnConflictClause, summarizeBatchInsert } = require('../utils/queryBuilder');
+const { fetchOrder, buildPage } = require('../utils/cursor');
+const { streamQuery } = require('../utils/queryStream');
 
 /**
  * Repository Pattern for HistoricalEvent data access
@@ -9,35 +11,78 @@ const { replaceQueryPlaceholders, buildWhereClause, buildUpdateClause, buildBatc
  */
 class EventRepository {
 
-  static async findById(eventId) {
-    const result = await pool.query(QUERIES.EVENT.FIND_BY_ID, [eventId]);
+  // Methods taking a client can run inside a transaction (see utils/transaction)
+  static async findById(eventId, client = pool) {
+    const result = await client.query(QUERIES.EVENT.FIND_BY_ID, [eventId]);
     return result.rows[0] || null;
   }
 
-  static async findAll(limit = API.DEFAULT_PAGE_SIZE, offset = 0) {
-    const result = await pool.query(QUERIES.EVENT.FIND_ALL, [limit, offset]);
-    return result.rows;
+  // Also returns soft-deleted events (deleted_at set)
+  static async findByIdIncludingDeleted(eventId, client = pool) {
+    const result = await client.query(QUERIES.EVENT.FIND_BY_ID_INCLUDING_DELETED, [eventId]);
+    return result.rows[0] || null;
   }
 
+  // Live events by start date, a page at a time: from a keyset cursor (utils/cursor) or at an offset.
+  // Returns { rows, hasMore, nextCursor, prevCursor }
+  static async findAll({ limit = API.DEFAULT_PAGE_SIZE, offset = 0, cursor = null } = {}) {
+    const order = fetchOrder(API.DEFAULT_SORT_ORDER, cursor);
+    const values = [];
+    const addParam = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const query = replaceQueryPlaceholders(QUERIES.EVENT.FIND_ALL, {
+      KEYSET_CONDITION: cursor ? `AND ${buildKeysetCondition('start_date', 'event_id', order, cursor.key, addParam)}` : '',
+      SORT_ORDER: order,
+      LIMIT_PARAM: addParam(limit + 1),
+      OFFSET_PARAM: addParam(cursor ? 0 : offset)
+    });
+    const result = await pool.query(query, values);
+
+    return buildPage(result.rows, {
+      limit,
+      cursor,
+      offset,
+      sortBy: API.DEFAULT_SORT_BY,
+      sortOrder: API.DEFAULT_SORT_ORDER,
+      keyOf: (event) => [event.start_date, event.event_id]
+    });
+  }
+
+  // Pages come from filters.cursor (utils/cursor) or filters.page; totalEvents counts every match
   static async search(filters = {}) {
-    const { whereClause, values, paramCount } = buildWhereClause(filters);
+    const { whereClause, values, paramCount, textQueryParam } = buildWhereClause(filters);
     
     // Main query
-    const sortBy = filters.sortBy || API.DEFAULT_SORT_BY;
-    const sortOrder = filters.sortOrder === 'desc' ? 'DESC' : 'ASC';
+    const { sortBy, sortOrder } = this.searchSort(filters, textQueryParam);
     const limit = Math.min(filters.limit || API.DEFAULT_PAGE_SIZE, API.MAX_PAGE_SIZE);
-    const offset = ((filters.page || 1) - 1) * limit;
+    const { cursor = null } = filters;
+    const offset = cursor ? 0 : ((filters.page || 1) - 1) * limit;
+    const order = fetchOrder(sortOrder, cursor);
+
+    const pageValues = [...values];
+    const addParam = (value) => {
+      pageValues.push(value);
+      return `$${pageValues.length}`;
+    };
+
+    let pageWhereClause = whereClause;
+    if (cursor) {
+      const sortExpression = this.sortExpression(sortBy, textQueryParam);
+      pageWhereClause += ` AND ${buildKeysetCondition(sortExpression, 'event_id', order, cursor.key, addParam)}`;
+    }
     
-    const query = replaceQueryPlaceholders(QUERIES.EVENT.SEARCH, {
-      WHERE_CLAUSE: whereClause,
+    const query = replaceQueryPlaceholders(textQueryParam ? QUERIES.EVENT.TEXT_SEARCH : QUERIES.EVENT.SEARCH, {
+      QUERY_PARAM: textQueryParam,
+      WHERE_CLAUSE: pageWhereClause,
       SORT_BY: sortBy,
-      SORT_ORDER: sortOrder,
-      LIMIT_PARAM: `$${paramCount + 1}`,
-      OFFSET_PARAM: `$${paramCount + 2}`
+      SORT_ORDER: order,
+      LIMIT_PARAM: addParam(limit + 1),
+      OFFSET_PARAM: addParam(offset)
     });
-    
-    values.push(limit, offset);
-    const result = await pool.query(query, values);
+    const result = await pool.query(query, pageValues);
     
     // Count query
     const countQuery = replaceQueryPlaceholders(QUERIES.EVENT.COUNT, {
@@ -46,21 +91,117 @@ class EventRepository {
     const countResult = await pool.query(countQuery, values.slice(0, paramCount));
     const totalEvents = parseInt(countResult.rows[0].count);
 
+    const page = buildPage(result.rows, {
+      limit,
+      cursor,
+      offset,
+      sortBy,
+      sortOrder,
+      keyOf: (event) => [event[sortBy], event.event_id]
+    });
+
     return {
-      events: result.rows,
+      events: page.rows,
       totalEvents,
-      page: filters.page || 1,
-      limit
+      page: cursor ? null : (filters.page || 1),
+      limit,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor
     };
   }
 
+  // Full-text searches put the best matches first unless told otherwise
+  static searchSort(filters, textQueryParam) {
+    const sortBy = filters.sortBy || (textQueryParam ? API.RELEVANCE_SORT : API.DEFAULT_SORT_BY);
+    const defaultSortOrder = sortBy === API.RELEVANCE_SORT ? 'desc' : API.DEFAULT_SORT_ORDER;
+    return { sortBy, sortOrder: filters.sortOrder || defaultSortOrder };
+  }
+
+  // Relevance is a rank computed from the text query, other sorts are columns
+  static sortExpression(sortBy, textQueryParam) {
+    return sortBy === API.RELEVANCE_SORT
+      ? replaceQueryPlaceholders(QUERIES.EVENT.RELEVANCE, { QUERY_PARAM: textQueryParam })
+      : sortBy;
+  }
+
+  // Every event matching the search filters, in batches (see utils/queryStream); pages are ignored
+  static streamSearch(filters = {}, { batchSize = EXPORT.BATCH_SIZE } = {}) {
+    const { whereClause, values, textQueryParam } = buildWhereClause(filters);
+    const { sortBy, sortOrder } = this.searchSort(filters, textQueryParam);
+
+    const query = replaceQueryPlaceholders(QUERIES.EVENT.EXPORT, {
+      WHERE_CLAUSE: whereClause,
+      SORT_BY: this.sortExpression(sortBy, textQueryParam),
+      SORT_ORDER: fetchOrder(sortOrder)
+    });
+    return streamQuery(query, values, { batchSize });
+  }
+
+  // The event and its live descendants, in batches with parents first; each row carries its depth below the root
+  static streamSubtree(rootEventId, { batchSize = EXPORT.BATCH_SIZE } = {}) {
+    return streamQuery(QUERIES.EVENT.EXPORT_SUBTREE, [rootEventId], { batchSize });
+  }
  
-  static async getTimelineHierarchy(rootEventId) {
-    const result = await pool.query(QUERIES.EVENT.GET_TIMELINE_HIERARCHY, [rootEventId]);
+  // The root event and its live descendants, parents first and children in sibling order. Options:
+  // maxDepth levels below the root, a startDate/endDate window pruning the subtrees outside it, sortBy/sortOrder
+  // for siblings, and childLimit children per event, the root's read on after cursor (utils/cursor).
+  // Up to one extra child is read per event (sibling_rank childLimit + 1) to tell whether there are more
+  static async getTimeline(rootEventId, {
+    maxDepth = null,
+    startDate = null,
+    endDate = null,
+    sortBy = API.DEFAULT_SORT_BY,
+    sortOrder = API.DEFAULT_SORT_ORDER,
+    childLimit = null,
+    cursor = null
+  } = {}) {
+    const values = [rootEventId];
+    const addParam = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const windowConditions = [];
+    if (startDate) {
+      windowConditions.push(replaceQueryPlaceholders(QUERIES.EVENT.WINDOW_START_CONDITION, { PARAM: addParam(startDate) }));
+    }
+    if (endDate) {
+      windowConditions.push(replaceQueryPlaceholders(QUERIES.EVENT.WINDOW_END_CONDITION, { PARAM: addParam(endDate) }));
+    }
+
+    const order = fetchOrder(sortOrder, cursor);
+    const childConditions = [...windowConditions];
+    if (cursor) {
+      const keysetCondition = buildKeysetCondition(`he.${sortBy}`, 'he.event_id', order, cursor.key, addParam);
+      childConditions.push(`(et.level > 0 OR ${keysetCondition})`);
+    }
+
+    const expandConditions = [];
+    const maxLevelParam = addParam(maxDepth);
+    if (maxDepth !== null) {
+      expandConditions.push(`et.level < ${maxLevelParam}`);
+    }
+    if (childLimit) {
+      expandConditions.push(`et.sibling_rank <= ${addParam(childLimit)}`);
+    }
+
+    const toClause = (conditions) => conditions.map(condition => `AND ${condition}`).join(' ');
+    const query = replaceQueryPlaceholders(QUERIES.EVENT.GET_TIMELINE, {
+      SORT_BY: sortBy,
+      SORT_ORDER: order,
+      CHILD_CONDITIONS: toClause(childConditions),
+      WINDOW_CONDITIONS: toClause(windowConditions),
+      CHILD_LIMIT: childLimit ? `LIMIT ${addParam(childLimit + 1)}` : '',
+      EXPAND_CONDITIONS: toClause(expandConditions),
+      MAX_LEVEL: maxLevelParam
+    });
+
+    const result = await pool.query(query, values);
     return result.rows;
   }
 
-  static async create(eventData) {
+  static async create(eventData, client = pool) {
     const values = [
       eventData.event_id,
       eventData.event_name,
@@ -68,18 +209,25 @@ class EventRepository {
       eventData.start_date,
       eventData.end_date,
       eventData.parent_event_id,
-      JSON.stringify(eventData.metadata)
+      JSON.stringify(eventData.metadata),
+      eventData.date_precision,
+      eventData.earliest_start,
+      eventData.latest_start,
+      eventData.earliest_end,
+      eventData.latest_end,
+      eventData.end_period_closed
     ];
 
-    const result = await pool.query(QUERIES.EVENT.CREATE, values);
+    const result = await client.query(QUERIES.EVENT.CREATE, values);
     return result.rows[0];
   }
 
-  static async batchInsert(events) {
-    if (events.length === 0) return [];
+  // onConflict: 'error' (default), 'skip' or 'update' existing event_ids
+  static async batchInsert(events, { onConflict, client = pool } = {}) {
+    if (events.length === 0) return summarizeBatchInsert([], 0);
     
     const values = [];
-    const placeholders = buildBatchInsertPlaceholders(events, 7);
+    const placeholders = buildBatchInsertPlaceholders(events, 13);
     
     events.forEach((event) => {
       values.push(
@@ -89,19 +237,26 @@ class EventRepository {
         event.start_date,
         event.end_date,
         event.parent_event_id,
-        JSON.stringify(event.metadata)
+        JSON.stringify(event.metadata),
+        event.date_precision,
+        event.earliest_start,
+        event.latest_start,
+        event.earliest_end,
+        event.latest_end,
+        event.end_period_closed
       );
     });
     
     const query = replaceQueryPlaceholders(QUERIES.EVENT.BATCH_INSERT, {
-      PLACEHOLDERS: placeholders
+      PLACEHOLDERS: placeholders,
+      ON_CONFLICT: buildOnConflictClause(onConflict)
     });
     
-    const result = await pool.query(query, values);
-    return result.rows;
+    const result = await client.query(query, values);
+    return summarizeBatchInsert(result.rows, events.length);
   }
 
-  static async update(eventId, updates) {
+  static async update(eventId, updates, client = pool) {
     const { fields, values, paramCount } = buildUpdateClause(updates);
     values.push(eventId);
 
@@ -110,15 +265,99 @@ class EventRepository {
       PARAM_COUNT: `$${paramCount + 1}`
     });
 
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   }
 
-  static async deleteById(eventId) {
-    const result = await pool.query(QUERIES.EVENT.DELETE_BY_ID, [eventId]);
+  static async findLiveByIds(eventIds, client = pool) {
+    const result = await client.query(QUERIES.EVENT.FIND_LIVE_BY_IDS, [eventIds]);
+    return result.rows;
+  }
+
+  // Stored siblings overlapping any of the given events; each row carries the candidate_id it overlaps
+  static async findOverlappingSiblings(events, client = pool) {
+    const result = await client.query(QUERIES.EVENT.FIND_OVERLAPPING_SIBLINGS, [
+      events.map(event => event.event_id),
+      events.map(event => event.parent_event_id),
+      events.map(event => event.start_date),
+      events.map(event => event.end_date)
+    ]);
+    return result.rows;
+  }
+
+  static async findChildrenOutsideRange(eventId, startDate, endDate, client = pool) {
+    const result = await client.query(QUERIES.EVENT.FIND_CHILDREN_OUTSIDE_RANGE, [eventId, startDate, endDate]);
+    return result.rows;
+  }
+
+  // Descendants nearest first, each with its depth below the event
+  static async findDescendants(eventId, { includeDeleted = false, client = pool } = {}) {
+    const result = await client.query(QUERIES.EVENT.FIND_DESCENDANTS, [eventId, includeDeleted]);
+    return result.rows;
+  }
+
+  // The chain of events above the event, root first; each carries its level below the root
+  static async findAncestors(eventId, client = pool) {
+    const result = await client.query(QUERIES.EVENT.FIND_ANCESTORS, [eventId]);
+    return result.rows;
+  }
+
+  // Other live children of the event's parent (other root events for a root), by start date.
+  // Reads one row past limit so that hasMore can be told; returns { rows, hasMore }
+  static async findSiblings(event, { limit = HIERARCHY.DEFAULT_LIST_LIMIT, offset = 0 } = {}) {
+    const values = [event.event_id];
+    const addParam = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const query = replaceQueryPlaceholders(QUERIES.EVENT.FIND_SIBLINGS, {
+      PARENT_CONDITION: event.parent_event_id
+        ? `parent_event_id = ${addParam(event.parent_event_id)}`
+        : 'parent_event_id IS NULL',
+      LIMIT_PARAM: addParam(limit + 1),
+      OFFSET_PARAM: addParam(offset)
+    });
+    const result = await pool.query(query, values);
+    return { rows: result.rows.slice(0, limit), hasMore: result.rows.length > limit };
+  }
+
+  // Live descendants down to maxDepth levels (all when null), nearest first, each with its depth
+  // below the event; returns { rows, hasMore }
+  static async findDescendantsPage(eventId, { maxDepth = null, limit = HIERARCHY.DEFAULT_LIST_LIMIT, offset = 0 } = {}) {
+    const result = await pool.query(QUERIES.EVENT.FIND_DESCENDANTS_PAGE, [eventId, maxDepth, limit + 1, offset]);
+    return { rows: result.rows.slice(0, limit), hasMore: result.rows.length > limit };
+  }
+
+  // True when ancestorId is the event itself or anywhere above it in the hierarchy
+  static async isSelfOrAncestor(ancestorId, eventId, client = pool) {
+    const result = await client.query(QUERIES.EVENT.IS_SELF_OR_ANCESTOR, [ancestorId, eventId]);
+    return result.rows[0].found;
+  }
+
+  // Hold the hierarchy lock until the transaction ends (client must be in a transaction)
+  static async lockHierarchy(client) {
+    await client.query(QUERIES.EVENT.LOCK_HIERARCHY);
+  }
+
+  // Permanently delete the event; the database cascades the delete to its subtree
+  static async deleteById(eventId, client = pool) {
+    const result = await client.query(QUERIES.EVENT.DELETE_BY_ID, [eventId]);
     return result.rows[0] || null;
   }
 
+  // Soft delete the event and its live descendants; returns every affected row
+  static async softDeleteSubtree(eventId, client = pool) {
+    const result = await client.query(QUERIES.EVENT.SOFT_DELETE_SUBTREE, [eventId]);
+    return result.rows;
+  }
+
+  // Restore a soft-deleted event with the descendants deleted along with it; returns every affected row
+  static async restoreSubtree(eventId, client = pool) {
+    const result = await client.query(QUERIES.EVENT.RESTORE_SUBTREE, [eventId]);
+    return result.rows;
+  }
+
 
 }
 
@@ -2,41 +2,120 @@ const express = require('express');
 const router = express.Router();
 
 // Import controllers
-const { ingestEvents, getIngestionStatus } = require('../controllers/ingestionController');
-const { getTimeline } = require('../controllers/timelineController');
+const {
+  ingestEvents,
+  uploadAndIngestEvents,
+  dryRunIngestion,
+  getIngestionStatus,
+  listIngestionJobs,
+  cancelIngestionJob,
+  retryIngestionJob,
+  listMappingProfiles,
+  getMappingProfile,
+  saveMappingProfile,
+  deleteMappingProfile
+} = require('../controllers/ingestionController');
+const { uploadIngestFile } = require('../middleware/upload');
+const { getTimeline, exportTimeline } = require('../controllers/timelineController');
+const { getAncestors, getSiblings, getDescendants, getLineage } = require('../controllers/hierarchyController');
 const { 
   searchEvents, 
+  exportEvents,
+  queryEvents,
   getEvent, 
   createEvent, 
   updateEvent, 
   deleteEvent, 
+  restoreEvent,
+  moveEvent,
+  bulkEvents,
+  getEventHistory,
+  revertEvent,
   listEvents 
 } = require('../controllers/eventCrudController');
 
 const {
   validateIngestFile,
+  validateIngestUpload,
+  validateIngestDryRun,
+  validateMappingProfileParams,
+  validateMappingProfile,
   validateSearchEvents,
+  validateExportEvents,
+  validateQueryEvents,
+  validateListEvents,
   validateTimelineParams,
+  validateTimelineQuery,
+  validateTimelineExport,
+  validateLineageQuery,
+  validateHierarchyListQuery,
+  validateDescendantsQuery,
   validateJobStatusParams,
+  validateJobStatusFilter,
   validateCreateEvent,
-  validateUpdateEvent
+  validateUpdateEvent,
+  validateBulkEvents,
+  validateEventIdParams,
+  validateEventHistoryQuery,
+  validateRevertEventParams,
+  validateDeleteEventQuery,
+  validateMoveEvent
 } = require('../middleware/validation');
 
 // File ingestion routes
 router.post('/ingest', validateIngestFile, ingestEvents);
+router.post('/ingest/upload', uploadIngestFile, validateIngestUpload, uploadAndIngestEvents);
+router.post('/ingest/validate', uploadIngestFile, validateIngestDryRun, dryRunIngestion);
 router.get('/ingestion-status/:jobId', validateJobStatusParams, getIngestionStatus);
 
+// Saved CSV column mapping profiles
+router.get('/ingest/mapping-profiles', listMappingProfiles);
+router.get('/ingest/mapping-profiles/:name', validateMappingProfileParams, getMappingProfile);
+router.put('/ingest/mapping-profiles/:name', validateMappingProfileParams, validateMappingProfile, saveMappingProfile);
+router.delete('/ingest/mapping-profiles/:name', validateMappingProfileParams, deleteMappingProfile);
+
+// Ingestion job management routes
+router.get('/ingestion-jobs', validateJobStatusFilter, listIngestionJobs);
+router.post('/ingestion-jobs/:jobId/cancel', validateJobStatusParams, cancelIngestionJob);
+router.post('/ingestion-jobs/:jobId/retry', validateJobStatusParams, retryIngestionJob);
+
 // Timeline route
-router.get('/timeline/:rootEventId', validateTimelineParams, getTimeline);
+router.get('/timeline/:rootEventId', validateTimelineParams, validateTimelineQuery, getTimeline);
+router.get('/timeline/:rootEventId/export', validateTimelineParams, validateTimelineExport, exportTimeline);
 
 // Search route
 router.get('/search', validateSearchEvents, searchEvents);
 
+// Streamed download of every search match (ndjson, csv or pipe)
+router.get('/export', validateExportEvents, exportEvents);
+
+// Search with a boolean filter tree (and/or/not over field conditions)
+router.post('/query', validateQueryEvents, queryEvents);
+
+// Bulk create/update/delete in one transaction
+router.post('/bulk', validateBulkEvents, bulkEvents);
+
+// Revision history and rollback
+router.get('/:eventId/history', validateEventIdParams, validateEventHistoryQuery, getEventHistory);
+router.post('/:eventId/revert/:revision', validateRevertEventParams, revertEvent);
+
+// Undo a soft delete
+router.post('/:eventId/restore', validateEventIdParams, restoreEvent);
+
+// Where an event sits in the hierarchy
+router.get('/:eventId/ancestors', validateEventIdParams, getAncestors);
+router.get('/:eventId/siblings', validateEventIdParams, validateHierarchyListQuery, getSiblings);
+router.get('/:eventId/descendants', validateEventIdParams, validateDescendantsQuery, getDescendants);
+router.get('/:eventId/lineage', validateEventIdParams, validateLineageQuery, getLineage);
+
+// Reparent an event together with its subtree
+router.post('/:eventId/move', validateEventIdParams, validateMoveEvent, moveEvent);
+
 // CRUD routes for events (bonus functionality)
-router.get('/', listEvents); // List all events with pagination
+router.get('/', validateListEvents, listEvents); // List all events, by page or cursor
 router.post('/', validateCreateEvent, createEvent); // Create new event
 router.get('/:eventId', getEvent); // Get single event
 router.put('/:eventId', validateUpdateEvent, updateEvent); // Update event
-router.delete('/:eventId', deleteEvent); // Delete event
+router.delete('/:eventId', validateEventIdParams, validateDeleteEventQuery, deleteEvent); // Soft delete event (permanent/dryRun options)
 
 module.exports = router;
@@ -4,8 +4,8 @@ const router = express.Router();
 // Import route modules
 const eventRoutes = require('./events');
 const insightRoutes = require('./insights');
-const { getTimeline } = require('../controllers/timelineController');
-const { validateTimelineParams } = require('../middleware/validation');
+const { getTimeline, exportTimeline } = require('../controllers/timelineController');
+const { validateTimelineParams, validateTimelineQuery, validateTimelineExport } = require('../middleware/validation');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -33,7 +33,8 @@ router.get('/', (req, res) => {
 });
 
 // Timeline route (as per requirements: /api/timeline/:rootEventId)
-router.get('/timeline/:rootEventId', validateTimelineParams, getTimeline);
+router.get('/timeline/:rootEventId', validateTimelineParams, validateTimelineQuery, getTimeline);
+router.get('/timeline/:rootEventId/export', validateTimelineParams, validateTimelineExport, exportTimeline);
 
 // Mount route modules
 router.use('/events', eventRoutes);
@@ -12,7 +12,8 @@ const {
 const {
   validateOverlappingEvents,
   validateTemporalGaps,
-  validateEventInfluence
+  validateEventInfluence,
+  validateEventStatistics
 } = require('../middleware/validation');
 
 // Required insights endpoints
@@ -21,7 +22,7 @@ router.get('/temporal-gaps', validateTemporalGaps, getTemporalGaps);
 router.get('/event-influence', validateEventInfluence, getEventInfluence);
 
 // Bonus insights endpoints
-router.get('/event-statistics', getEventStatistics);
+router.get('/event-statistics', validateEventStatistics, getEventStatistics);
 router.get('/hierarchy-analysis', getHierarchyAnalysis);
 
 module.exports = router;
@@ -0,0 +1,59 @@
+const parentContainment = require('./parentContainment');
+const maxDuration = require('./maxDuration');
+const siblingOverlap = require('./siblingOverlap');
+const requiredMetadata = require('./requiredMetadata');
+const { TEMPORAL_RULES } = require('../config/constants');
+
+/**
+ * Temporal integrity rule registry
+ * Each rule is configured as error (the event is rejected), warning (accepted, problem reported) or off.
+ * Rules are pure: the data they compare against (parent, siblings, children) is loaded by TemporalRuleService.
+ */
+
+const { SEVERITIES } = TEMPORAL_RULES;
+
+const RULES = [parentContainment, maxDuration, siblingOverlap, requiredMetadata];
+
+const OPTIONS = {
+  maxDurationMinutes: TEMPORAL_RULES.MAX_DURATION_MINUTES,
+  requiredMetadataKeys: TEMPORAL_RULES.REQUIRED_METADATA_KEYS
+};
+
+// Fail at startup rather than silently ignoring a misspelt severity
+RULES.forEach(rule => {
+  const severity = TEMPORAL_RULES.SEVERITY[rule.name];
+  if (!Object.values(SEVERITIES).includes(severity)) {
+    throw new Error(`Invalid severity "${severity}" for rule ${rule.name} (expected ${Object.values(SEVERITIES).join(', ')})`);
+  }
+});
+
+function getSeverity(ruleName) {
+  return TEMPORAL_RULES.SEVERITY[ruleName];
+}
+
+function isEnabled(ruleName) {
+  return getSeverity(ruleName) !== SEVERITIES.OFF;
+}
+
+// Run every enabled rule against one event; returns { errors, warnings } as [{ rule, message }]
+function evaluate(event, context = {}) {
+  const report = { errors: [], warnings: [] };
+
+  RULES.forEach(rule => {
+    const severity = getSeverity(rule.name);
+    if (severity === SEVERITIES.OFF) return;
+
+    const target = severity === SEVERITIES.ERROR ? report.errors : report.warnings;
+    rule.check(event, context, OPTIONS).forEach(message => {
+      target.push({ rule: rule.name, message });
+    });
+  });
+
+  return report;
+}
+
+module.exports = {
+  RULES,
+  evaluate,
+  isEnabled
+};
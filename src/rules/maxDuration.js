@@ -0,0 +1,14 @@
+/**
+ * max_duration: an event may not last longer than the configured number of minutes
+ */
+
+module.exports = {
+  name: 'max_duration',
+
+  check(event, context, { maxDurationMinutes }) {
+    const minutes = Math.round((new Date(event.end_date) - new Date(event.start_date)) / 60000);
+    return minutes > maxDurationMinutes
+      ? [`Duration of ${minutes} minutes exceeds the maximum of ${maxDurationMinutes} minutes`]
+      : [];
+  }
+};
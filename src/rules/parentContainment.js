@@ -0,0 +1,28 @@
+/**
+ * parent_containment: an event must start and end within its parent's date range.
+ * On an update the event's own children are checked against its new range as well.
+ */
+
+const formatRange = (event) => `${new Date(event.start_date).toISOString()} to ${new Date(event.end_date).toISOString()}`;
+
+module.exports = {
+  name: 'parent_containment',
+
+  check(event, { parent, childrenOutside = [] }) {
+    const problems = [];
+
+    if (parent) {
+      const outside = new Date(event.start_date) < new Date(parent.start_date)
+        || new Date(event.end_date) > new Date(parent.end_date);
+      if (outside) {
+        problems.push(`Event lies outside its parent ${parent.event_id} (${formatRange(parent)})`);
+      }
+    }
+
+    childrenOutside.forEach(child => {
+      problems.push(`Child ${child.event_id} (${formatRange(child)}) lies outside the event's range`);
+    });
+
+    return problems;
+  }
+};
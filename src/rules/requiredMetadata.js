@@ -0,0 +1,16 @@
+/**
+ * required_metadata: every configured metadata key must be present and non-empty
+ */
+
+module.exports = {
+  name: 'required_metadata',
+
+  check(event, context, { requiredMetadataKeys }) {
+    const metadata = event.metadata || {};
+    const missing = requiredMetadataKeys.filter(key => (
+      metadata[key] === undefined || metadata[key] === null || metadata[key] === ''
+    ));
+
+    return missing.length > 0 ? [`Missing required metadata: ${missing.join(', ')}`] : [];
+  }
+};
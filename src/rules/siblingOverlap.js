@@ -0,0 +1,14 @@
+/**
+ * sibling_overlap: children of the same parent may not overlap in time.
+ * Top-level events are unrelated to each other and are not compared.
+ */
+
+module.exports = {
+  name: 'sibling_overlap',
+
+  check(event, { overlappingSiblings = [] }) {
+    return overlappingSiblings.map(sibling => (
+      `Overlaps sibling ${sibling.event_id} (${sibling.event_name})`
+    ));
+  }
+};
@@ -7,6 +7,8 @@ require('dotenv').config();
 const logger = require('./config/logger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const routes = require('./routes');
+const FileIngestionService = require('./services/FileIngestionService');
+const { AUDIT, FILE_PROCESSING } = require('./config/constants');
 
 // Create Express app
 const app = express();
@@ -30,7 +32,8 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Browsers may only send the audit actor header cross-origin when it is listed here
+  allowedHeaders: ['Content-Type', 'Authorization', AUDIT.ACTOR_HEADER],
   credentials: true
 }));
 
@@ -93,6 +96,35 @@ const server = app.listen(PORT, () => {
   logger.info(`Chronologicon Engine server running on port ${PORT} in ${NODE_ENV} mode`);
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`API documentation available at http://localhost:${PORT}/api`);
+  
+  // Resume (or fail) ingestion jobs interrupted by a previous shutdown
+  FileIngestionService.recoverOrphanedJobs()
+    .then(({ resumed, failed }) => {
+      if (resumed.length > 0 || failed.length > 0) {
+        logger.info(`Ingestion recovery: ${resumed.length} resumed, ${failed.length} marked failed`);
+      }
+    })
+    .catch(error => {
+      logger.error('Ingestion job recovery failed:', error);
+    });
+  
+  // Drop finished jobs past their retention period, and the uploads kept for retrying failed ones past theirs
+  const expireIngestionJobs = async () => {
+    try {
+      const expiredJobs = await FileIngestionService.expireOldJobs();
+      if (expiredJobs.length > 0) {
+        logger.info(`Expired ${expiredJobs.length} finished ingestion jobs`);
+      }
+      const expiredUploads = await FileIngestionService.expireOldUploads();
+      if (expiredUploads.length > 0) {
+        logger.info(`Removed the uploads of ${expiredUploads.length} failed or cancelled ingestion jobs`);
+      }
+    } catch (error) {
+      logger.error('Ingestion job expiry failed:', error);
+    }
+  };
+  expireIngestionJobs();
+  setInterval(expireIngestionJobs, FILE_PROCESSING.EXPIRY_INTERVAL_MS).unref();
 });
 
 // Graceful shutdown
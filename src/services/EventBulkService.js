@@ -0,0 +1,188 @@
+const EventRepository = require('../repositories/EventRepository');
+const EventHierarchyService = require('./EventHierarchyService');
+const TemporalRuleService = require('./TemporalRuleService');
+const EventFactory = require('../factories/EventFactory');
+const { withSavepoint } = require('../utils/transaction');
+const { withAuditedTransaction } = require('../utils/audit');
+const { schemas } = require('../middleware/validation');
+const { ERROR_MESSAGES, BULK_OPERATIONS, AUDIT } = require('../config/constants');
+const logger = require('../config/logger');
+
+const { MODES, TYPES } = BULK_OPERATIONS;
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true, convert: true };
+
+// Thrown inside the transaction to roll back an atomic batch once every operation has been tried
+class BulkRollback extends Error {
+  constructor(results) {
+    super(ERROR_MESSAGES.BULK_ROLLED_BACK);
+    this.results = results;
+  }
+}
+
+/**
+ * Service for applying many create/update/delete operations in one transaction
+ * Operations run in request order, each inside its own savepoint, so a later
+ * operation can rely on an earlier one (e.g. a child created after its parent)
+ */
+class EventBulkService {
+
+  static async execute(operations, { mode = MODES.ATOMIC, actor = AUDIT.SYSTEM_ACTOR } = {}) {
+    let results;
+    let applied = true;
+
+    try {
+      results = await withAuditedTransaction({ actor, note: `Bulk ${mode} request` }, async (client) => {
+        const itemResults = [];
+        for (const [index, operation] of operations.entries()) {
+          itemResults.push(await this.runOperation(client, operation, index));
+        }
+
+        if (mode === MODES.ATOMIC && itemResults.some(result => result.status === 'failed')) {
+          throw new BulkRollback(itemResults);
+        }
+        return itemResults;
+      });
+    } catch (error) {
+      if (!(error instanceof BulkRollback)) {
+        throw error;
+      }
+
+      applied = false;
+      results = error.results.map(result => (
+        result.status === 'failed' ? result : { ...result, status: 'rolled_back' }
+      ));
+    }
+
+    const summary = this.summarize(results);
+    logger.info(`Bulk ${mode} operation: ${summary.succeeded}/${summary.total} succeeded${applied ? '' : ' (rolled back)'}`);
+
+    return { mode, applied, summary, results };
+  }
+
+  // Run one operation inside a savepoint, turning its failure into a per-item result
+  static async runOperation(client, operation, index) {
+    const result = { index, op: operation.op, eventId: operation.eventId || null };
+
+    try {
+      const outcome = await withSavepoint(client, () => this.applyOperation(client, operation), 'bulk_operation');
+      return { ...result, ...outcome };
+    } catch (error) {
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }
+
+  static async applyOperation(client, operation) {
+    switch (operation.op) {
+      case TYPES.CREATE:
+        return this.createEvent(client, operation.event);
+      case TYPES.UPDATE:
+        return this.updateEvent(client, operation.eventId, operation.changes);
+      case TYPES.DELETE:
+        return this.deleteEvent(client, operation.eventId, operation.permanent);
+      default:
+        throw new Error(`Unsupported operation: ${operation.op}`);
+    }
+  }
+
+  static async createEvent(client, eventData) {
+    const data = this.validate(schemas.createEvent, eventData);
+
+    // A soft-deleted event still holds its ID
+    if (data.event_id && await EventRepository.findByIdIncludingDeleted(data.event_id, client)) {
+      throw new Error(`${ERROR_MESSAGES.EVENT_ALREADY_EXISTS}: ${data.event_id}`);
+    }
+    await this.assertParentExists(client, data.parent_event_id);
+
+    const newEvent = EventFactory.createFromRawData(data);
+    const { warnings } = await this.checkRules(client, newEvent);
+
+    const event = await EventRepository.create(newEvent, client);
+    return { status: 'created', eventId: event.event_id, event, warnings };
+  }
+
+  static async updateEvent(client, eventId, changes) {
+    const validated = this.validate(schemas.updateEvent, changes);
+
+    const existing = await EventRepository.findById(eventId, client);
+    if (!existing) {
+      throw new Error(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+    }
+
+    // Changing only one end of the range must still leave it in order
+    const updates = EventFactory.normalizeDateUpdates(validated, existing);
+
+    if (updates.parent_event_id && updates.parent_event_id !== existing.parent_event_id) {
+      await EventRepository.lockHierarchy(client);
+      const problem = await EventHierarchyService.findParentProblem(client, existing, updates.parent_event_id);
+      if (problem) {
+        throw new Error(problem.message);
+      }
+    }
+
+    const { warnings } = await this.checkRules(client, { ...existing, ...updates }, {
+      checkChildren: Boolean(updates.start_date || updates.end_date)
+    });
+
+    const event = await EventRepository.update(eventId, updates, client);
+    return { status: 'updated', event, warnings };
+  }
+
+  // Soft delete unless permanent; either way the event's subtree goes with it
+  static async deleteEvent(client, eventId, permanent = false) {
+    if (permanent) {
+      const event = await EventRepository.deleteById(eventId, client);
+      if (!event) {
+        throw new Error(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+      }
+      return { status: 'deleted', permanent, event };
+    }
+
+    const deletedEvents = await EventRepository.softDeleteSubtree(eventId, client);
+    const event = deletedEvents.find(row => row.event_id === eventId.toLowerCase());
+    if (!event) {
+      throw new Error(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: ${eventId}`);
+    }
+    return { status: 'deleted', permanent, event, deletedDescendants: deletedEvents.length - 1 };
+  }
+
+  static async assertParentExists(client, parentId) {
+    if (parentId && !await EventRepository.findById(parentId, client)) {
+      throw new Error(`${ERROR_MESSAGES.EVENT_NOT_FOUND}: parent ${parentId}`);
+    }
+  }
+
+  // Error-level rule violations fail the operation; warnings are returned with its result
+  static async checkRules(client, event, options) {
+    const report = await TemporalRuleService.checkEvent(client, event, options);
+    if (report.errors.length > 0) {
+      throw new Error(TemporalRuleService.describeErrors(report.errors));
+    }
+    return report;
+  }
+
+  static validate(schema, data) {
+    const { error, value } = schema.validate(data, VALIDATION_OPTIONS);
+    if (error) {
+      const messages = error.details.map(detail => detail.context.message || detail.message);
+      throw new Error(`${ERROR_MESSAGES.VALIDATION_FAILED}: ${messages.join('; ')}`);
+    }
+    return value;
+  }
+
+  static summarize(results) {
+    const count = (status) => results.filter(result => result.status === status).length;
+    const failed = count('failed');
+
+    return {
+      total: results.length,
+      succeeded: results.length - failed - count('rolled_back'),
+      failed,
+      created: count('created'),
+      updated: count('updated'),
+      deleted: count('deleted')
+    };
+  }
+}
+
+module.exports = EventBulkService;
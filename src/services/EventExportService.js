@@ -0,0 +1,69 @@
+const logger = require('../config/logger');
+
+// Resolve once the response can take more, or has been closed
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Service for streaming events to a client in an export format (see src/exporters)
+ */
+class EventExportService {
+
+  /**
+   * Write batches of event rows (an async iterable, e.g. EventRepository.streamSearch) to the
+   * response as a download named filename; context tells the exporter what the export covers
+   * (see BaseExporter). The first batch is read before anything is sent, so that a failing query
+   * still reaches the error handler; a failure after that cuts the download short. Stops reading
+   * when the client goes away. Returns the number of events written.
+   */
+  static async streamEvents(res, exporter, batches, { filename, context = {} }) {
+    const iterator = batches[Symbol.asyncIterator]();
+    let next = await iterator.next();
+    let written = 0;
+
+    res.set({
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename="${filename}${exporter.extension}"`
+    });
+
+    try {
+      res.write(exporter.header(context));
+
+      while (!next.done && !res.destroyed) {
+        let text = '';
+        next.value.forEach(event => {
+          const eventText = exporter.formatEvent(event, written, context);
+          if (eventText) {
+            text += eventText;
+            written++;
+          }
+        });
+        if (!res.write(text)) {
+          await waitForDrain(res);
+        }
+        next = await iterator.next();
+      }
+
+      if (!res.destroyed) {
+        res.end(exporter.footer(context));
+      }
+      return written;
+    } catch (error) {
+      logger.error(`Export to ${exporter.format} failed after ${written} events:`, error);
+      res.destroy(error);
+      return written;
+    } finally {
+      // Releases the database connection when the loop stopped early
+      await iterator.return();
+    }
+  }
+}
+
+module.exports = EventExportService;
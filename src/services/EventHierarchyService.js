@@ -0,0 +1,84 @@
+const EventRepository = require('../repositories/EventRepository');
+const TemporalRuleService = require('./TemporalRuleService');
+const { withAuditedTransaction } = require('../utils/audit');
+const { ERROR_MESSAGES, HIERARCHY } = require('../config/constants');
+
+const { PARENT_PROBLEMS } = HIERARCHY;
+
+/**
+ * Service for changing where an event sits in the hierarchy
+ * Children only reference their parent, so moving an event carries its whole subtree along
+ */
+class EventHierarchyService {
+
+  // Why the event cannot be placed under parentId ({ type, message }), or null if it can.
+  // Run with the hierarchy locked (EventRepository.lockHierarchy) so the answer still holds at commit
+  static async findParentProblem(client, event, parentId, { enforceDateRange = false } = {}) {
+    if (!parentId) return null;
+
+    const parent = await EventRepository.findById(parentId, client);
+    if (!parent) {
+      return {
+        type: PARENT_PROBLEMS.PARENT_NOT_FOUND,
+        message: `${ERROR_MESSAGES.EVENT_NOT_FOUND}: parent ${parentId}`
+      };
+    }
+
+    if (await EventRepository.isSelfOrAncestor(event.event_id, parent.event_id, client)) {
+      return {
+        type: PARENT_PROBLEMS.CYCLE,
+        message: `${ERROR_MESSAGES.PARENT_CYCLE}: ${event.event_id} -> ${parent.event_id}`
+      };
+    }
+
+    const startDate = new Date(event.start_date);
+    const endDate = new Date(event.end_date);
+    const parentStart = new Date(parent.start_date);
+    const parentEnd = new Date(parent.end_date);
+    if (enforceDateRange && (startDate < parentStart || endDate > parentEnd)) {
+      return {
+        type: PARENT_PROBLEMS.OUTSIDE_PARENT_RANGE,
+        message: `${ERROR_MESSAGES.OUTSIDE_PARENT_RANGE}: ${parentStart.toISOString()} to ${parentEnd.toISOString()}`
+      };
+    }
+
+    return null;
+  }
+
+  // Reparent an event, and with it its subtree (parentId null makes it a root event).
+  // The temporal integrity rules apply to the event in its new place.
+  // Returns { event, previousParentId, movedDescendants, warnings }, { problem } when the move is refused,
+  // or null when the event does not exist
+  static async moveSubtree(eventId, parentId, { enforceDateRange = false, actor }) {
+    const note = parentId ? `Moved under ${parentId}` : 'Moved to the top level';
+
+    return withAuditedTransaction({ actor, note }, async (client) => {
+      await EventRepository.lockHierarchy(client);
+
+      const event = await EventRepository.findById(eventId, client);
+      if (!event) return null;
+
+      const problem = await this.findParentProblem(client, event, parentId, { enforceDateRange });
+      if (problem) return { problem };
+
+      const report = await TemporalRuleService.checkEvent(client, { ...event, parent_event_id: parentId });
+      if (report.errors.length > 0) {
+        return {
+          problem: { type: PARENT_PROBLEMS.RULE_VIOLATION, message: TemporalRuleService.describeErrors(report.errors) }
+        };
+      }
+
+      const descendants = await EventRepository.findDescendants(eventId, { client });
+      const movedEvent = await EventRepository.update(eventId, { parent_event_id: parentId }, client);
+
+      return {
+        event: movedEvent,
+        previousParentId: event.parent_event_id,
+        movedDescendants: descendants.length,
+        warnings: report.warnings
+      };
+    });
+  }
+}
+
+module.exports = EventHierarchyService;
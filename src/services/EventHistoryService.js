@@ -0,0 +1,76 @@
+const EventRepository = require('../repositories/EventRepository');
+const EventRevision = require('../models/EventRevision');
+const { withAuditedTransaction } = require('../utils/audit');
+const { AUDIT } = require('../config/constants');
+
+/**
+ * Service for reading an event's revision history and rolling it back
+ */
+class EventHistoryService {
+
+  static async getHistory(eventId, { limit = 20, offset = 0 } = {}) {
+    const [revisions, total] = await Promise.all([
+      EventRevision.findByEvent(eventId, limit, offset),
+      EventRevision.countByEvent(eventId)
+    ]);
+
+    return {
+      eventId,
+      revisions: revisions.map(revision => this.formatRevision(revision)),
+      total,
+      limit,
+      offset,
+      hasMore: offset + revisions.length < total
+    };
+  }
+
+  // Restore the event to the state recorded after the given revision.
+  // A deleted event is re-created (or un-deleted); either way the revert is itself recorded as a new revision.
+  // Only the event itself comes back; soft-deleted descendants stay deleted.
+  // Returns { event, restored } or null when the parent the snapshot refers to no longer exists
+  static async revertToSnapshot(eventId, revision, snapshot, { actor }) {
+    const fields = {};
+    AUDIT.REVERTIBLE_FIELDS.forEach(field => {
+      fields[field] = snapshot[field] === undefined ? null : snapshot[field];
+    });
+    fields.metadata = fields.metadata || {};
+    // Snapshots taken before date precision was recorded hold exact dates
+    fields.date_precision = fields.date_precision || 'minute';
+    // Snapshots taken before end_period_closed was recorded tell it by their bounds, as the schema backfill does
+    if (fields.end_period_closed === null) {
+      const end = new Date(fields.end_date).getTime();
+      const boundTime = (bound) => (bound ? new Date(bound).getTime() : end);
+      fields.end_period_closed = end - boundTime(fields.earliest_end) > boundTime(fields.latest_end) - end;
+    }
+    fields.deleted_at = null;
+
+    return withAuditedTransaction({ actor, note: `Reverted to revision ${revision}` }, async (client) => {
+      if (fields.parent_event_id && !await EventRepository.findById(fields.parent_event_id, client)) {
+        return null;
+      }
+
+      const current = await EventRepository.findByIdIncludingDeleted(eventId, client);
+      const event = current
+        ? await EventRepository.update(eventId, fields, client)
+        : await EventRepository.create({ event_id: eventId, ...fields }, client);
+
+      return { event, restored: !current || Boolean(current.deleted_at) };
+    });
+  }
+
+  static formatRevision(revision) {
+    return {
+      revision: revision.revision,
+      operation: revision.operation,
+      actor: revision.actor,
+      changedAt: revision.changed_at,
+      changedFields: revision.changed_fields,
+      note: revision.note,
+      cascaded: revision.cascaded,
+      before: revision.before_snapshot,
+      after: revision.after_snapshot
+    };
+  }
+}
+
+module.exports = EventHistoryService;
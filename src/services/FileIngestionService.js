@@ -1,13 +1,22 @@
 const fs = require('fs').promises;
-const readline = require('readline');
-const { createReadStream } = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const HistoricalEvent = require('../models/HistoricalEvent');
 const IngestionJob = require('../models/IngestionJob');
 const EventFactory = require('../factories/EventFactory');
-const { JOB_STATUS, ERROR_MESSAGES, FILE_PROCESSING } = require('../config/constants');
+const { detectParser } = require('../parsers');
+const { withAuditedTransaction } = require('../utils/audit');
+const EventSpool = require('../utils/eventSpool');
+const TemporalRuleService = require('./TemporalRuleService');
+const { PARENT_ERROR_TYPES, findExternalParentIds, resolveInsertionLevels } = require('../utils/parentGraph');
+const { JOB_STATUS, ERROR_MESSAGES, VALIDATION, FILE_PROCESSING, CONFLICT_MODES, INGESTION_RECOVERY } = require('../config/constants');
 const logger = require('../config/logger');
 
+// Fail at startup rather than failing every interrupted job over a misspelt mode
+if (!INGESTION_RECOVERY.MODES.includes(INGESTION_RECOVERY.MODE)) {
+  throw new Error(`Invalid INGESTION_RECOVERY_MODE "${INGESTION_RECOVERY.MODE}" (expected ${INGESTION_RECOVERY.MODES.join(', ')})`);
+}
+
 class FileIngestionService {
   constructor() {
     if (FileIngestionService.instance) {
@@ -31,7 +40,10 @@ class FileIngestionService {
   }
 
   // Start file ingestion process
-  async startIngestion(filePath) {
+  // options.onConflict picks how existing event IDs are handled (skip | update | error)
+  // options.mapping is a CSV column mapping, stored with the job so retries and resumes reuse it
+  // A file under the upload directory is removed once the job completes (see getTemporaryFiles)
+  async startIngestion(filePath, options = {}) {
     const jobId = this.generateJobId();
     
     try {
@@ -42,24 +54,42 @@ class FileIngestionService {
       const job = new IngestionJob({
         job_id: jobId,
         file_path: filePath,
-        status: JOB_STATUS.PENDING
+        status: JOB_STATUS.PENDING,
+        conflict_mode: options.onConflict,
+        column_mapping: options.mapping
       });
       
       await job.save();
       
       // Start processing asynchronously
-      this.processFile(jobId, filePath).catch(error => {
-        logger.error(`Job ${jobId} failed:`, error);
-      });
+      this.processFile(jobId, filePath)
+        .catch(error => {
+          logger.error(`Job ${jobId} failed:`, error);
+        });
       
       return jobId;
       
     } catch (error) {
+      await this.cleanupFiles(this.getTemporaryFiles(filePath));
       logger.error(`Failed to start ingestion for ${filePath}:`, error);
       throw new Error(`${ERROR_MESSAGES.FILE_NOT_ACCESSIBLE}: ${filePath}`);
     }
   }
 
+  // Remove temporary files (uploads, CSV conversions) left behind by a job
+  async cleanupFiles(filePaths = []) {
+    for (const filePath of filePaths) {
+      try {
+        await fs.unlink(filePath);
+        logger.debug(`Removed temporary file ${filePath}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Failed to remove temporary file ${filePath}: ${error.message}`);
+        }
+      }
+    }
+  }
+
   // Process the file asynchronously
   async processFile(jobId, filePath) {
     const jobData = await IngestionJob.findById(jobId);
@@ -71,269 +101,528 @@ class FileIngestionService {
     // Create an IngestionJob instance from the data
     const job = new IngestionJob(jobData);
     this.activeJobs.set(jobId, job);
+    let spool = null;
     
     try {
       await job.start();
-      logger.info(`Started processing job ${jobId} for file ${filePath}`);
+      const isFreshRun = job.checkpoint_level === 0 && job.checkpoint_line === 0;
+      if (isFreshRun) {
+        logger.info(`Started processing job ${jobId} for file ${filePath}`);
+      } else {
+        logger.info(`Resuming job ${jobId} for file ${filePath} at level ${job.checkpoint_level}, after line ${job.checkpoint_line}`);
+      }
+      
+      // Pass 1: parse every line into the spool and order the rows by their parent/child graph
+      spool = await EventSpool.create(jobId);
+      const plan = await this.stageFile(job, filePath, spool);
       
-      // Count total lines first
-      const totalLines = await this.countLines(filePath);
-      await job.updateProgress({ total_lines: totalLines });
+      if (!job.cancelRequested) {
+        // Nothing has been committed yet on a fresh run, so its errors can be recorded from scratch
+        if (isFreshRun) {
+          await job.updateProgress({
+            total_lines: plan.totalLines,
+            errors: plan.errors,
+            error_lines: plan.errors.length
+          });
+        }
+        
+        // Pass 2: insert level by level so parents are always committed before their children
+        for (let level = job.checkpoint_level; level <= plan.maxLevel && !job.cancelRequested; level++) {
+          await this.processLevel(job, spool, plan.levels, level);
+        }
+      }
       
-      // Process file line by line
-      await this.processLines(job, filePath);
+      // A cancelled job has already been marked as such by cancelJob
+      if (job.cancelRequested) {
+        logger.info(`Stopped cancelled job ${jobId}. Processed: ${job.processed_lines}, Errors: ${job.error_lines}`);
+        return;
+      }
       
       await job.complete();
       logger.info(`Completed job ${jobId}. Processed: ${job.processed_lines}, Errors: ${job.error_lines}`);
       
+      // A failed or cancelled job keeps its upload so it can be retried, until expireOldUploads removes it
+      await this.cleanupFiles(this.getTemporaryFiles(filePath));
+      
     } catch (error) {
-      logger.error(`Job ${jobId} processing failed:`, error);
-      await job.fail(`Processing failed: ${error.message}`);
+      // cancelJob has already marked the job CANCELLED; a batch that was in flight at the time must not overwrite that
+      if (job.cancelRequested) {
+        logger.warn(`Cancelled job ${jobId} stopped on an error: ${error.message}`);
+      } else {
+        logger.error(`Job ${jobId} processing failed:`, error);
+        await job.fail(`Processing failed: ${error.message}`);
+      }
     } finally {
-      this.activeJobs.delete(jobId);
+      if (spool) {
+        await spool.remove().catch(error => logger.warn(`Failed to remove spool of job ${jobId}: ${error.message}`));
+      }
+      // Leave the entry of any later run of the same job in place
+      if (this.activeJobs.get(jobId) === job) {
+        this.activeJobs.delete(jobId);
+      }
     }
   }
 
-  // Count total lines in file
-  async countLines(filePath) {
-    return new Promise((resolve, reject) => {
-      let lineCount = 0;
-      const rl = readline.createInterface({
-        input: createReadStream(filePath),
-        crlfDelay: Infinity
-      });
-      
-      rl.on('line', () => {
-        lineCount++;
-      });
+  // Stream the file once without writing events: parse every record, keep its event in the spool
+  // and resolve the insertion level of each row from its parent reference
+  async stageFile(job, filePath, spool) {
+    const parser = await detectParser(filePath);
+    const rows = [];
+    const lineErrors = [];
+    let recordNumber = 0;
+    
+    for await (const { number, event, error } of parser.readEvents(filePath, { mapping: job.column_mapping })) {
+      if (job.cancelRequested) {
+        logger.info(`Job ${job.job_id} cancelled while staging ${parser.recordLabel.toLowerCase()} ${recordNumber}`);
+        break;
+      }
       
-      rl.on('close', () => {
-        resolve(lineCount);
-      });
+      recordNumber = number;
       
-      rl.on('error', reject);
-    });
+      if (error) {
+        lineErrors.push({ lineNumber: number, message: error.message });
+        logger.warn(`Error parsing ${parser.recordLabel.toLowerCase()} ${number}: ${error.message}`);
+      } else if (event) {
+        await spool.append(number, event);
+        // UUIDs are compared case-insensitively, as Postgres does
+        rows.push({
+          lineNumber: number,
+          eventId: event.event_id.toLowerCase(),
+          parentId: event.parent_event_id ? event.parent_event_id.toLowerCase() : null
+        });
+      }
+    }
+    
+    // A soft-deleted parent is as good as missing
+    const existingParentIds = await HistoricalEvent.findExistingIds(findExternalParentIds(rows), { includeDeleted: false });
+    const { levels, errors: graphErrors, maxLevel } = resolveInsertionLevels(rows, existingParentIds);
+    
+    const errors = [...lineErrors, ...graphErrors]
+      .sort((a, b) => a.lineNumber - b.lineNumber)
+      .map(error => `${parser.recordLabel} ${error.lineNumber}: ${error.message}`);
+    
+    logger.info(`Staged job ${job.job_id} (${parser.format}): ${rows.length} rows across ${maxLevel + 1} levels, ${errors.length} errors`);
+    
+    return { levels, errors, maxLevel, totalLines: recordNumber };
   }
 
-  // Process file lines
-  async processLines(job, filePath) {
-    const batchSize = FILE_PROCESSING.DEFAULT_BATCH_SIZE;
+  // Insert the rows staged at one level of the hierarchy, stopping early once the job has been cancelled
+  // Rows up to the job's checkpoint were committed by an earlier run and are skipped
+  async processLevel(job, spool, levels, level) {
+    const batchSize = VALIDATION.DEFAULT_BATCH_SIZE;
+    const resumeFromLine = level === job.checkpoint_level ? job.checkpoint_line : 0;
+    const numbers = spool.numbers().filter(number => levels.get(number) === level && number > resumeFromLine);
     let batch = [];
-    let lineNumber = 0;
     
-    return new Promise((resolve, reject) => {
-      const rl = readline.createInterface({
-        input: createReadStream(filePath),
-        crlfDelay: Infinity
-      });
-      
-      rl.on('line', async (line) => {
-        lineNumber++;
-        
-        try {
-          const event = EventFactory.createFromFileLine(line, lineNumber);
-          if (event) {
-            batch.push(event);
-          }
-          
-          // Process batch when it reaches batch size
-          if (batch.length >= batchSize) {
-            rl.pause(); // Pause reading while processing batch
-            await this.processBatch(job, batch, lineNumber);
-            batch = [];
-            rl.resume();
-          }
-          
-        } catch (error) {
-          await job.addError(`Line ${lineNumber}: ${error.message}`);
-          logger.warn(`Error parsing line ${lineNumber}: ${error.message}`);
-        }
-      });
+    // Staging already validated these records
+    for await (const record of spool.read(numbers)) {
+      if (job.cancelRequested) {
+        logger.info(`Job ${job.job_id} cancelled at level ${level}, record ${record.number}`);
+        break;
+      }
       
-      rl.on('close', async () => {
-        try {
-          // Process remaining batch
-          if (batch.length > 0) {
-            await this.processBatch(job, batch, lineNumber);
-          }
-          resolve();
-        } catch (error) {
-          reject(error);
-        }
-      });
+      batch.push(record);
       
-      rl.on('error', reject);
-    });
+      // Process batch when it reaches batch size
+      if (batch.length >= batchSize) {
+        await this.processBatch(job, batch, { level, line: record.number });
+        batch = [];
+      }
+    }
+    
+    // Process remaining batch
+    if (batch.length > 0 && !job.cancelRequested) {
+      await this.processBatch(job, batch, { level, line: batch[batch.length - 1].number });
+    }
+    
+    if (!job.cancelRequested) {
+      await job.updateProgress({ checkpoint_level: level + 1, checkpoint_line: 0 });
+    }
   }
 
+  // Progress fields after a batch insert result has been applied to the job
+  buildBatchProgress(job, result) {
+    return {
+      processed_lines: job.processed_lines + result.inserted + result.updated + result.skipped,
+      inserted_count: job.inserted_count + result.inserted,
+      updated_count: job.updated_count + result.updated,
+      skipped_count: job.skipped_count + result.skipped
+    };
+  }
 
-
-  // Process a batch of events
-  async processBatch(job, events, currentLine) {
+  // Run the temporal integrity rules over a batch: events breaking an error-level rule are
+  // left out and counted as errors, warnings are listed in the job's errors without counting
+  async applyTemporalRules(client, events) {
+    const reports = await TemporalRuleService.checkBatch(client, events);
+    const accepted = [];
+    const messages = [];
+    let rejected = 0;
+    
+    events.forEach((event, index) => {
+      const { errors, warnings } = reports[index];
+      if (warnings.length > 0) {
+        messages.push(`Event ${event.event_id}: Warning: ${TemporalRuleService.describe(warnings)}`);
+      }
+      if (errors.length > 0) {
+        messages.push(`Event ${event.event_id}: ${TemporalRuleService.describeErrors(errors)}`);
+        rejected++;
+      } else {
+        accepted.push(event);
+      }
+    });
+    
+    return { accepted, rejected, messages };
+  }
+  
+  // Progress fields recording the outcome of applyTemporalRules
+  buildRuleProgress(job, { rejected, messages }) {
+    if (messages.length === 0) return {};
+    return {
+      errors: [...job.errors, ...messages],
+      error_lines: job.error_lines + rejected
+    };
+  }
+  
+  // Process a batch of records ({ number, event })
+  // checkpoint ({ level, line }) marks the last staged row covered by this batch
+  async processBatch(job, records, checkpoint) {
+    const events = records.map(({ event }) => event);
+    const insertOptions = { onConflict: job.conflict_mode };
+    // Revisions written by this job name it as their actor
+    const auditContext = { actor: `ingestion:${job.job_id}` };
+    
     try {
-      await HistoricalEvent.batchInsert(events);
-      
-      const newProcessedLines = job.processed_lines + events.length;
-      await job.updateProgress({ 
-        processed_lines: newProcessedLines 
+      // Commit the batch together with its checkpoint so a restart resumes right after it
+      await withAuditedTransaction(auditContext, async (client) => {
+        const ruleCheck = await this.applyTemporalRules(client, events);
+        const result = await HistoricalEvent.batchInsert(ruleCheck.accepted, { ...insertOptions, client });
+        await job.updateProgress({ 
+          ...this.buildBatchProgress(job, result),
+          ...this.buildRuleProgress(job, ruleCheck),
+          checkpoint_level: checkpoint.level,
+          checkpoint_line: checkpoint.line
+        }, client);
       });
       
-      logger.debug(`Processed batch: ${events.length} events (total: ${newProcessedLines})`);
+      logger.debug(`Processed batch: ${events.length} events (total: ${job.processed_lines}, checkpoint: level ${checkpoint.level}, line ${checkpoint.line})`);
       
     } catch (error) {
       // If batch insert fails, try individual inserts to identify problematic events
       logger.warn(`Batch insert failed, trying individual inserts: ${error.message}`);
       
-      for (const event of events) {
+      // Each row is checkpointed with its own outcome, so a restart neither repeats nor skips any
+      for (const { number, event } of records) {
+        const rowCheckpoint = { checkpoint_level: checkpoint.level, checkpoint_line: number };
+        
         try {
-          await event.save();
-          const newProcessedLines = job.processed_lines + 1;
-          await job.updateProgress({ processed_lines: newProcessedLines });
+          await withAuditedTransaction(auditContext, async (client) => {
+            const ruleCheck = await this.applyTemporalRules(client, [event]);
+            const result = await HistoricalEvent.batchInsert(ruleCheck.accepted, { ...insertOptions, client });
+            await job.updateProgress({
+              ...this.buildBatchProgress(job, result),
+              ...this.buildRuleProgress(job, ruleCheck),
+              ...rowCheckpoint
+            }, client);
+          });
         } catch (individualError) {
-          await job.addError(`Event ${event.event_id}: ${individualError.message}`);
+          await job.addError(`Event ${event.event_id}: ${individualError.message}`, rowCheckpoint);
           logger.warn(`Failed to insert event ${event.event_id}: ${individualError.message}`);
         }
       }
     }
   }
 
-  // Get job status
-  async getJobStatus(jobId) {
-    const job = await IngestionJob.findById(jobId);
-    if (!job) {
-      return null;
-    }
-    
+  // Shape a job row for API responses
+  formatJobStatus(job) {
     return {
       jobId: job.job_id,
       status: job.status,
+      filePath: job.file_path,
+      onConflict: job.conflict_mode,
+      columnMapping: job.column_mapping,
       processedLines: job.processed_lines,
+      insertedRows: job.inserted_count,
+      updatedRows: job.updated_count,
+      skippedRows: job.skipped_count,
       errorLines: job.error_lines,
       totalLines: job.total_lines,
       errors: job.errors,
       startTime: job.start_time,
-      endTime: job.end_time
+      endTime: job.end_time,
+      isActive: this.activeJobs.has(job.job_id)
     };
   }
 
-  // Cancel a running job
-  async cancelJob(jobId) {
-    const job = this.activeJobs.get(jobId);
-    if (job) {
-      await job.updateProgress({ status: 'CANCELLED' });
-      this.activeJobs.delete(jobId);
-      return true;
+  // Get job status
+  async getJobStatus(jobId) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job) {
+      return null;
     }
-    return false;
+    
+    return this.formatJobStatus(job);
   }
 
-  // Get all active jobs
-  getActiveJobs() {
-    return Array.from(this.activeJobs.keys());
+  // List jobs, optionally filtered by status
+  async listJobs({ status, limit, offset, cursor } = {}) {
+    const [page, total] = await Promise.all([
+      IngestionJob.findPage({ status, limit, offset, cursor }),
+      IngestionJob.count(status)
+    ]);
+    
+    return {
+      jobs: page.rows.map(job => this.formatJobStatus(job)),
+      total,
+      limit,
+      offset: cursor ? null : offset,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor
+    };
   }
 
-  // Parse a single line from the input file
-  parseLine(line, lineNumber) {
-    // Skip empty lines and comments
-    if (!line.trim() || line.trim().startsWith('#')) {
-      return null;
+  // Cancel a pending or running job
+  async cancelJob(jobId) {
+    const activeJob = this.activeJobs.get(jobId);
+    if (activeJob) {
+      // The read loops in stageFile and processLevel check this flag before every line
+      activeJob.cancelRequested = true;
+      await activeJob.cancel();
+      return true;
     }
-
-    const parts = line.split('|');
-    if (parts.length !== 6) {
-      throw new Error(`Expected 6 fields, got ${parts.length}`);
+    
+    // Not running in this process (e.g. still pending): mark it directly
+    const jobData = await IngestionJob.findById(jobId);
+    if (!jobData || !IngestionJob.isCancellable(jobData.status)) {
+      return false;
     }
+    
+    await new IngestionJob(jobData).cancel();
+    return true;
+  }
 
-    const [eventId, eventName, startDate, endDate, parentId, description] = parts;
-
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(eventId)) {
-      throw new Error(`Invalid UUID format: ${eventId}`);
+  // Re-run a failed or cancelled job from the beginning of its file
+  async retryJob(jobId) {
+    const jobData = await IngestionJob.findById(jobId);
+    if (!jobData) {
+      return null;
     }
+    
+    // Surfaces ENOENT if the source file (e.g. a removed upload) is gone
+    await fs.access(jobData.file_path);
+    
+    const job = new IngestionJob(jobData);
+    await job.reset();
+    logger.info(`Retrying job ${jobId} for file ${job.file_path}`);
+    
+    this.processFile(jobId, job.file_path).catch(error => {
+      logger.error(`Job ${jobId} failed:`, error);
+    });
+    
+    return this.formatJobStatus(job);
+  }
 
-    // Validate parent ID if not NULL
-    if (parentId !== 'NULL' && !uuidRegex.test(parentId)) {
-      throw new Error(`Invalid parent UUID format: ${parentId}`);
+  // Pick up jobs left PENDING or PROCESSING by a previous process (called on startup)
+  async recoverOrphanedJobs(mode = INGESTION_RECOVERY.MODE) {
+    const orphanedJobs = (await IngestionJob.findUnfinished())
+      .filter(jobData => !this.activeJobs.has(jobData.job_id));
+    
+    const recovery = { resumed: [], failed: [] };
+    
+    for (const jobData of orphanedJobs) {
+      const job = new IngestionJob(jobData);
+      // The interrupted run's spool is of no use to a new one, which stages the file again
+      await EventSpool.removeLeftovers(job.job_id)
+        .catch(error => logger.warn(`Failed to remove leftover spools of job ${job.job_id}: ${error.message}`));
+      const fileAccessible = await fs.access(job.file_path).then(() => true, () => false);
+      
+      if (mode === 'resume' && fileAccessible) {
+        logger.info(`Recovering job ${job.job_id} from checkpoint level ${job.checkpoint_level}, line ${job.checkpoint_line}`);
+        this.processFile(job.job_id, job.file_path)
+          .catch(error => {
+            logger.error(`Job ${job.job_id} failed:`, error);
+          });
+        recovery.resumed.push(job.job_id);
+        continue;
+      }
+      
+      const reason = fileAccessible
+        ? 'automatic recovery is disabled'
+        : `${ERROR_MESSAGES.FILE_NOT_ACCESSIBLE}: ${job.file_path}`;
+      await job.fail(`${ERROR_MESSAGES.JOB_INTERRUPTED} (${reason})`);
+      logger.warn(`Marked orphaned job ${job.job_id} as failed: ${reason}`);
+      recovery.failed.push(job.job_id);
     }
+    
+    return recovery;
+  }
 
-    // Validate dates
-    const startDateTime = new Date(startDate);
-    const endDateTime = new Date(endDate);
+  // Delete finished jobs older than the retention period, with any uploads they still kept
+  async expireOldJobs(daysOld = FILE_PROCESSING.JOB_RETENTION_DAYS) {
+    const expiredJobs = await IngestionJob.deleteOldJobs(daysOld);
     
-    if (isNaN(startDateTime.getTime())) {
-      throw new Error(`Invalid start date format: ${startDate}`);
+    for (const { file_path: filePath } of expiredJobs) {
+      await this.cleanupFiles(this.getTemporaryFiles(filePath));
     }
     
-    if (isNaN(endDateTime.getTime())) {
-      throw new Error(`Invalid end date format: ${endDate}`);
-    }
+    return expiredJobs.map(job => job.job_id);
+  }
+
+  // Delete the uploads kept for retrying failed or cancelled jobs once they are past the upload retention
+  // period; the jobs stay listed, but can no longer be retried. Returns the IDs of the jobs whose uploads went
+  async expireOldUploads(hoursOld = FILE_PROCESSING.UPLOAD_RETENTION_HOURS) {
+    const endedJobs = await IngestionJob.findEndedUnsuccessfully(hoursOld);
+    const expired = [];
     
-    if (endDateTime <= startDateTime) {
-      throw new Error(`End date must be after start date`);
+    for (const { job_id: jobId, file_path: filePath } of endedJobs) {
+      const files = this.getTemporaryFiles(filePath);
+      const kept = files.length > 0 && await fs.access(filePath).then(() => true, () => false);
+      if (kept) {
+        await this.cleanupFiles(files);
+        expired.push(jobId);
+      }
     }
+    
+    return expired;
+  }
 
-    // Validate required fields
-    if (!eventName.trim()) {
-      throw new Error('Event name cannot be empty');
-    }
+  // Files under the upload directory are temporary
+  getTemporaryFiles(filePath) {
+    const uploadDir = path.resolve(FILE_PROCESSING.UPLOAD_DIR) + path.sep;
+    return path.resolve(filePath).startsWith(uploadDir) ? [filePath] : [];
+  }
 
-    return {
-      event_id: eventId,
-      event_name: eventName,
-      description: description || null,
-      start_date: startDateTime.toISOString(),
-      end_date: endDateTime.toISOString(),
-      parent_event_id: parentId === 'NULL' ? null : parentId,
-      metadata: {
-        ingested_at: new Date().toISOString(),
-        source_line: lineNumber
+  // Whether a run of the job is still going in this process
+  isJobActive(jobId) {
+    return this.activeJobs.has(jobId);
+  }
+
+  // Get all active jobs
+  getActiveJobs() {
+    return Array.from(this.activeJobs.keys());
+  }
+
+  // Run the full parsing pipeline over a whole file without writing anything,
+  // reporting every problem an ingestion of it would run into
+  async dryRunFile(filePath, { onConflict = CONFLICT_MODES.ERROR, mapping = null } = {}) {
+    const parser = await detectParser(filePath);
+    const rows = [];
+    const lineErrors = [];
+    const linesById = new Map();
+    let recordNumber = 0;
+    let fileError = null;
+    
+    try {
+      for await (const { number, event, error } of parser.readEvents(filePath, { mapping })) {
+        recordNumber = number;
+        
+        if (error) {
+          lineErrors.push({ lineNumber: number, message: error.message });
+          continue;
+        }
+        if (!event) {
+          continue;
+        }
+        
+        const eventId = event.event_id.toLowerCase();
+        const parentId = event.parent_event_id ? event.parent_event_id.toLowerCase() : null;
+        rows.push({ lineNumber: number, eventId, parentId });
+        
+        if (!linesById.has(eventId)) {
+          linesById.set(eventId, []);
+        }
+        linesById.get(eventId).push(number);
+      }
+    } catch (error) {
+      // Structural errors (e.g. a truncated JSON array) stop the scan but are still reported
+      fileError = error.message;
+    }
+    
+    const [existingIds, existingParentIds] = await Promise.all([
+      HistoricalEvent.findExistingIds(Array.from(linesById.keys())),
+      HistoricalEvent.findExistingIds(findExternalParentIds(rows), { includeDeleted: false })
+    ]);
+    const { errors: parentErrors } = resolveInsertionLevels(rows, existingParentIds);
+    
+    const duplicateIds = [];
+    const existingInDatabase = [];
+    linesById.forEach((lineNumbers, eventId) => {
+      if (lineNumbers.length > 1) {
+        duplicateIds.push({ eventId, lineNumbers });
       }
+      if (existingIds.has(eventId)) {
+        existingInDatabase.push({ eventId, lineNumbers });
+      }
+    });
+    
+    const byType = (type) => parentErrors
+      .filter(error => error.type === type)
+      .map(({ type: _type, ...error }) => error);
+    
+    const issues = {
+      lineErrors,
+      duplicateIds,
+      existingIds: existingInDatabase,
+      danglingParents: byType(PARENT_ERROR_TYPES.DANGLING_PARENT),
+      parentCycles: byType(PARENT_ERROR_TYPES.PARENT_CYCLE),
+      rejectedChildren: byType(PARENT_ERROR_TYPES.REJECTED_PARENT)
+    };
+    
+    // Existing IDs only block ingestion when conflicts are treated as errors
+    const blockingIssues = Object.keys(issues)
+      .filter(key => key !== 'existingIds' || onConflict === CONFLICT_MODES.ERROR)
+      .reduce((count, key) => count + issues[key].length, 0);
+    
+    const summary = {};
+    const report = {};
+    let truncated = false;
+    Object.keys(issues).forEach(key => {
+      summary[key] = issues[key].length;
+      report[key] = issues[key].slice(0, FILE_PROCESSING.MAX_REPORTED_ISSUES);
+      truncated = truncated || issues[key].length > FILE_PROCESSING.MAX_REPORTED_ISSUES;
+    });
+    
+    return {
+      isValid: blockingIssues === 0 && !fileError,
+      format: parser.format,
+      onConflict,
+      fileError,
+      totalLines: recordNumber,
+      parsedRows: rows.length,
+      summary,
+      truncated,
+      ...report
     };
   }
 
-  // Validate file format before processing
-  async validateFile(filePath, maxSampleLines = 10) {
+  // Validate file format before processing by parsing a sample of its first records
+  async validateFile(filePath, { mapping = null, maxSampleLines = FILE_PROCESSING.MAX_SAMPLE_LINES } = {}) {
     const errors = [];
-    let lineNumber = 0;
+    let sampledLines = 0;
+    let parser;
     
-    return new Promise((resolve) => {
-      const rl = readline.createInterface({
-        input: createReadStream(filePath),
-        crlfDelay: Infinity
-      });
-      
-      rl.on('line', (line) => {
-        lineNumber++;
-        
-        if (lineNumber > maxSampleLines) {
-          rl.close();
-          return;
+    try {
+      parser = await detectParser(filePath);
+      for await (const { number, error } of parser.readEvents(filePath, { mapping })) {
+        if (number > maxSampleLines) {
+          break;
         }
         
-        try {
-          this.parseLine(line, lineNumber);
-        } catch (error) {
-          errors.push(`Line ${lineNumber}: ${error.message}`);
+        sampledLines = number;
+        if (error) {
+          errors.push(`${parser.recordLabel} ${number}: ${error.message}`);
         }
-      });
-      
-      rl.on('close', () => {
-        resolve({
-          isValid: errors.length === 0,
-          errors,
-          sampledLines: lineNumber
-        });
-      });
-      
-      rl.on('error', (error) => {
-        resolve({
-          isValid: false,
-          errors: [`File read error: ${error.message}`],
-          sampledLines: 0
-        });
-      });
-    });
+      }
+    } catch (error) {
+      errors.push(`File error: ${error.message}`);
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      format: parser ? parser.format : null,
+      errors,
+      sampledLines
+    };
   }
 }
 
@@ -0,0 +1,105 @@
+const EventRepository = require('../repositories/EventRepository');
+const rules = require('../rules');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+// Event IDs from input files keep their original case, the database returns them lower-cased
+const idKey = (eventId) => (eventId ? String(eventId).toLowerCase() : null);
+
+/**
+ * Service for running the temporal integrity rules (src/rules) against events about to be written
+ * Loads what the rules compare against - parents, overlapping siblings, children - in as few queries as possible
+ */
+class TemporalRuleService {
+
+  // Check one event as it will be stored (event holds its final field values).
+  // checkChildren also checks the event's existing children against its range (for updates)
+  static async checkEvent(client, event, { checkChildren = false } = {}) {
+    const [report] = await this.checkBatch(client, [event], { checkChildren });
+    return report;
+  }
+
+  // One { errors, warnings } report per event, in order. Events in the batch are also
+  // compared with each other, so siblings inserted together are checked for overlaps
+  static async checkBatch(client, events, { checkChildren = false } = {}) {
+    const contexts = events.map(() => ({}));
+
+    if (rules.isEnabled('parent_containment')) {
+      await this.loadParents(client, events, contexts);
+      if (checkChildren) {
+        for (const [index, event] of events.entries()) {
+          contexts[index].childrenOutside = await EventRepository.findChildrenOutsideRange(
+            event.event_id, event.start_date, event.end_date, client
+          );
+        }
+      }
+    }
+
+    if (rules.isEnabled('sibling_overlap')) {
+      await this.loadOverlappingSiblings(client, events, contexts);
+    }
+
+    return events.map((event, index) => rules.evaluate(event, contexts[index]));
+  }
+
+  static async loadParents(client, events, contexts) {
+    const parentIds = [...new Set(events.map(event => idKey(event.parent_event_id)).filter(Boolean))];
+    if (parentIds.length === 0) return;
+
+    const parents = new Map(
+      (await EventRepository.findLiveByIds(parentIds, client)).map(parent => [parent.event_id, parent])
+    );
+    events.forEach((event, index) => {
+      contexts[index].parent = parents.get(idKey(event.parent_event_id)) || null;
+    });
+  }
+
+  static async loadOverlappingSiblings(client, events, contexts) {
+    const children = events.filter(event => event.parent_event_id);
+    if (children.length === 0) return;
+
+    const overlapsById = new Map();
+    const addOverlap = (eventId, sibling) => {
+      const key = idKey(eventId);
+      if (!overlapsById.has(key)) overlapsById.set(key, []);
+      overlapsById.get(key).push(sibling);
+    };
+
+    (await EventRepository.findOverlappingSiblings(children, client)).forEach(({ candidate_id, ...sibling }) => {
+      addOverlap(candidate_id, sibling);
+    });
+
+    // Within the batch: sort each parent's children by start and sweep
+    const byParent = new Map();
+    children.forEach(event => {
+      const key = idKey(event.parent_event_id);
+      if (!byParent.has(key)) byParent.set(key, []);
+      byParent.get(key).push(event);
+    });
+
+    byParent.forEach(group => {
+      group.sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+      group.forEach((event, i) => {
+        for (let j = i + 1; j < group.length && new Date(group[j].start_date) < new Date(event.end_date); j++) {
+          if (idKey(group[j].event_id) === idKey(event.event_id)) continue;
+          addOverlap(event.event_id, group[j]);
+          addOverlap(group[j].event_id, event);
+        }
+      });
+    });
+
+    events.forEach((event, index) => {
+      contexts[index].overlappingSiblings = overlapsById.get(idKey(event.event_id)) || [];
+    });
+  }
+
+  // One line for a list of violations, e.g. for an error message or a job error entry
+  static describe(violations) {
+    return violations.map(({ rule, message }) => `[${rule}] ${message}`).join('; ');
+  }
+
+  static describeErrors(errors) {
+    return `${ERROR_MESSAGES.RULE_VIOLATION}: ${this.describe(errors)}`;
+  }
+}
+
+module.exports = TemporalRuleService;
@@ -0,0 +1,88 @@
+const EventRepository = require('../repositories/EventRepository');
+const { encodeCursor } = require('../utils/cursor');
+const { API, PAGINATION, TIMELINE } = require('../config/constants');
+
+/**
+ * Service for reading an event hierarchy as a tree, whole or a part at a time: a client can load the
+ * top levels of a large timeline and fetch the rest of a branch (with that event as root) when it is opened
+ */
+class TimelineService {
+
+  // The root event with its descendants nested as children, or null when it does not exist.
+  // Options as for EventRepository.getTimeline, plus fields to narrow every event to.
+  // Each event tells whether it has children left out (hasMoreChildren): past childLimit, where
+  // nextChildrenCursor reads on after the last child included, or below maxDepth
+  static async getTimeline(rootEventId, options = {}) {
+    const {
+      sortBy = API.DEFAULT_SORT_BY,
+      sortOrder = API.DEFAULT_SORT_ORDER,
+      childLimit = null,
+      fields = TIMELINE.FIELDS
+    } = options;
+    const rows = await EventRepository.getTimeline(rootEventId, { ...options, sortBy, sortOrder });
+    if (rows.length === 0) return null;
+
+    const project = (row) => {
+      const event = { event_id: row.event_id };
+      fields.forEach(field => { event[field] = row[field]; });
+      return event;
+    };
+    const cursorAfter = (row) => encodeCursor({
+      sortBy,
+      sortOrder,
+      key: [row[sortBy], row.event_id],
+      direction: PAGINATION.DIRECTIONS.NEXT
+    });
+
+    // Rows come parents first, and siblings in order with any extra child last
+    const branches = new Map();
+    rows.forEach(row => {
+      const parent = row.level > 0 ? branches.get(row.parent_event_id) : null;
+      if (parent && childLimit && row.sibling_rank > childLimit) {
+        parent.event.hasMoreChildren = true;
+        parent.event.nextChildrenCursor = cursorAfter(parent.lastChild);
+        return;
+      }
+
+      const event = {
+        ...project(row),
+        children: [],
+        hasMoreChildren: Boolean(row.has_children),
+        nextChildrenCursor: null
+      };
+      branches.set(row.event_id, { event, lastChild: null });
+      if (parent) {
+        parent.event.children.push(event);
+        parent.lastChild = row;
+      }
+    });
+
+    return branches.get(rows[0].event_id).event;
+  }
+
+  // Where an event sits: its root, the path of ancestors from the root down to its parent, and the
+  // event with its immediate children (options as for getTimeline), or null when it does not exist.
+  // Levels count from the root
+  static async getLineage(eventId, options = {}) {
+    const event = await this.getTimeline(eventId, { ...options, maxDepth: 1 });
+    if (!event) return null;
+
+    const path = await EventRepository.findAncestors(eventId);
+    const level = path.length;
+    const { children, hasMoreChildren, nextChildrenCursor, ...fields } = event;
+
+    return {
+      root: level > 0 ? path[0] : { ...fields, level },
+      path,
+      event: {
+        ...fields,
+        level,
+        children: children.map(child => ({ ...child, level: level + 1 })),
+        hasMoreChildren,
+        nextChildrenCursor
+      }
+    };
+  }
+}
+
+module.exports = TimelineService;
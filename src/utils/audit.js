@@ -0,0 +1,32 @@
+/**
+ * Audit Utility
+ * Tags the event changes made in a transaction with an actor and note, which the
+ * revision trigger copies into event_revisions
+ */
+
+const QUERIES = require('../config/queries');
+const { withTransaction } = require('./transaction');
+const { AUDIT } = require('../config/constants');
+
+async function setAuditContext(client, { actor = AUDIT.SYSTEM_ACTOR, note = null } = {}) {
+  await client.query(QUERIES.REVISION.SET_CONTEXT, [actor, note || '']);
+}
+
+function withAuditedTransaction(context, callback) {
+  return withTransaction(async (client) => {
+    await setAuditContext(client, context);
+    return callback(client);
+  });
+}
+
+// Actor named by the request's X-Actor header
+function getRequestActor(req) {
+  const actor = (req.get(AUDIT.ACTOR_HEADER) || '').trim();
+  return actor ? actor.substring(0, AUDIT.MAX_ACTOR_LENGTH) : AUDIT.ANONYMOUS_ACTOR;
+}
+
+module.exports = {
+  setAuditContext,
+  withAuditedTransaction,
+  getRequestActor
+};
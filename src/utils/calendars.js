@@ -0,0 +1,142 @@
+/**
+ * Calendar Utility
+ * Converts dates written in historical calendars to the proleptic Gregorian timeline the engine
+ * stores, by way of the Julian Day Number (JDN): the count of days since 1 January 4713 BCE (Julian)
+ *
+ * Calendars besides 'gregorian' (which utils/historicalDate reads directly):
+ * - julian: years are astronomical like ISO years (0 is 1 BCE)
+ * - hijri: the tabular Islamic civil calendar (30-year cycle, 1 Muharram 1 AH = 16 July 622 Julian);
+ *   calendars that depend on sighting the new moon can differ from it by a day or two
+ * - hebrew: the arithmetic Hebrew calendar; months are numbered from Nisan (1), so Tishri, where the
+ *   year begins, is 7, Adar 12 and Adar II 13 (leap years only)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// JDN of 1970-01-01, the Date epoch
+const UNIX_EPOCH_JDN = 2440588;
+
+const HIJRI_EPOCH_JDN = 1948439;
+const HEBREW_EPOCH_JDN = 347998;
+
+const julian = {
+  firstMonth: 1,
+  isLeapYear: (year) => ((year % 4) + 4) % 4 === 0,
+  monthsInYear: () => 12,
+  daysInMonth(year, month) {
+    if (month === 2) return this.isLeapYear(year) ? 29 : 28;
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+  },
+  toJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+  }
+};
+
+const hijri = {
+  firstMonth: 1,
+  isLeapYear: (year) => (14 + 11 * year) % 30 < 11,
+  monthsInYear: () => 12,
+  daysInMonth(year, month) {
+    if (month === 12 && this.isLeapYear(year)) return 30;
+    return month % 2 === 1 ? 30 : 29;
+  },
+  toJdn(year, month, day) {
+    return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354
+      + Math.floor((3 + 11 * year) / 30) + HIJRI_EPOCH_JDN;
+  }
+};
+
+const hebrew = {
+  firstMonth: 7,
+  isLeapYear: (year) => (7 * year + 1) % 19 < 7,
+  monthsInYear(year) {
+    return this.isLeapYear(year) ? 13 : 12;
+  },
+  // Days from the epoch to the new year, by the molad of Tishri and the first postponement rule
+  elapsedDays(year) {
+    const months = Math.floor((235 * year - 234) / 19);
+    const parts = 12084 + 13753 * months;
+    const day = months * 29 + Math.floor(parts / 25920);
+    return (3 * (day + 1)) % 7 < 3 ? day + 1 : day;
+  },
+  // Further postponement keeping the year within its allowed length
+  yearDelay(year) {
+    const last = this.elapsedDays(year - 1);
+    const present = this.elapsedDays(year);
+    const next = this.elapsedDays(year + 1);
+    if (next - present === 356) return 2;
+    return present - last === 382 ? 1 : 0;
+  },
+  newYearJdn(year) {
+    return HEBREW_EPOCH_JDN + this.elapsedDays(year) + this.yearDelay(year);
+  },
+  daysInYear(year) {
+    return this.newYearJdn(year + 1) - this.newYearJdn(year);
+  },
+  daysInMonth(year, month) {
+    if ([2, 4, 6, 10, 13].includes(month)) return 29;
+    if (month === 12 && !this.isLeapYear(year)) return 29;
+    // Heshvan and Kislev vary with the length of the year
+    if (month === 8 && this.daysInYear(year) % 10 !== 5) return 29;
+    if (month === 9 && this.daysInYear(year) % 10 === 3) return 29;
+    return 30;
+  },
+  toJdn(year, month, day) {
+    let jdn = this.newYearJdn(year) + day - 1;
+    // Months from Tishri up to the given one (Nisan onwards comes after Adar)
+    const months = month >= 7
+      ? range(7, month)
+      : [...range(7, this.monthsInYear(year) + 1), ...range(1, month)];
+    months.forEach(m => { jdn += this.daysInMonth(year, m); });
+    return jdn;
+  }
+};
+
+const CALENDARS = { julian, hijri, hebrew };
+
+function range(from, to) {
+  return Array.from({ length: Math.max(to - from, 0) }, (_, index) => from + index);
+}
+
+function jdnToDate(jdn) {
+  return new Date((jdn - UNIX_EPOCH_JDN) * DAY_MS);
+}
+
+function isConvertibleCalendar(name) {
+  return Object.prototype.hasOwnProperty.call(CALENDARS, name);
+}
+
+/**
+ * The period [start, end) denoted by a year, year-month or year-month-day in a calendar, or null
+ * when the month or day does not exist there. month and day may be omitted for coarser periods.
+ */
+function calendarPeriod(name, year, month, day) {
+  const calendar = CALENDARS[name];
+
+  if (month === undefined) {
+    return {
+      start: jdnToDate(calendar.toJdn(year, calendar.firstMonth, 1)),
+      end: jdnToDate(calendar.toJdn(year + 1, calendar.firstMonth, 1))
+    };
+  }
+
+  if (month < 1 || month > calendar.monthsInYear(year)) return null;
+  const days = calendar.daysInMonth(year, month);
+
+  if (day === undefined) {
+    const first = calendar.toJdn(year, month, 1);
+    return { start: jdnToDate(first), end: jdnToDate(first + days) };
+  }
+
+  if (day < 1 || day > days) return null;
+  const jdn = calendar.toJdn(year, month, day);
+  return { start: jdnToDate(jdn), end: jdnToDate(jdn + 1) };
+}
+
+module.exports = {
+  isConvertibleCalendar,
+  calendarPeriod
+};
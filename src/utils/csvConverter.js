@@ -3,6 +3,7 @@ const readline = require('readline');
 const { createReadStream, createWriteStream } = require('fs');
 const path = require('path');
 const logger = require('../config/logger');
+const { parseHistoricalDate } = require('./historicalDate');
 
 /**
  * CSV to Pipe-delimited converter for Chronologicon Engine
@@ -11,11 +12,15 @@ const logger = require('../config/logger');
 
 class CSVConverter {
 
+  static getConvertedFilePath(csvFilePath) {
+    const dir = path.dirname(csvFilePath);
+    const name = path.basename(csvFilePath, '.csv');
+    return path.join(dir, `${name}_converted.txt`);
+  }
+
   static async convertCSVToPipeDelimited(csvFilePath, outputPath = null) {
     if (!outputPath) {
-      const dir = path.dirname(csvFilePath);
-      const name = path.basename(csvFilePath, '.csv');
-      outputPath = path.join(dir, `${name}_converted.txt`);
+      outputPath = this.getConvertedFilePath(csvFilePath);
     }
 
     logger.info(`Converting CSV file: ${csvFilePath} -> ${outputPath}`);
@@ -125,23 +130,23 @@ class CSVConverter {
       throw new Error(`Invalid date format (use ISO 8601): ${cleanStartDate} / ${cleanEndDate}`);
     }
 
-    // Ensure dates are in ISO format
-    if (!cleanStartDate.endsWith('Z') && !cleanStartDate.includes('+')) {
+    // Ensure timestamps are in ISO format; coarse dates ("1450", "500 BCE") are kept as written
+    if (cleanStartDate.includes('T') && !cleanStartDate.endsWith('Z') && !cleanStartDate.includes('+')) {
       cleanStartDate += 'Z';
     }
-    if (!cleanEndDate.endsWith('Z') && !cleanEndDate.includes('+')) {
+    if (cleanEndDate.includes('T') && !cleanEndDate.endsWith('Z') && !cleanEndDate.includes('+')) {
       cleanEndDate += 'Z';
     }
 
     // Validate dates
-    const startDateObj = new Date(cleanStartDate);
-    const endDateObj = new Date(cleanEndDate);
+    const startPeriod = parseHistoricalDate(cleanStartDate);
+    const endPeriod = parseHistoricalDate(cleanEndDate);
 
-    if (isNaN(startDateObj.getTime()) || isNaN(endDateObj.getTime())) {
+    if (!startPeriod || !endPeriod) {
       throw new Error(`Invalid date format: ${cleanStartDate} / ${cleanEndDate}`);
     }
 
-    if (endDateObj <= startDateObj) {
+    if (endPeriod.end <= startPeriod.start) {
       throw new Error('End date must be after start date');
     }
 
@@ -152,7 +157,7 @@ class CSVConverter {
     }
 
     // Validate parent UUID if not NULL
-    if (cleanParentId !== 'NULL' && !uuidRegex.test(cleanParentId)) {
+    if (cleanParentId !== 'NULL' && !VALIDATION.UUID_REGEX.test(cleanParentId)) {
       throw new Error(`Invalid parent UUID format: ${cleanParentId}`);
     }
 
@@ -173,14 +178,17 @@ class CSVConverter {
 
   /**
    * Parse CSV line handling both comma and pipe delimited formats
+   * An explicit delimiter (from a column mapping) disables the pipe detection
    */
-  static parseCSVLine(line) {
+  static parseCSVLine(line, delimiter = null) {
     // Check if it's pipe-delimited (which is actually what we have)
-    if (line.includes('|')) {
+    if (!delimiter && line.includes('|')) {
       return line.split('|');
     }
     
-    // Handle comma-delimited with quoted fields
+    const separator = delimiter || ',';
+    
+    // Handle delimited fields, with quoted fields and "" escapes
     const fields = [];
     let current = '';
     let inQuotes = false;
@@ -189,8 +197,13 @@ class CSVConverter {
       const char = line[i];
       
       if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
+        if (inQuotes && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === separator && !inQuotes) {
         fields.push(current);
         current = '';
       } else {
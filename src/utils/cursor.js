@@ -0,0 +1,82 @@
+/**
+ * Cursor Utility
+ * Keyset pagination: a cursor is an opaque token holding the sort it was issued for and the key
+ * (sort value, ID) of the row a page starts after ('next') or ends before ('prev'). Unlike offsets,
+ * a cursor keeps its place while rows are inserted or deleted, and costs the same on every page.
+ */
+
+const { PAGINATION } = require('../config/constants');
+
+const { NEXT, PREV } = PAGINATION.DIRECTIONS;
+
+// Dates are tagged so that they come back as Date values, which pg binds for any year (BCE included)
+function encodeKeyValue(value) {
+  return value instanceof Date ? { date: value.toISOString() } : value;
+}
+
+function decodeKeyValue(value) {
+  return value && typeof value === 'object' ? new Date(value.date) : value;
+}
+
+function encodeCursor({ sortBy, sortOrder, key, direction }) {
+  const payload = { s: sortBy, o: sortOrder, k: key.map(encodeKeyValue), d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// { sortBy, sortOrder, key, direction }, or null when the token is not a cursor
+function decodeCursor(token) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const isKeyValue = (value) => ['string', 'number'].includes(typeof value)
+    || (Boolean(value) && typeof value.date === 'string' && !isNaN(new Date(value.date).getTime()));
+  if (!payload || typeof payload.s !== 'string' || !['asc', 'desc'].includes(payload.o)
+    || ![NEXT, PREV].includes(payload.d) || !Array.isArray(payload.k) || payload.k.length !== 2
+    || !payload.k.every(isKeyValue)) {
+    return null;
+  }
+
+  return { sortBy: payload.s, sortOrder: payload.o, key: payload.k.map(decodeKeyValue), direction: payload.d };
+}
+
+// The order rows are fetched in: a 'prev' page is read backwards from its cursor, then reversed
+function fetchOrder(sortOrder, cursor) {
+  const backwards = Boolean(cursor) && cursor.direction === PREV;
+  return backwards !== (sortOrder === 'desc') ? 'DESC' : 'ASC';
+}
+
+/**
+ * Turn the rows of a page query into { rows, hasMore, nextCursor, prevCursor }. The query fetches
+ * limit + 1 rows in fetchOrder, so that the extra row tells whether there is more to read.
+ * keyOf(row) gives a row's [sort value, ID]; offset is the position of the page when no cursor is used.
+ */
+function buildPage(fetchedRows, { limit, cursor = null, offset = 0, sortBy, sortOrder, keyOf }) {
+  const backwards = Boolean(cursor) && cursor.direction === PREV;
+  const hasExtraRow = fetchedRows.length > limit;
+  const rows = fetchedRows.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  // Reading on from a cursor means there are rows on the side it came from
+  const hasNext = backwards ? true : hasExtraRow;
+  const hasPrevious = backwards ? hasExtraRow : Boolean(cursor) || offset > 0;
+
+  const cursorAt = (row, direction) => encodeCursor({ sortBy, sortOrder, key: keyOf(row), direction });
+
+  return {
+    rows,
+    hasMore: hasNext,
+    nextCursor: hasNext && rows.length > 0 ? cursorAt(rows[rows.length - 1], NEXT) : null,
+    prevCursor: hasPrevious && rows.length > 0 ? cursorAt(rows[0], PREV) : null
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  fetchOrder,
+  buildPage
+};
@@ -0,0 +1,128 @@
+/**
+ * Date Format Utility
+ * Parses dates written in a declared layout (e.g. DD/MM/YYYY HH:mm) into ISO 8601 strings at the
+ * precision they are written at, so that a mapped column reads as the same date written unmapped
+ * would: a date without a time becomes a day ("2023-01-05"), one with a time an exact instant
+ *
+ * Tokens: YYYY, MM, DD, HH, mm, ss, SSS. Any other character is matched literally.
+ * YYYY also takes signed astronomical years (-0499 is 500 BCE).
+ * Special formats: 'iso' (any date an unmapped column takes, kept as written), 'unix' (seconds), 'unix_ms' (milliseconds)
+ * Dates are interpreted as UTC.
+ */
+
+const { DATES } = require('../config/constants');
+const { parseHistoricalDate, periodText } = require('./historicalDate');
+
+const [, DAY] = DATES.PRECISIONS;
+
+const TOKEN_PATTERN = /YYYY|SSS|MM|DD|HH|mm|ss/g;
+
+const TOKEN_REGEX = {
+  YYYY: '([+-]?\\d{4,6})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+  SSS: '(\\d{1,3})'
+};
+
+const SPECIAL_FORMATS = ['iso', 'unix', 'unix_ms'];
+
+const compiledFormats = new Map();
+
+// Build (and cache) the regex and token order for a format
+function compileDateFormat(format) {
+  if (compiledFormats.has(format)) {
+    return compiledFormats.get(format);
+  }
+
+  const tokens = [];
+  let pattern = '';
+  let lastIndex = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(format)) !== null) {
+    pattern += escapeRegex(format.slice(lastIndex, match.index)) + TOKEN_REGEX[match[0]];
+    tokens.push(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+  pattern += escapeRegex(format.slice(lastIndex));
+
+  const compiled = { regex: new RegExp(`^${pattern}$`), tokens };
+  compiledFormats.set(format, compiled);
+  return compiled;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A usable format is a special format, or names the year, month and day exactly once each
+function isValidDateFormat(format) {
+  if (SPECIAL_FORMATS.includes(format)) {
+    return true;
+  }
+
+  const { tokens } = compileDateFormat(format);
+  const required = ['YYYY', 'MM', 'DD'];
+  return required.every(token => tokens.includes(token))
+    && new Set(tokens).size === tokens.length;
+}
+
+// Parse a value written in the given format, returning an ISO 8601 string at its precision
+function parseDateWithFormat(value, format) {
+  const text = String(value).trim();
+
+  // Read as an unmapped date would be, so it is kept as written
+  if (format === 'iso') {
+    if (!parseHistoricalDate(text)) {
+      throw new Error(`Invalid date "${text}" (expected ISO 8601)`);
+    }
+    return text;
+  }
+
+  if (format === 'unix' || format === 'unix_ms') {
+    if (!/^-?\d+(\.\d+)?$/.test(text)) {
+      throw new Error(`Invalid date "${text}" (expected a ${format} timestamp)`);
+    }
+    const date = new Date(Number(text) * (format === 'unix' ? 1000 : 1));
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date "${text}" (timestamp out of range)`);
+    }
+    return date.toISOString();
+  }
+
+  const { regex, tokens } = compileDateFormat(format);
+  const match = text.match(regex);
+  if (!match) {
+    throw new Error(`Invalid date "${text}" (expected format ${format})`);
+  }
+
+  const parts = { YYYY: 0, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+  tokens.forEach((token, index) => {
+    // Fractions are written as digits after the decimal point
+    parts[token] = token === 'SSS'
+      ? Number(match[index + 1].padEnd(3, '0'))
+      : Number(match[index + 1]);
+  });
+
+  const date = new Date(Date.UTC(2000, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss, parts.SSS));
+  date.setUTCFullYear(parts.YYYY);
+
+  // Date.UTC rolls invalid values over (e.g. 31/02 -> 03/03), so read the parts back
+  if (date.getUTCFullYear() !== parts.YYYY || date.getUTCMonth() !== parts.MM - 1
+    || date.getUTCDate() !== parts.DD || date.getUTCHours() !== parts.HH
+    || date.getUTCMinutes() !== parts.mm || date.getUTCSeconds() !== parts.ss) {
+    throw new Error(`Invalid date "${text}" (out of range for format ${format})`);
+  }
+
+  return tokens.includes('HH') ? date.toISOString() : periodText(date, DAY);
+}
+
+module.exports = {
+  SPECIAL_FORMATS,
+  isValidDateFormat,
+  parseDateWithFormat
+};
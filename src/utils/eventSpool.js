@@ -0,0 +1,101 @@
+/**
+ * Event Spool Utility
+ * Holds the events an ingestion run has staged in a temporary file, one JSON line each, and keeps
+ * where each record's line lies. Inserting a level of the hierarchy then reads back just the events
+ * at that level, rather than parsing the whole source file once more for every level.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const HistoricalEvent = require('../models/HistoricalEvent');
+const { DATES, FILE_PROCESSING } = require('../config/constants');
+
+// Event fields held as Date objects, which JSON writes as ISO text
+const DATE_FIELDS = ['start_date', 'end_date', ...DATES.BOUND_FIELDS];
+
+const SPOOL_EXTENSION = '.spool';
+
+class EventSpool {
+  constructor(filePath, handle) {
+    this.filePath = filePath;
+    this.handle = handle;
+    this.size = 0;
+    // Record number -> { offset, length } of its line, in the order the records were staged
+    this.entries = new Map();
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  // Open an empty spool in the system's temporary directory
+  static async create(name) {
+    const filePath = path.join(os.tmpdir(), `${name}-${uuidv4().substring(0, 8)}${SPOOL_EXTENSION}`);
+    return new EventSpool(filePath, await fs.open(filePath, 'w+'));
+  }
+
+  // Delete the spools of a name left behind by a process that stopped mid-run; returns how many there were
+  static async removeLeftovers(name) {
+    const leftovers = (await fs.readdir(os.tmpdir()))
+      .filter(file => file.startsWith(`${name}-`) && file.endsWith(SPOOL_EXTENSION));
+    await Promise.all(leftovers.map(file => fs.unlink(path.join(os.tmpdir(), file))));
+    return leftovers.length;
+  }
+
+  async append(number, event) {
+    const line = Buffer.from(JSON.stringify(event) + '\n');
+    this.entries.set(number, { offset: this.size + this.pendingBytes, length: line.length });
+    this.pending.push(line);
+    this.pendingBytes += line.length;
+
+    if (this.pendingBytes >= FILE_PROCESSING.SPOOL_WRITE_BYTES) {
+      await this.flush();
+    }
+  }
+
+  async flush() {
+    if (this.pendingBytes === 0) return;
+
+    const chunk = Buffer.concat(this.pending, this.pendingBytes);
+    await this.handle.write(chunk, 0, chunk.length, this.size);
+    this.size += chunk.length;
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  // Record numbers of the staged events, in file order
+  numbers() {
+    return Array.from(this.entries.keys());
+  }
+
+  // Yield { number, event } for each of the given record numbers
+  async *read(numbers) {
+    await this.flush();
+
+    for (const number of numbers) {
+      const { offset, length } = this.entries.get(number);
+      const buffer = Buffer.alloc(length);
+      await this.handle.read(buffer, 0, length, offset);
+      yield { number, event: reviveEvent(JSON.parse(buffer.toString())) };
+    }
+  }
+
+  // Close and delete the spool file
+  async remove() {
+    await this.handle.close();
+    await fs.unlink(this.filePath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+// Only the event's own date fields are revived: metadata may hold date text under the same names
+function reviveEvent(data) {
+  const dates = {};
+  DATE_FIELDS.forEach(field => {
+    dates[field] = data[field] ? new Date(data[field]) : null;
+  });
+  return new HistoricalEvent({ ...data, ...dates });
+}
+
+module.exports = EventSpool;
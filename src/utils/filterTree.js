@@ -0,0 +1,153 @@
+/**
+ * Filter Tree Utility
+ * Reads the boolean filter trees of POST /api/events/query into the form buildWhereClause compiles.
+ * A node is either a logical node or a leaf:
+ *
+ *   { "and": [node, ...] }   { "or": [node, ...] }   { "not": node }
+ *   { "field": "name", "op": "contains", "value": "siege" }
+ *
+ * Leaf fields and their operators are listed in QUERY_LANGUAGE.FIELDS, plus metadata.<path> for the
+ * paths event search can filter on (utils/metadataFilter). Dates take the same values as events,
+ * including { date, calendar } objects, and compare by their period as metadata date filters do.
+ * Trees are limited to QUERY_LANGUAGE.MAX_DEPTH levels and QUERY_LANGUAGE.MAX_NODES nodes.
+ */
+
+const { QUERY_LANGUAGE, VALIDATION } = require('../config/constants');
+const { comparisonPeriod } = require('./historicalDate');
+const { isMetadataParameter, readMetadataFilter } = require('./metadataFilter');
+
+const LOGICAL_OPERATORS = ['and', 'or', 'not'];
+const LEAF_KEYS = ['field', 'op', 'value'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function readText(value, location) {
+  if (typeof value !== 'string' || !value.trim() || value.length > QUERY_LANGUAGE.MAX_TEXT_LENGTH) {
+    throw new Error(`${location}.value must be a string of 1-${QUERY_LANGUAGE.MAX_TEXT_LENGTH} characters`);
+  }
+  return value;
+}
+
+function readBoolean(value, location) {
+  if (typeof value !== 'boolean') {
+    throw new Error(`${location}.value must be true or false`);
+  }
+  return value;
+}
+
+function readCount(value, location) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${location}.value must be a non-negative integer`);
+  }
+  return value;
+}
+
+function readDate(value, location) {
+  const period = comparisonPeriod(value);
+  if (!period) {
+    throw new Error(`${location}.value must be an ISO 8601 or historical date`);
+  }
+  return period;
+}
+
+function readEventId(value, location) {
+  if (typeof value !== 'string' || !VALIDATION.UUID_REGEX.test(value)) {
+    throw new Error(`${location}.value must be an event ID`);
+  }
+  return value.toLowerCase();
+}
+
+// Value readers by field; op is passed for fields whose value depends on the operator
+const FIELD_READERS = {
+  name: readText,
+  description: (value, location, op) => (op === 'exists' ? readBoolean(value, location) : readText(value, location)),
+  start_date: readDate,
+  end_date: readDate,
+  duration: readCount,
+  depth: readCount,
+  parent: (value, location, op) => {
+    if (op === 'exists') return readBoolean(value, location);
+    if (op === 'eq') return value === null ? null : readEventId(value, location);
+
+    if (!Array.isArray(value) || value.length === 0 || value.length > QUERY_LANGUAGE.MAX_LIST_VALUES) {
+      throw new Error(`${location}.value must be a list of 1-${QUERY_LANGUAGE.MAX_LIST_VALUES} event IDs`);
+    }
+    return value.map(id => readEventId(id, location));
+  }
+};
+
+function readLeaf(node, location) {
+  const unknownKeys = Object.keys(node).filter(key => !LEAF_KEYS.includes(key));
+  if (unknownKeys.length > 0 || typeof node.field !== 'string' || typeof node.op !== 'string' || node.value === undefined) {
+    throw new Error(`${location} must be an and, or or not node, or a condition with field, op and value`);
+  }
+
+  const { field, op, value } = node;
+
+  if (isMetadataParameter(field)) {
+    if (Array.isArray(value) && value.length > QUERY_LANGUAGE.MAX_LIST_VALUES) {
+      throw new Error(`${location}.value may list at most ${QUERY_LANGUAGE.MAX_LIST_VALUES} values`);
+    }
+    try {
+      return { field, op, value: readMetadataFilter(field, op, value) };
+    } catch (error) {
+      throw new Error(`${location}: ${error.message}`);
+    }
+  }
+
+  const operators = QUERY_LANGUAGE.FIELDS[field];
+  if (!operators) {
+    throw new Error(`${location}.field must be one of ${Object.keys(QUERY_LANGUAGE.FIELDS).join(', ')} or metadata.<path>`);
+  }
+  if (!operators.includes(op)) {
+    throw new Error(`${location}.op for ${field} must be one of ${operators.join(', ')}`);
+  }
+
+  return { field, op, value: FIELD_READERS[field](value, location, op) };
+}
+
+function readNode(node, location, depth, counter) {
+  counter.nodes++;
+  if (counter.nodes > QUERY_LANGUAGE.MAX_NODES) {
+    throw new Error(`filter may have at most ${QUERY_LANGUAGE.MAX_NODES} nodes`);
+  }
+  if (depth > QUERY_LANGUAGE.MAX_DEPTH) {
+    throw new Error(`${location} is nested deeper than ${QUERY_LANGUAGE.MAX_DEPTH} levels`);
+  }
+  if (!isPlainObject(node)) {
+    throw new Error(`${location} must be an object`);
+  }
+
+  const keys = Object.keys(node);
+  const [operator] = keys;
+  if (!LOGICAL_OPERATORS.includes(operator)) {
+    return readLeaf(node, location);
+  }
+  if (keys.length !== 1) {
+    throw new Error(`${location} must have a single and, or or not key`);
+  }
+
+  if (operator === 'not') {
+    return { not: readNode(node.not, `${location}.not`, depth + 1, counter) };
+  }
+
+  const children = node[operator];
+  if (!Array.isArray(children) || children.length === 0) {
+    throw new Error(`${location}.${operator} must be a non-empty list of nodes`);
+  }
+  return {
+    [operator]: children.map((child, index) => readNode(child, `${location}.${operator}[${index}]`, depth + 1, counter))
+  };
+}
+
+/**
+ * The tree with every leaf value read into what buildWhereClause binds (date periods, metadata
+ * filters, lower-cased IDs). Throws with a message naming the offending node, e.g. filter.and[1].not
+ */
+function parseFilterTree(tree) {
+  return readNode(tree, 'filter', 1, { nodes: 0 });
+}
+
+module.exports = {
+  parseFilterTree
+};
@@ -0,0 +1,53 @@
+/**
+ * Geometry Utility
+ * Reads the location an event's metadata carries (see GEO in config/constants) as a GeoJSON geometry:
+ *
+ *   { "geometry": { "type": "Polygon", "coordinates": [...] } }    any GeoJSON geometry, kept as given
+ *   { "coordinates": [2.35, 48.85] }                               a point, longitude first as in GeoJSON
+ *   { "latitude": 48.85, "longitude": 2.35 }                       a point (also lat and lon/lng)
+ *
+ * Numbers may be numeric strings. Points outside -90..90 latitude or -180..180 longitude are ignored.
+ */
+
+const { GEO } = require('../config/constants');
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function readNumber(value) {
+  if (typeof value !== 'number' && (typeof value !== 'string' || !value.trim())) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// A GeoJSON point for a longitude and latitude, or null when either is missing or out of range
+function point(longitude, latitude) {
+  const [lon, lat] = [readNumber(longitude), readNumber(latitude)];
+  if (lon === null || lat === null || Math.abs(lon) > 180 || Math.abs(lat) > 90) return null;
+  return { type: 'Point', coordinates: [lon, lat] };
+}
+
+function firstValue(metadata, keys) {
+  const key = keys.find(name => metadata[name] !== undefined && metadata[name] !== null);
+  return key ? metadata[key] : null;
+}
+
+// The event's geometry, or null when its metadata holds no usable location
+function eventGeometry(metadata) {
+  if (!isPlainObject(metadata)) return null;
+
+  const geometry = metadata[GEO.GEOMETRY_KEY];
+  if (isPlainObject(geometry) && GEO.GEOMETRY_TYPES.includes(geometry.type) && Array.isArray(geometry.coordinates)) {
+    return { type: geometry.type, coordinates: geometry.coordinates };
+  }
+
+  const coordinates = metadata[GEO.COORDINATES_KEY];
+  if (Array.isArray(coordinates) && coordinates.length === 2) {
+    return point(coordinates[0], coordinates[1]);
+  }
+
+  return point(firstValue(metadata, GEO.LONGITUDE_KEYS), firstValue(metadata, GEO.LATITUDE_KEYS));
+}
+
+module.exports = {
+  eventGeometry
+};
@@ -0,0 +1,353 @@
+/**
+ * Historical Date Utility
+ * Parses exact and approximate dates into the period they denote, so that coarse dates such as
+ * "1450", "1066-05", "spring 1066" or "circa 1450" are stored at their real precision instead of
+ * being rejected or pinned to a falsely exact instant
+ *
+ * Precisions (DATES.PRECISIONS): minute (an exact instant), day, month and year. A date at day
+ * precision or coarser covers its whole period: "1450" runs from 1450-01-01 up to 1451-01-01.
+ * A "circa", "c.", "ca.", "about" or "~" prefix, or a trailing "?", marks a date as approximate and
+ * widens its bounds by DATES.CIRCA_MARGINS. All dates are interpreted as UTC, in the proleptic
+ * Gregorian calendar (as both JavaScript and PostgreSQL count them).
+ *
+ * Years before the common era are written with an era ("500 BCE", "44 BC", "spring 480 BC") or as
+ * signed ISO 8601 years ("-0499", "-0043-03-15", "-000043-03-15T12:00:00Z"). ISO years are
+ * astronomical: year 0 is 1 BCE and -0499 is 500 BCE. Storage limits dates to the supported range of
+ * DATES.MIN_YEAR..DATES.MAX_YEAR (4713 BCE to 294275 CE); resolveBoundary rejects dates outside it.
+ *
+ * Dates in another calendar (DATES.CALENDARS, see utils/calendars) are written as a year, year-month
+ * or year-month-day in that calendar, optionally with a UTC time ("1445-09-01", "5784-07-01T18:00Z")
+ * and the same approximate qualifiers; Julian dates also take BCE/CE eras. They are converted to the
+ * Gregorian period they cover. A { date, calendar } object gives a single date its own calendar.
+ */
+
+const { DATES, ERROR_MESSAGES } = require('../config/constants');
+const { isConvertibleCalendar, calendarPeriod } = require('./calendars');
+
+const [MINUTE, DAY, MONTH, YEAR] = DATES.PRECISIONS;
+
+const APPROXIMATE_PREFIX = /^(?:circa|ca\.|c\.|about|~)\s*/i;
+const UNCERTAIN_SUFFIX = /\s*\?$/;
+const ERA_PREFIX = /^(AD|CE)\s+/i;
+const ERA_SUFFIX = /\s*(BCE|BC|CE|AD)$/i;
+const YEAR_PATTERN = '([+-]?\\d{1,6})';
+const YEAR_ONLY = new RegExp(`^${YEAR_PATTERN}$`);
+const YEAR_MONTH = new RegExp(`^${YEAR_PATTERN}-(\\d{2})$`);
+const SEASON_YEAR = new RegExp(`^(spring|summer|autumn|fall|winter)\\s+${YEAR_PATTERN}$`, 'i');
+const YEAR_MONTH_DAY = new RegExp(`^${YEAR_PATTERN}-(\\d{2})-(\\d{2})$`);
+const CALENDAR_DATE = new RegExp(`^${YEAR_PATTERN}(?:-(\\d{2})(?:-(\\d{2})(?:T(\\d{2}):(\\d{2})(?::(\\d{2}))?Z?)?)?)?$`);
+
+// First month (0-based) of each three-month season
+const SEASONS = { spring: 2, summer: 5, autumn: 8, fall: 8, winter: 11 };
+
+// UTC midnight on the given day; setUTCFullYear keeps years below 100 as written
+function utcDate(year, month = 0, day = 1) {
+  const date = new Date(Date.UTC(2000, month, day));
+  date.setUTCFullYear(year, month, day);
+  return date;
+}
+
+function addToDate(date, { years = 0, months = 0, days = 0 }, direction = 1) {
+  const result = new Date(date.getTime());
+  if (years || months) {
+    result.setUTCFullYear(result.getUTCFullYear() + direction * years, result.getUTCMonth() + direction * months);
+  }
+  if (days) {
+    result.setTime(result.getTime() + direction * days * 24 * 60 * 60 * 1000);
+  }
+  return result;
+}
+
+// Astronomical year for a written year, or null. With an era the year counts from 1 ("500" BCE);
+// without one it must be an ISO year of at least four digits, optionally signed
+function toAstronomicalYear(digits, era) {
+  const year = Number(digits);
+  if (!era) {
+    return /^[+-]?\d{4,6}$/.test(digits) ? year : null;
+  }
+  if (!/^\d+$/.test(digits) || year < 1) return null;
+  return era === 'BCE' ? 1 - year : year;
+}
+
+// Split off an era marker, returning the remaining text and 'BCE', 'CE' or null
+function splitEra(text) {
+  const suffix = text.match(ERA_SUFFIX);
+  if (suffix) {
+    return { text: text.slice(0, suffix.index), era: /^B/i.test(suffix[1]) ? 'BCE' : 'CE' };
+  }
+  const prefix = text.match(ERA_PREFIX);
+  if (prefix) {
+    return { text: text.slice(prefix[0].length), era: 'CE' };
+  }
+  return { text, era: null };
+}
+
+// { start, end, precision } for a date without qualifiers, or null if it cannot be read
+function parsePeriod(value, calendar) {
+  const { text, era } = splitEra(value);
+  if (calendar !== DATES.DEFAULT_CALENDAR) {
+    return parseCalendarPeriod(text, era, calendar);
+  }
+
+  let match = text.match(YEAR_ONLY);
+  if (match) {
+    const year = toAstronomicalYear(match[1], era);
+    if (year === null) return null;
+    const start = utcDate(year);
+    return { start, end: addToDate(start, { years: 1 }), precision: YEAR };
+  }
+
+  match = text.match(YEAR_MONTH);
+  if (match) {
+    const year = toAstronomicalYear(match[1], era);
+    const month = Number(match[2]);
+    if (year === null || month < 1 || month > 12) return null;
+    const start = utcDate(year, month - 1);
+    return { start, end: addToDate(start, { months: 1 }), precision: MONTH };
+  }
+
+  match = text.match(SEASON_YEAR);
+  if (match) {
+    const year = toAstronomicalYear(match[2], era);
+    if (year === null) return null;
+    const start = utcDate(year, SEASONS[match[1].toLowerCase()]);
+    return { start, end: addToDate(start, { months: 3 }), precision: MONTH };
+  }
+
+  match = text.match(YEAR_MONTH_DAY);
+  if (match) {
+    const year = toAstronomicalYear(match[1], era);
+    const [month, day] = match.slice(2).map(Number);
+    if (year === null) return null;
+    const start = utcDate(year, month - 1, day);
+    // Reject dates that rolled over, e.g. 2023-02-30
+    if (start.getUTCMonth() !== month - 1 || start.getUTCDate() !== day) return null;
+    return { start, end: addToDate(start, { days: 1 }), precision: DAY };
+  }
+
+  // Exact instants take no era; Date only reads signed years in the six-digit ISO form
+  if (era) return null;
+  const expanded = text.replace(/^([+-])(\d{4,5})(?=-\d{2}-\d{2}T)/, (_, sign, digits) => sign + digits.padStart(6, '0'));
+  const date = new Date(expanded);
+  if (isNaN(date.getTime())) return null;
+  return { start: date, end: date, precision: MINUTE };
+}
+
+// A date written in a convertible calendar; only the Julian calendar shares the BCE/CE eras,
+// Hijri and Hebrew years count from their own epochs
+function parseCalendarPeriod(text, era, calendar) {
+  const match = text.match(CALENDAR_DATE);
+  if (!match || (era && calendar !== 'julian')) return null;
+
+  const [digits, month, day, hours, minutes, seconds] = match.slice(1);
+  const year = calendar === 'julian'
+    ? toAstronomicalYear(digits, era)
+    : (/^\d+$/.test(digits) && Number(digits) >= 1 ? Number(digits) : null);
+  if (year === null) return null;
+
+  const period = calendarPeriod(calendar, year, month && Number(month), day && Number(day));
+  if (!period) return null;
+
+  if (hours === undefined) {
+    return { ...period, precision: day ? DAY : (month ? MONTH : YEAR) };
+  }
+
+  const [h, m, s] = [hours, minutes, seconds || '0'].map(Number);
+  if (h > 23 || m > 59 || s > 59) return null;
+  const instant = new Date(period.start.getTime() + ((h * 60 + m) * 60 + s) * 1000);
+  return { start: instant, end: instant, precision: MINUTE };
+}
+
+// Parse a date value into { start, end, precision, approximate }, the period [start, end) it
+// denotes (start and end are equal at minute precision). Returns null for unreadable values.
+// calendar applies to strings; Date values are already on the Gregorian timeline
+function parseHistoricalDate(value, calendar = DATES.DEFAULT_CALENDAR) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : { start: value, end: value, precision: MINUTE, approximate: false };
+  }
+  if (value && typeof value === 'object') {
+    return parseHistoricalDate(value.date, value.calendar || calendar);
+  }
+  if (typeof value !== 'string' || !value.trim() || !isSupportedCalendar(calendar)) {
+    return null;
+  }
+
+  let text = value.trim();
+  let approximate = false;
+  if (APPROXIMATE_PREFIX.test(text)) {
+    approximate = true;
+    text = text.replace(APPROXIMATE_PREFIX, '');
+  }
+  if (UNCERTAIN_SUFFIX.test(text)) {
+    approximate = true;
+    text = text.replace(UNCERTAIN_SUFFIX, '');
+  }
+
+  const period = parsePeriod(text, calendar);
+  return period ? { ...period, approximate } : null;
+}
+
+function isSupportedCalendar(calendar) {
+  return calendar === DATES.DEFAULT_CALENDAR || isConvertibleCalendar(calendar);
+}
+
+function isValidPrecision(precision) {
+  return DATES.PRECISIONS.includes(precision);
+}
+
+function isInSupportedRange(date) {
+  const year = date.getUTCFullYear();
+  return year >= DATES.MIN_YEAR && year <= DATES.MAX_YEAR;
+}
+
+// The nearest storable instant: dates before or after the supported years move to its edges
+function clampToSupportedRange(date) {
+  const earliest = utcDate(DATES.MIN_YEAR);
+  const latest = new Date(addToDate(utcDate(DATES.MAX_YEAR), { years: 1 }).getTime() - 1);
+  return date < earliest ? earliest : (date > latest ? latest : date);
+}
+
+// The period [start, end) a date filter compares with, within the storable range, or null for
+// unreadable values. An exact instant is the millisecond it names, so that it equals itself
+function comparisonPeriod(value, calendar = DATES.DEFAULT_CALENDAR) {
+  const period = parseHistoricalDate(value, calendar);
+  if (!period) return null;
+
+  const end = period.end > period.start ? period.end : new Date(period.start.getTime() + 1);
+  return { start: clampToSupportedRange(period.start), end: clampToSupportedRange(end) };
+}
+
+function coarsestPrecision(...precisions) {
+  return precisions
+    .filter(isValidPrecision)
+    .reduce((coarsest, precision) => (
+      DATES.PRECISIONS.indexOf(precision) > DATES.PRECISIONS.indexOf(coarsest) ? precision : coarsest
+    ), MINUTE);
+}
+
+// Whether an event's end date, written as a day, month or year, runs to the end of that period
+// ("1450" ends at 1451-01-01). An explicit end_period_closed (as stored with every event) says so;
+// otherwise only events that state a date_precision coarser than minute read it so, and for the rest
+// it is the start of the period, as end dates were before precisions existed
+function closesEndPeriod({ date_precision: precision, end_period_closed: closed } = {}) {
+  if (typeof closed === 'boolean') return closed;
+  return Boolean(precision) && precision !== MINUTE;
+}
+
+/**
+ * Resolve one end of an event's range ('start' or 'end') to what is stored for it:
+ * date is the stored start_date/end_date (the start of a start period, the end of an end period),
+ * earliest/latest its bounds, or null where a bound equals the date itself.
+ * bounds: explicit { earliest, latest } values, which override the ones derived from the date.
+ * calendar: the calendar value and bounds are written in, unless they name their own.
+ * closesPeriod: false stores an end date at the start of its period, as a start date, with the
+ * period kept in its bounds ("2023-01-05" ends at 2023-01-05T00:00Z rather than the next midnight).
+ * Throws on unreadable dates or bounds that do not surround the date.
+ */
+function resolveBoundary(value, role, fieldName, bounds = {}, calendar = DATES.DEFAULT_CALENDAR, closesPeriod = true) {
+  const period = parseHistoricalDate(value, calendar);
+  if (!period) {
+    throw new Error(`${ERROR_MESSAGES.INVALID_DATE}: ${fieldName}`);
+  }
+
+  const margin = DATES.CIRCA_MARGINS[period.precision];
+  const readBound = (boundValue, name) => {
+    const parsed = parseHistoricalDate(boundValue, calendar);
+    if (!parsed) {
+      throw new Error(`${ERROR_MESSAGES.INVALID_DATE}: ${name}`);
+    }
+    return parsed;
+  };
+
+  const date = role === 'end' && closesPeriod ? period.end : period.start;
+  const earliest = bounds.earliest
+    ? readBound(bounds.earliest, `earliest_${role}`).start
+    : (period.approximate ? addToDate(period.start, margin, -1) : period.start);
+  const latest = bounds.latest
+    ? readBound(bounds.latest, `latest_${role}`).end
+    : (period.approximate ? addToDate(period.end, margin) : period.end);
+
+  if (![date, earliest, latest].every(isInSupportedRange)) {
+    throw new Error(`${ERROR_MESSAGES.DATE_OUT_OF_RANGE}: ${fieldName}`);
+  }
+
+  if (earliest > date || latest < date) {
+    throw new Error(`${ERROR_MESSAGES.DATE_BOUNDS_OUTSIDE}: ${fieldName}`);
+  }
+
+  return {
+    date,
+    earliest: earliest.getTime() === date.getTime() ? null : earliest,
+    latest: latest.getTime() === date.getTime() ? null : latest,
+    precision: period.precision
+  };
+}
+
+// The date as written at a precision: an ISO year (signed and astronomical, "-0499" for 500 BCE),
+// year-month or year-month-day, or the full instant
+function periodText(date, precision) {
+  if (precision === MINUTE) return date.toISOString();
+
+  const year = date.getUTCFullYear();
+  const pad = (number, width) => String(Math.abs(number)).padStart(width, '0');
+  const parts = [(year < 0 ? '-' : '') + pad(year, 4)];
+  if (precision !== YEAR) parts.push(pad(date.getUTCMonth() + 1, 2));
+  if (precision === DAY) parts.push(pad(date.getUTCDate(), 2));
+  return parts.join('-');
+}
+
+/**
+ * Text for one end of a stored event ('start' or 'end') that resolveBoundary reads back to it
+ * (with the same closesPeriod): the coarsest period from precision down that starts (or ends) at
+ * date, marked "circa" when that is what widened the bounds, or else the exact instant. Bounds that
+ * no text reproduces are left out, the date itself always reads back the same.
+ */
+function formatBoundary({ date, earliest = null, latest = null }, role, precision = MINUTE, closesPeriod = true) {
+  const sameInstant = (a, b) => (a ? a.getTime() : null) === (b ? b.getTime() : null);
+  // An end date is where its period stops, so the period is the one holding the instant before
+  const reference = role === 'end' && closesPeriod ? new Date(date.getTime() - 1) : date;
+  const coarsest = Math.max(DATES.PRECISIONS.indexOf(precision), 0);
+  const texts = DATES.PRECISIONS.slice(0, coarsest + 1).reverse().flatMap(candidatePrecision => {
+    if (candidatePrecision === MINUTE) return [periodText(date, MINUTE)];
+    const text = periodText(reference, candidatePrecision);
+    // Seasons are month-precision periods too; winter runs into the next year
+    if (candidatePrecision !== MONTH) return [text];
+    const year = reference.getUTCFullYear();
+    const seasons = ['spring', 'summer', 'autumn', 'winter'].flatMap(season => (
+      [year, year - 1].map(seasonYear => `${season} ${periodText(utcDate(seasonYear), YEAR)}`)
+    ));
+    return [text, ...seasons];
+  });
+
+  let readsBackDate = null;
+  for (const text of texts) {
+    for (const candidate of [text, `circa ${text}`]) {
+      let resolved;
+      try {
+        resolved = resolveBoundary(candidate, role, role, {}, DATES.DEFAULT_CALENDAR, closesPeriod);
+      } catch (error) {
+        continue;
+      }
+      if (!sameInstant(resolved.date, date)) break;
+      if (sameInstant(resolved.earliest, earliest) && sameInstant(resolved.latest, latest)) {
+        return candidate;
+      }
+      readsBackDate = readsBackDate || text;
+    }
+  }
+  return readsBackDate || date.toISOString();
+}
+
+module.exports = {
+  parseHistoricalDate,
+  isSupportedCalendar,
+  isValidPrecision,
+  isInSupportedRange,
+  clampToSupportedRange,
+  comparisonPeriod,
+  coarsestPrecision,
+  closesEndPeriod,
+  resolveBoundary,
+  periodText,
+  formatBoundary
+};
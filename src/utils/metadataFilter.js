@@ -0,0 +1,115 @@
+/**
+ * Metadata Filter Utility
+ * Reads event search parameters named after a metadata path into filters for buildWhereClause:
+ *
+ *   metadata.region=Europe                  the value at the path is "Europe" (repeat for any of several)
+ *   metadata.tags=pottery                   the array at the path contains "pottery"
+ *   metadata.source[exists]=true            the path is present (false: absent)
+ *   metadata.research_value[gte]=5          gt, gte, lt and lte compare number and date paths
+ *
+ * Only the paths in METADATA_FILTERS.FIELDS can be filtered, and their type decides which operators
+ * apply and how values are read. Date values take the same forms as event dates ("1450", "500 BCE")
+ * and compare by the period they denote: [gt]=1450 means from 1451 on, [lte]=1450 up to its end.
+ */
+
+const { METADATA_FILTERS } = require('../config/constants');
+const { comparisonPeriod } = require('./historicalDate');
+
+const { TYPES, OPERATORS, FIELDS } = METADATA_FILTERS;
+
+const PARAMETER_PREFIX = 'metadata.';
+
+function isMetadataParameter(name) {
+  return name.startsWith(PARAMETER_PREFIX);
+}
+
+// A single operand in the type of its path; throws when it does not read as one.
+// Operands are strings, as in query strings, or numbers for number paths (JSON filter trees)
+function readOperand(raw, type, parameter) {
+  if (typeof raw !== 'string' && !(type === TYPES.NUMBER && typeof raw === 'number')) {
+    throw new Error(`${parameter} takes a single ${type === TYPES.NUMBER ? 'number' : 'string'} per operator`);
+  }
+
+  switch (type) {
+    case TYPES.NUMBER: {
+      const number = Number(raw);
+      if (!String(raw).trim() || !Number.isFinite(number)) {
+        throw new Error(`${parameter} must be a number`);
+      }
+      return number;
+    }
+    case TYPES.DATE: {
+      const period = comparisonPeriod(raw);
+      if (!period) {
+        throw new Error(`${parameter} must be an ISO 8601 or historical date`);
+      }
+      return period;
+    }
+    default:
+      return raw;
+  }
+}
+
+function readFilter(path, type, operator, raw, parameter) {
+  if (!OPERATORS[type].includes(operator)) {
+    throw new Error(`${parameter} does not support [${operator}] (supported: ${OPERATORS[type].join(', ')})`);
+  }
+
+  if (operator === 'exists') {
+    if (![true, false, 'true', 'false'].includes(raw)) {
+      throw new Error(`${parameter}[exists] must be true or false`);
+    }
+    return { path, type, operator, value: raw === true || raw === 'true' };
+  }
+
+  // Equality takes one or more alternatives, comparisons a single bound
+  if (operator === 'eq') {
+    const alternatives = Array.isArray(raw) ? raw : [raw];
+    return { path, type, operator, value: alternatives.map(operand => readOperand(operand, type, parameter)) };
+  }
+  return { path, type, operator, value: readOperand(raw, type, parameter) };
+}
+
+/**
+ * The filter ({ path, type, operator, value }, path as an array of keys) for an operator and raw value
+ * on a metadata.<path> field. Throws with a message fit for the client on paths outside the
+ * allow-list, unsupported operators and unreadable values.
+ */
+function readMetadataFilter(field, operator, raw) {
+  const fieldPath = field.slice(PARAMETER_PREFIX.length);
+  const type = Object.prototype.hasOwnProperty.call(FIELDS, fieldPath) ? FIELDS[fieldPath] : null;
+  if (!type || !OPERATORS[type]) {
+    const allowed = Object.keys(FIELDS).map(path => PARAMETER_PREFIX + path).join(', ');
+    throw new Error(`${field} cannot be filtered on (filterable: ${allowed || 'none'})`);
+  }
+
+  return readFilter(fieldPath.split('.'), type, operator, raw, field);
+}
+
+// Filters for the metadata.* entries of a search query (see readMetadataFilter)
+function parseMetadataFilters(query) {
+  const filters = [];
+
+  Object.keys(query).filter(isMetadataParameter).forEach(parameter => {
+    const raw = query[parameter];
+    // metadata.x=value and metadata.x=a&metadata.x=b are equality; metadata.x[op]=value names the operator
+    if (typeof raw === 'string' || Array.isArray(raw)) {
+      filters.push(readMetadataFilter(parameter, 'eq', raw));
+    } else {
+      Object.keys(raw).forEach(operator => {
+        filters.push(readMetadataFilter(parameter, operator, raw[operator]));
+      });
+    }
+  });
+
+  if (filters.length > METADATA_FILTERS.MAX_FILTERS) {
+    throw new Error(`At most ${METADATA_FILTERS.MAX_FILTERS} metadata filters are allowed`);
+  }
+  return filters;
+}
+
+module.exports = {
+  isMetadataParameter,
+  readMetadataFilter,
+  parseMetadataFilters
+};
@@ -0,0 +1,175 @@
+/**
+ * Parent Graph Utility
+ * Orders staged ingestion rows so that every parent is inserted before its children
+ */
+
+const PARENT_ERROR_TYPES = {
+  DANGLING_PARENT: 'dangling_parent',
+  PARENT_CYCLE: 'parent_cycle',
+  REJECTED_PARENT: 'rejected_parent'
+};
+
+// Parent IDs referenced by the staged rows that are not defined in the rows themselves
+function findExternalParentIds(rows) {
+  const stagedIds = new Set(rows.map(row => row.eventId));
+  const externalIds = new Set();
+
+  rows.forEach(row => {
+    if (row.parentId && !stagedIds.has(row.parentId)) {
+      externalIds.add(row.parentId);
+    }
+  });
+
+  return Array.from(externalIds);
+}
+
+/**
+ * Assign each staged row an insertion level (0 = parent already exists or no parent,
+ * n = n generations below such a row). Rows whose parent is missing, part of a cycle
+ * or itself rejected are reported as errors instead.
+ *
+ * rows: [{ lineNumber, eventId, parentId }]
+ * existingParentIds: Set of external parent IDs that already exist in the database
+ */
+function resolveInsertionLevels(rows, existingParentIds = new Set()) {
+  const firstRowById = new Map();
+  rows.forEach(row => {
+    if (!firstRowById.has(row.eventId)) {
+      firstRowById.set(row.eventId, row);
+    }
+  });
+
+  const outcomeById = new Map(); // eventId -> { level } | { error, type, cause }
+  const levels = new Map(); // lineNumber -> level
+  const errors = [];
+  let maxLevel = -1;
+
+  // Outcome for a row given the outcome of its parent
+  const childOutcome = (row, parentOutcome) => {
+    if (parentOutcome.level !== undefined) {
+      return { level: parentOutcome.level + 1 };
+    }
+    if (parentOutcome.missing) {
+      const error = `Parent event ${row.parentId} not found (dangling reference)`;
+      return { error, type: PARENT_ERROR_TYPES.DANGLING_PARENT, cause: error };
+    }
+    // Only the root cause is carried down, so messages stay short in deep subtrees
+    return {
+      error: `Parent event ${row.parentId} was rejected (${parentOutcome.cause})`,
+      type: PARENT_ERROR_TYPES.REJECTED_PARENT,
+      cause: parentOutcome.cause
+    };
+  };
+
+  const resolveRow = (startRow) => {
+    // Walk up the parent chain until a resolved, external or repeated event is reached
+    const chain = [];
+    const chainIndex = new Map();
+    let current = startRow;
+    let parentOutcome;
+
+    for (;;) {
+      chainIndex.set(current.eventId, chain.length);
+      chain.push(current);
+
+      const { parentId } = current;
+      if (!parentId) {
+        parentOutcome = { level: -1 };
+        break;
+      }
+
+      if (outcomeById.has(parentId)) {
+        parentOutcome = outcomeById.get(parentId);
+        break;
+      }
+
+      if (chainIndex.has(parentId)) {
+        // Every event from the parent down to the current one forms a cycle
+        const cycleRows = chain.slice(chainIndex.get(parentId));
+        const cyclePath = [...cycleRows.map(row => row.eventId), parentId].join(' -> ');
+        const error = `Parent cycle detected: ${cyclePath}`;
+        cycleRows.forEach(row => {
+          outcomeById.set(row.eventId, { error, type: PARENT_ERROR_TYPES.PARENT_CYCLE, cause: error });
+        });
+        chain.length = chainIndex.get(parentId);
+        parentOutcome = outcomeById.get(parentId);
+        break;
+      }
+
+      const parentRow = firstRowById.get(parentId);
+      if (!parentRow) {
+        parentOutcome = existingParentIds.has(parentId) ? { level: -1 } : { missing: true };
+        break;
+      }
+
+      current = parentRow;
+    }
+
+    // Resolve the chain from the top down
+    for (let i = chain.length - 1; i >= 0; i--) {
+      const outcome = childOutcome(chain[i], parentOutcome);
+      outcomeById.set(chain[i].eventId, outcome);
+      parentOutcome = outcome;
+    }
+  };
+
+  // Does the chain above parentId (through staged rows) lead back to eventId?
+  const chainContains = (parentId, eventId) => {
+    const seen = new Set();
+    let currentId = parentId;
+    while (currentId && !seen.has(currentId)) {
+      if (currentId === eventId) return true;
+      seen.add(currentId);
+      const row = firstRowById.get(currentId);
+      currentId = row ? row.parentId : null;
+    }
+    return false;
+  };
+
+  // Resolve the first occurrence of every event ID, then record an outcome per line
+  firstRowById.forEach(row => {
+    if (!outcomeById.has(row.eventId)) {
+      resolveRow(row);
+    }
+  });
+
+  rows.forEach(row => {
+    let outcome = outcomeById.get(row.eventId);
+
+    // Later lines repeating an event ID are resolved through their own parent reference
+    if (firstRowById.get(row.eventId) !== row) {
+      if (row.parentId && chainContains(row.parentId, row.eventId)) {
+        const error = `Parent cycle detected: ${row.eventId} -> ${row.parentId} -> ... -> ${row.eventId}`;
+        outcome = { error, type: PARENT_ERROR_TYPES.PARENT_CYCLE, cause: error };
+      } else if (!row.parentId) {
+        outcome = { level: 0 };
+      } else {
+        const parentOutcome = outcomeById.get(row.parentId)
+          || (existingParentIds.has(row.parentId) ? { level: -1 } : { missing: true });
+        outcome = childOutcome(row, parentOutcome);
+      }
+    }
+
+    if (outcome.error) {
+      errors.push({
+        lineNumber: row.lineNumber,
+        eventId: row.eventId,
+        parentId: row.parentId,
+        type: outcome.type,
+        message: outcome.error
+      });
+      return;
+    }
+
+    levels.set(row.lineNumber, outcome.level);
+    maxLevel = Math.max(maxLevel, outcome.level);
+  });
+
+  return { levels, errors, maxLevel };
+}
+
+module.exports = {
+  PARENT_ERROR_TYPES,
+  findExternalParentIds,
+  resolveInsertionLevels
+};
@@ -3,6 +3,23 @@
  * Helps build dynamic SQL queries with parameter replacement
  */
 
+const QUERIES = require('../config/queries');
+const { CONFLICT_MODES, METADATA_FILTERS } = require('../config/constants');
+const { isMetadataParameter } = require('./metadataFilter');
+
+const { TYPES } = METADATA_FILTERS;
+
+const COMPARISONS = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Columns of the filter tree fields compared directly
+const FILTER_COLUMNS = {
+  name: 'event_name',
+  description: 'description',
+  start_date: 'start_date',
+  end_date: 'end_date',
+  duration: 'duration_minutes',
+  parent: 'parent_event_id'
+};
 
 function replaceQueryPlaceholders(query, replacements = {}) {
   let result = query;
@@ -15,8 +32,13 @@ function replaceQueryPlaceholders(query, replacements = {}) {
   return result;
 }
 
+// textQueryParam is the placeholder holding the full-text query (q), for ranking and snippets
 function buildWhereClause(filters, conditions = [], values = [], startParamCount = 0) {
   let paramCount = startParamCount;
+  let textQueryParam = null;
+
+  // Soft-deleted events never show up in searches
+  conditions.push('deleted_at IS NULL');
 
   if (filters.name) {
     paramCount++;
@@ -24,21 +46,159 @@ function buildWhereClause(filters, conditions = [], values = [], startParamCount
     values.push(`%${filters.name}%`);
   }
 
+  // Web search syntax: words (matched by stem), "quoted phrases", OR and -excluded words
+  if (filters.q) {
+    paramCount++;
+    conditions.push(`search_vector @@ websearch_to_tsquery('english', $${paramCount})`);
+    values.push(filters.q);
+    textQueryParam = `$${paramCount}`;
+  }
+
+  // Approximate dates match when any date within their bounds would
   if (filters.start_date_after) {
     paramCount++;
-    conditions.push(`start_date >= $${paramCount}`);
+    conditions.push(`COALESCE(latest_start, start_date) >= $${paramCount}`);
     values.push(filters.start_date_after);
   }
 
   if (filters.end_date_before) {
     paramCount++;
-    conditions.push(`end_date <= $${paramCount}`);
+    conditions.push(`COALESCE(earliest_end, end_date) <= $${paramCount}`);
     values.push(filters.end_date_before);
   }
 
+  const addParam = (value) => {
+    paramCount++;
+    values.push(value);
+    return `$${paramCount}`;
+  };
+
+  (filters.metadataFilters || []).forEach(filter => {
+    conditions.push(buildMetadataCondition(filter, addParam));
+  });
+
+  // Boolean filter tree of POST /api/events/query (utils/filterTree)
+  if (filters.filterTree) {
+    conditions.push(buildFilterTreeCondition(filters.filterTree, addParam));
+  }
+
   const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
   
-  return { whereClause, values, paramCount };
+  return { whereClause, values, paramCount, textQueryParam };
+}
+
+// { a: { b: value } } for the path ['a', 'b']
+function nestUnder(path, value) {
+  return path.reduceRight((nested, key) => ({ [key]: nested }), value);
+}
+
+// SQL condition for one metadata filter (utils/metadataFilter); addParam binds a value and returns its placeholder.
+// Equality on text and array paths is JSONB containment, served by the metadata GIN index. Number and date
+// paths are read through metadata_numeric/metadata_timestamptz, so values that are not numbers or
+// timestamps never match, and dates compare by the period the filter value denotes
+function buildMetadataCondition({ path, type, operator, value }, addParam) {
+  if (operator === 'exists') {
+    return `metadata #> ${addParam(path)}::text[] IS ${value ? 'NOT NULL' : 'NULL'}`;
+  }
+
+  if (type === TYPES.TEXT || type === TYPES.ARRAY) {
+    const matches = value.map(operand => (
+      `metadata @> ${addParam(JSON.stringify(nestUnder(path, type === TYPES.ARRAY ? [operand] : operand)))}::jsonb`
+    ));
+    return `(${matches.join(' OR ')})`;
+  }
+
+  const pathParam = addParam(path);
+  const reader = type === TYPES.NUMBER ? 'metadata_numeric' : 'metadata_timestamptz';
+  const field = `${reader}(metadata #>> ${pathParam}::text[])`;
+
+  if (type === TYPES.NUMBER) {
+    return operator === 'eq'
+      ? `${field} = ANY(${addParam(value)}::numeric[])`
+      : `${field} ${COMPARISONS[operator]} ${addParam(value)}`;
+  }
+
+  if (operator === 'eq') {
+    return `(${value.map(period => buildPeriodComparison(field, operator, period, addParam)).join(' OR ')})`;
+  }
+  return buildPeriodComparison(field, operator, value, addParam);
+}
+
+// Compare a timestamp expression with the period [start, end) of a date filter: gt 1450 is from 1451 on
+function buildPeriodComparison(field, operator, { start, end }, addParam) {
+  switch (operator) {
+    case 'eq':
+      return `(${field} >= ${addParam(start)} AND ${field} < ${addParam(end)})`;
+    case 'gt':
+      return `${field} >= ${addParam(end)}`;
+    case 'gte':
+      return `${field} >= ${addParam(start)}`;
+    case 'lt':
+      return `${field} < ${addParam(start)}`;
+    case 'lte':
+      return `${field} < ${addParam(end)}`;
+    default:
+      throw new Error(`Unsupported date operator: ${operator}`);
+  }
+}
+
+// ILIKE pattern matching the text literally (% and _ escaped)
+function likePattern(text, op) {
+  const escaped = text.replace(/[\\%_]/g, '\\$&');
+  return op === 'starts_with' ? `${escaped}%` : `%${escaped}%`;
+}
+
+// SQL condition for a parsed filter tree: and/or nodes group their children, and not treats a
+// condition that cannot be decided (NULL, e.g. on a missing description) as false, so it matches
+function buildFilterTreeCondition(node, addParam) {
+  if (node.and || node.or) {
+    const children = (node.and || node.or).map(child => buildFilterTreeCondition(child, addParam));
+    return `(${children.join(node.and ? ' AND ' : ' OR ')})`;
+  }
+  if (node.not) {
+    return `NOT COALESCE(${buildFilterTreeCondition(node.not, addParam)}, FALSE)`;
+  }
+  return buildFilterLeafCondition(node, addParam);
+}
+
+function buildFilterLeafCondition({ field, op, value }, addParam) {
+  if (isMetadataParameter(field)) {
+    return buildMetadataCondition(value, addParam);
+  }
+
+  const column = FILTER_COLUMNS[field];
+  switch (field) {
+    case 'name':
+      return op === 'eq'
+        ? `LOWER(${column}) = LOWER(${addParam(value)})`
+        : `${column} ILIKE ${addParam(likePattern(value, op))}`;
+    case 'description':
+      return op === 'exists'
+        ? `COALESCE(${column}, '') ${value ? '<>' : '='} ''`
+        : `${column} ILIKE ${addParam(likePattern(value, op))}`;
+    case 'start_date':
+    case 'end_date':
+      return buildPeriodComparison(column, op, value, addParam);
+    case 'duration':
+      return `${column} ${COMPARISONS[op]} ${addParam(value)}`;
+    case 'parent':
+      if (op === 'exists') return `${column} IS ${value ? 'NOT NULL' : 'NULL'}`;
+      if (op === 'in') return `${column} = ANY(${addParam(value)}::uuid[])`;
+      return value === null ? `${column} IS NULL` : `${column} = ${addParam(value)}`;
+    case 'depth':
+      return replaceQueryPlaceholders(QUERIES.EVENT.DEPTH_CONDITION, {
+        OPERATOR: COMPARISONS[op],
+        VALUE_PARAM: addParam(value)
+      });
+    default:
+      throw new Error(`Unsupported filter field: ${field}`);
+  }
+}
+
+// Keyset condition for the rows after a cursor's key ([sort value, ID]) in the order they are fetched
+function buildKeysetCondition(sortExpression, idColumn, fetchOrder, key, addParam) {
+  const [sortValue, id] = key;
+  return `(${sortExpression}, ${idColumn}) ${fetchOrder === 'DESC' ? '<' : '>'} (${addParam(sortValue)}, ${addParam(id)})`;
 }
 
 function buildUpdateClause(updates, values = [], startParamCount = 0) {
@@ -75,9 +235,41 @@ function buildBatchInsertPlaceholders(items, fieldsPerItem) {
   return placeholders.join(', ');
 }
 
+// ON CONFLICT clause for batch event inserts ('error' keeps the plain INSERT)
+function buildOnConflictClause(onConflict = CONFLICT_MODES.ERROR) {
+  switch (onConflict) {
+    case CONFLICT_MODES.SKIP:
+      return QUERIES.ON_CONFLICT.SKIP;
+    case CONFLICT_MODES.UPDATE:
+      return QUERIES.ON_CONFLICT.UPDATE;
+    case CONFLICT_MODES.ERROR:
+      return '';
+    default:
+      throw new Error(`Unknown conflict mode: ${onConflict}`);
+  }
+}
+
+// Split RETURNING rows of a batch insert into inserted/updated counts;
+// rows that were not returned were skipped by the conflict clause
+function summarizeBatchInsert(rows, totalCount) {
+  const events = rows.map(({ inserted, ...event }) => event);
+  const inserted = rows.filter(row => row.inserted).length;
+  const updated = rows.length - inserted;
+
+  return {
+    events,
+    inserted,
+    updated,
+    skipped: totalCount - rows.length
+  };
+}
+
 module.exports = {
   replaceQueryPlaceholders,
   buildWhereClause,
+  buildKeysetCondition,
   buildUpdateClause,
-  buildBatchInsertPlaceholders
+  buildBatchInsertPlaceholders,
+  buildOnConflictClause,
+  summarizeBatchInsert
 };
@@ -0,0 +1,49 @@
+/**
+ * Query Stream Utility
+ * Reads the rows of a query a batch at a time through a server-side cursor, so that exports of any
+ * size hold one batch in memory. The cursor lives in a read-only REPEATABLE READ transaction, which
+ * makes every batch part of the same snapshot: writes made during the export do not show up halfway.
+ */
+
+const pool = require('../config/database');
+const QUERIES = require('../config/queries');
+const { replaceQueryPlaceholders } = require('./queryBuilder');
+
+const CURSOR_NAME = 'query_stream';
+
+// Yield the rows of the query in batches of up to batchSize; closing the generator early
+// (e.g. when the client goes away) ends the transaction and releases the connection
+async function* streamQuery(query, values = [], { batchSize }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(QUERIES.STREAM.BEGIN);
+    await client.query(replaceQueryPlaceholders(QUERIES.STREAM.DECLARE_CURSOR, {
+      CURSOR_NAME,
+      QUERY: query
+    }), values);
+
+    const fetchQuery = replaceQueryPlaceholders(QUERIES.STREAM.FETCH, {
+      CURSOR_NAME,
+      BATCH_SIZE: batchSize
+    });
+
+    let rows;
+    do {
+      ({ rows } = await client.query(fetchQuery));
+      if (rows.length > 0) {
+        yield rows;
+      }
+    } while (rows.length === batchSize);
+  } finally {
+    // Nothing was written, so rolling back just closes the cursor; a connection that
+    // cannot roll back is discarded instead of going back to the pool
+    let rollbackError;
+    await client.query('ROLLBACK').catch(error => { rollbackError = error; });
+    client.release(rollbackError);
+  }
+}
+
+module.exports = {
+  streamQuery
+};
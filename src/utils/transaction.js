@@ -0,0 +1,41 @@
+/**
+ * Transaction Utility
+ * Runs a callback on a dedicated client inside BEGIN/COMMIT, rolling back on error
+ * withSavepoint undoes just one step of an open transaction when that step fails
+ */
+
+const pool = require('../config/database');
+
+async function withTransaction(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function withSavepoint(client, callback, name = 'step') {
+  await client.query(`SAVEPOINT ${name}`);
+
+  try {
+    const result = await callback();
+    await client.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (error) {
+    await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  withTransaction,
+  withSavepoint
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventFactory = require('../../src/factories/EventFactory');
+const { EXPORTERS, INGESTIBLE_FORMATS } = require('../../src/exporters');
+const { detectParser } = require('../../src/parsers');
+
+const ROOT_ID = '11111111-1111-4111-8111-111111111111';
+
+// Events as ingestion stores them, covering the dates each format has to write back faithfully
+const EVENTS = [
+  {
+    event_id: ROOT_ID,
+    event_name: 'Fall of the Western Empire, "as told"',
+    start_date: 'AD 476',
+    end_date: 'AD 480',
+    date_precision: 'year',
+    description: 'Two lines,\nwith a comma | and a pipe'
+  },
+  {
+    event_id: '22222222-2222-4222-8222-222222222222',
+    event_name: 'Printing press',
+    start_date: 'circa 1450',
+    end_date: '1460',
+    parent_event_id: ROOT_ID,
+    metadata: { region: 'Europe', tags: ['print'] }
+  },
+  {
+    event_id: '33333333-3333-4333-8333-333333333333',
+    event_name: 'Marathon',
+    start_date: '490 BCE',
+    end_date: 'autumn 490 BCE',
+    date_precision: 'month',
+    parent_event_id: ROOT_ID
+  },
+  {
+    event_id: '44444444-4444-4444-8444-444444444444',
+    event_name: 'Ramadan',
+    start_date: '1445-09-01',
+    end_date: '1445-09-30',
+    calendar: 'hijri',
+    parent_event_id: ROOT_ID
+  },
+  {
+    event_id: '55555555-5555-4555-8555-555555555555',
+    event_name: 'Launch',
+    start_date: '2023-01-05T10:30:00Z',
+    end_date: '2023-01-05T11:00:00Z',
+    parent_event_id: ROOT_ID
+  }
+].map(data => EventFactory.createFromRawData(data));
+
+// Ingestion notes where a record came from, which an export does not carry over
+const INGESTION_METADATA = ['ingested_at', 'source_line', 'source_record'];
+
+const stored = (event) => {
+  const metadata = { ...event.metadata };
+  INGESTION_METADATA.forEach(key => delete metadata[key]);
+  return { ...event, metadata, created_at: undefined, updated_at: undefined };
+};
+
+const datesOf = (event) => ({
+  event_id: event.event_id,
+  event_name: event.event_name,
+  parent_event_id: event.parent_event_id,
+  start_date: event.start_date.toISOString(),
+  end_date: event.end_date.toISOString()
+});
+
+let directory;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'round-trip-'));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Export the events to a file in the format, then ingest the file again
+async function roundTrip(format) {
+  const exporter = EXPORTERS[format];
+  const filePath = path.join(directory, `events${exporter.extension}`);
+  const text = exporter.header({})
+    + EVENTS.map((event, index) => exporter.formatEvent(event, index, {})).join('')
+    + exporter.footer({});
+  fs.writeFileSync(filePath, text);
+
+  const parser = await detectParser(filePath);
+  expect(parser.format).toBe(format);
+
+  const records = [];
+  for await (const record of parser.readEvents(filePath)) {
+    records.push(record);
+  }
+  expect(records.filter(record => record.error)).toEqual([]);
+  return records.map(record => record.event).filter(Boolean);
+}
+
+describe('export then re-ingest', () => {
+  test('covers every ingestible format', () => {
+    expect([...INGESTIBLE_FORMATS].sort()).toEqual(['csv', 'ndjson', 'pipe']);
+  });
+
+  test('ndjson keeps every stored field', async () => {
+    const events = await roundTrip('ndjson');
+
+    expect(events.map(stored)).toEqual(EVENTS.map(stored));
+    // An end date without a stated precision stays at the start of its period
+    expect(events[1].end_period_closed).toBe(false);
+    expect(events[1].end_date.toISOString()).toBe('1460-01-01T00:00:00.000Z');
+  });
+
+  test.each(['csv', 'pipe'])('%s keeps the names, dates and parents', async (format) => {
+    const events = await roundTrip(format);
+
+    expect(events.map(datesOf)).toEqual(EVENTS.map(datesOf));
+  });
+});
@@ -0,0 +1,62 @@
+const { encodeCursor, decodeCursor, fetchOrder, buildPage } = require('../../src/utils/cursor');
+
+const ID = (n) => `00000000-0000-4000-8000-00000000000${n}`;
+const rowsFrom = (numbers) => numbers.map(n => ({ event_id: ID(n), start_date: new Date(Date.UTC(2000, 0, n)) }));
+const keyOf = (row) => [row.start_date, row.event_id];
+
+describe('cursors', () => {
+  test('round-trip their sort, direction and key, with dates (BCE included) as dates', () => {
+    const key = [new Date('-000499-01-01T00:00:00.000Z'), ID(1)];
+    const cursor = decodeCursor(encodeCursor({ sortBy: 'start_date', sortOrder: 'desc', key, direction: 'next' }));
+
+    expect(cursor).toEqual({ sortBy: 'start_date', sortOrder: 'desc', key, direction: 'next' });
+    expect(cursor.key[0]).toBeInstanceOf(Date);
+  });
+
+  test('decode to null when the token is not a cursor', () => {
+    const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(encode({ s: 'start_date', o: 'sideways', k: ['a', 'b'], d: 'next' }))).toBeNull();
+    expect(decodeCursor(encode({ s: 'start_date', o: 'asc', k: ['a'], d: 'next' }))).toBeNull();
+    expect(decodeCursor(encode({ s: 'start_date', o: 'asc', k: [{ date: 'never' }, 'b'], d: 'next' }))).toBeNull();
+  });
+
+  test('fetch a previous page in the opposite order', () => {
+    expect(fetchOrder('asc', null)).toBe('ASC');
+    expect(fetchOrder('desc', null)).toBe('DESC');
+    expect(fetchOrder('asc', { direction: 'prev' })).toBe('DESC');
+    expect(fetchOrder('desc', { direction: 'prev' })).toBe('ASC');
+  });
+});
+
+describe('buildPage', () => {
+  const options = { limit: 2, sortBy: 'start_date', sortOrder: 'asc', keyOf };
+
+  test('uses the extra row to tell whether there is a next page', () => {
+    const page = buildPage(rowsFrom([1, 2, 3]), options);
+
+    expect(page.rows.map(row => row.event_id)).toEqual([ID(1), ID(2)]);
+    expect(page.hasMore).toBe(true);
+    expect(page.prevCursor).toBeNull();
+    expect(decodeCursor(page.nextCursor)).toMatchObject({ direction: 'next', key: keyOf(page.rows[1]) });
+
+    const last = buildPage(rowsFrom([3]), { ...options, cursor: decodeCursor(page.nextCursor) });
+    expect(last.hasMore).toBe(false);
+    expect(last.nextCursor).toBeNull();
+    expect(decodeCursor(last.prevCursor)).toMatchObject({ direction: 'prev', key: keyOf(last.rows[0]) });
+  });
+
+  test('puts the rows of a previous page, fetched backwards, back in order', () => {
+    const cursor = { sortBy: 'start_date', sortOrder: 'asc', key: keyOf(rowsFrom([3])[0]), direction: 'prev' };
+    const page = buildPage(rowsFrom([2, 1]), { ...options, cursor });
+
+    expect(page.rows.map(row => row.event_id)).toEqual([ID(1), ID(2)]);
+    expect(page.hasMore).toBe(true);
+    expect(page.prevCursor).toBeNull();
+  });
+
+  test('has a previous page at a non-zero offset', () => {
+    expect(buildPage(rowsFrom([3]), { ...options, offset: 2 }).prevCursor).not.toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+const { parseFilterTree } = require('../../src/utils/filterTree');
+const { QUERY_LANGUAGE } = require('../../src/config/constants');
+
+describe('parseFilterTree', () => {
+  test('reads leaf values into what the query binds', () => {
+    const tree = parseFilterTree({
+      and: [
+        { field: 'start_date', op: 'gte', value: { date: '1445-09', calendar: 'hijri' } },
+        { not: { field: 'parent', op: 'in', value: ['AAAAAAAA-0000-4000-8000-000000000000'] } },
+        { field: 'description', op: 'exists', value: false }
+      ]
+    });
+
+    const [date, { not: parent }, description] = tree.and;
+    expect(date.value.start.toISOString()).toBe('2024-03-11T00:00:00.000Z');
+    expect(date.value.end.toISOString()).toBe('2024-04-10T00:00:00.000Z');
+    expect(parent.value).toEqual(['aaaaaaaa-0000-4000-8000-000000000000']);
+    expect(description).toEqual({ field: 'description', op: 'exists', value: false });
+  });
+
+  test('names the offending node in its errors', () => {
+    expect(() => parseFilterTree({ and: [] })).toThrow('filter.and must be a non-empty list of nodes');
+    expect(() => parseFilterTree({ field: 'name', op: 'gt', value: 'x' })).toThrow('filter.op for name must be one of eq, contains, starts_with');
+    expect(() => parseFilterTree({ and: [{ field: 'nope', op: 'eq', value: 1 }] })).toThrow(/^filter\.and\[0\]\.field must be one of/);
+    expect(() => parseFilterTree({ or: [{ not: { field: 'duration', op: 'eq', value: -1 } }] }))
+      .toThrow('filter.or[0].not.value must be a non-negative integer');
+    expect(() => parseFilterTree({ and: [{ field: 'name', op: 'eq', value: 'x' }], or: [] })).toThrow('filter must have a single and, or or not key');
+  });
+
+  test('limits the depth and size of a tree', () => {
+    let deep = { field: 'name', op: 'eq', value: 'x' };
+    for (let level = 0; level < QUERY_LANGUAGE.MAX_DEPTH; level++) {
+      deep = { not: deep };
+    }
+    expect(() => parseFilterTree(deep)).toThrow(`is nested deeper than ${QUERY_LANGUAGE.MAX_DEPTH} levels`);
+
+    const wide = { or: Array.from({ length: QUERY_LANGUAGE.MAX_NODES }, () => ({ field: 'duration', op: 'gt', value: 1 })) };
+    expect(() => parseFilterTree(wide)).toThrow(`filter may have at most ${QUERY_LANGUAGE.MAX_NODES} nodes`);
+  });
+});
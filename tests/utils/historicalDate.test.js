@@ -0,0 +1,161 @@
+const {
+  parseHistoricalDate,
+  resolveBoundary,
+  formatBoundary,
+  closesEndPeriod,
+  coarsestPrecision
+} = require('../../src/utils/historicalDate');
+const { ERROR_MESSAGES } = require('../../src/config/constants');
+
+// { start, end } of a parsed period as ISO text, with its precision and approximate flag
+const period = (value, calendar) => {
+  const parsed = parseHistoricalDate(value, calendar);
+  return parsed && {
+    start: parsed.start.toISOString(),
+    end: parsed.end.toISOString(),
+    precision: parsed.precision,
+    approximate: parsed.approximate
+  };
+};
+
+const iso = (date) => (date ? date.toISOString() : null);
+
+describe('parseHistoricalDate', () => {
+  test('reads a year, a month, a season and a day as the whole period', () => {
+    expect(period('1450')).toEqual({
+      start: '1450-01-01T00:00:00.000Z', end: '1451-01-01T00:00:00.000Z', precision: 'year', approximate: false
+    });
+    expect(period('1066-05')).toMatchObject({ start: '1066-05-01T00:00:00.000Z', end: '1066-06-01T00:00:00.000Z', precision: 'month' });
+    expect(period('winter 1066')).toMatchObject({ start: '1066-12-01T00:00:00.000Z', end: '1067-03-01T00:00:00.000Z', precision: 'month' });
+    expect(period('1066-10-14')).toMatchObject({ start: '1066-10-14T00:00:00.000Z', end: '1066-10-15T00:00:00.000Z', precision: 'day' });
+  });
+
+  test('reads an exact instant at minute precision', () => {
+    expect(period('2023-01-05T10:30:00Z')).toMatchObject({
+      start: '2023-01-05T10:30:00.000Z', end: '2023-01-05T10:30:00.000Z', precision: 'minute'
+    });
+  });
+
+  test('reads BCE years with an era or as signed astronomical ISO years', () => {
+    const fiveHundredBce = { start: '-000499-01-01T00:00:00.000Z', end: '-000498-01-01T00:00:00.000Z', precision: 'year' };
+    expect(period('500 BCE')).toMatchObject(fiveHundredBce);
+    expect(period('500 BC')).toMatchObject(fiveHundredBce);
+    expect(period('-0499')).toMatchObject(fiveHundredBce);
+    expect(period('spring 480 BC')).toMatchObject({ start: '-000479-03-01T00:00:00.000Z', precision: 'month' });
+    expect(period('-0043-03-15')).toMatchObject({ start: '-000043-03-15T00:00:00.000Z', precision: 'day' });
+    expect(period('AD 79')).toMatchObject({ start: '0079-01-01T00:00:00.000Z', precision: 'year' });
+  });
+
+  test('marks circa and question-marked dates as approximate', () => {
+    expect(period('circa 1450')).toMatchObject({ start: '1450-01-01T00:00:00.000Z', approximate: true });
+    expect(period('c. 1450').approximate).toBe(true);
+    expect(period('1450?').approximate).toBe(true);
+  });
+
+  test('converts Julian, Hijri and Hebrew dates to the Gregorian period they cover', () => {
+    expect(period('1066-10-14', 'julian')).toMatchObject({ start: '1066-10-20T00:00:00.000Z', precision: 'day' });
+    expect(period('44 BC', 'julian')).toMatchObject({ start: '-000044-12-30T00:00:00.000Z', precision: 'year' });
+    expect(period('1445-09', 'hijri')).toMatchObject({
+      start: '2024-03-11T00:00:00.000Z', end: '2024-04-10T00:00:00.000Z', precision: 'month'
+    });
+    expect(period({ date: '5784-07-01T18:00Z', calendar: 'hebrew' })).toMatchObject({
+      start: '2023-09-16T18:00:00.000Z', precision: 'minute'
+    });
+  });
+
+  test('returns null for unreadable dates', () => {
+    expect(period('2023-02-30')).toBeNull();
+    expect(period('44')).toBeNull();
+    expect(period('0 BCE')).toBeNull();
+    expect(period('1450 BCE', 'hijri')).toBeNull();
+    expect(period('1450', 'mayan')).toBeNull();
+    expect(period('')).toBeNull();
+  });
+});
+
+describe('resolveBoundary', () => {
+  test('stores a start date at the beginning of its period, with the period in its bounds', () => {
+    const start = resolveBoundary('1450', 'start', 'start_date');
+
+    expect(iso(start.date)).toBe('1450-01-01T00:00:00.000Z');
+    expect(start.earliest).toBeNull();
+    expect(iso(start.latest)).toBe('1451-01-01T00:00:00.000Z');
+    expect(start.precision).toBe('year');
+  });
+
+  test('stores an end date at the end of its period only when the period is closed', () => {
+    const closed = resolveBoundary('1450', 'end', 'end_date', {}, 'gregorian', true);
+    expect(iso(closed.date)).toBe('1451-01-01T00:00:00.000Z');
+    expect(iso(closed.earliest)).toBe('1450-01-01T00:00:00.000Z');
+    expect(closed.latest).toBeNull();
+
+    const open = resolveBoundary('1450', 'end', 'end_date', {}, 'gregorian', false);
+    expect(iso(open.date)).toBe('1450-01-01T00:00:00.000Z');
+    expect(open.earliest).toBeNull();
+    expect(iso(open.latest)).toBe('1451-01-01T00:00:00.000Z');
+  });
+
+  test('widens the bounds of approximate dates, and takes explicit bounds over derived ones', () => {
+    const circa = resolveBoundary('circa 1450', 'start', 'start_date');
+    expect(iso(circa.earliest)).toBe('1445-01-01T00:00:00.000Z');
+    expect(iso(circa.latest)).toBe('1456-01-01T00:00:00.000Z');
+
+    const explicit = resolveBoundary('1450', 'start', 'start_date', { earliest: '1440', latest: '1455' });
+    expect(iso(explicit.earliest)).toBe('1440-01-01T00:00:00.000Z');
+    expect(iso(explicit.latest)).toBe('1456-01-01T00:00:00.000Z');
+  });
+
+  test('reads the date and its bounds in the given calendar', () => {
+    const start = resolveBoundary('1445-09-01', 'start', 'start_date', {}, 'hijri');
+    expect(iso(start.date)).toBe('2024-03-11T00:00:00.000Z');
+    expect(start.precision).toBe('day');
+  });
+
+  test('rejects unreadable dates, bounds that do not surround the date and dates outside the supported range', () => {
+    expect(() => resolveBoundary('nonsense', 'start', 'start_date')).toThrow(`${ERROR_MESSAGES.INVALID_DATE}: start_date`);
+    expect(() => resolveBoundary('1450', 'start', 'start_date', { earliest: '1451' }))
+      .toThrow(`${ERROR_MESSAGES.DATE_BOUNDS_OUTSIDE}: start_date`);
+    expect(() => resolveBoundary('10000 BCE', 'start', 'start_date')).toThrow(`${ERROR_MESSAGES.DATE_OUT_OF_RANGE}: start_date`);
+    // The circa margin reaches past 4713 BCE
+    expect(() => resolveBoundary('circa 4713 BCE', 'start', 'start_date')).toThrow(ERROR_MESSAGES.DATE_OUT_OF_RANGE);
+    expect(iso(resolveBoundary('4713 BCE', 'start', 'start_date').date)).toBe('-004712-01-01T00:00:00.000Z');
+  });
+});
+
+describe('closesEndPeriod', () => {
+  test('follows end_period_closed when given, and else a stated precision coarser than minute', () => {
+    expect(closesEndPeriod({ date_precision: 'year' })).toBe(true);
+    expect(closesEndPeriod({ date_precision: 'minute' })).toBe(false);
+    expect(closesEndPeriod({})).toBe(false);
+    expect(closesEndPeriod({ date_precision: 'year', end_period_closed: false })).toBe(false);
+    expect(closesEndPeriod({ end_period_closed: true })).toBe(true);
+  });
+});
+
+describe('coarsestPrecision', () => {
+  test('picks the coarsest valid precision, minute by default', () => {
+    expect(coarsestPrecision('day', 'year', 'bogus')).toBe('year');
+    expect(coarsestPrecision()).toBe('minute');
+  });
+});
+
+describe('formatBoundary', () => {
+  test('writes text that resolves back to the stored date and bounds', () => {
+    const cases = [
+      ['circa 1450', 'start', true],
+      ['spring 480 BC', 'start', true],
+      ['1450', 'end', true],
+      ['1450', 'end', false],
+      ['2023-01-05T10:30:00Z', 'end', true]
+    ];
+
+    cases.forEach(([value, role, closesPeriod]) => {
+      const stored = resolveBoundary(value, role, role, {}, 'gregorian', closesPeriod);
+      const text = formatBoundary(stored, role, stored.precision, closesPeriod);
+      const readBack = resolveBoundary(text, role, role, {}, 'gregorian', closesPeriod);
+
+      expect([iso(readBack.date), iso(readBack.earliest), iso(readBack.latest)])
+        .toEqual([iso(stored.date), iso(stored.earliest), iso(stored.latest)]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// The filterable paths are read from the environment when the constants load
+process.env.SEARCH_METADATA_FIELDS = 'region:text,tags:array,research_value:number,excavated:date';
+
+const { isMetadataParameter, readMetadataFilter, parseMetadataFilters } = require('../../src/utils/metadataFilter');
+
+describe('parseMetadataFilters', () => {
+  test('reads plain and repeated parameters as equality, bracketed ones by their operator', () => {
+    const filters = parseMetadataFilters({
+      'metadata.region': ['Europe', 'Asia'],
+      'metadata.research_value': { gte: '5', lt: '9.5' },
+      'metadata.tags': { exists: 'false' },
+      name: 'ignored'
+    });
+
+    expect(filters).toEqual([
+      { path: ['region'], type: 'text', operator: 'eq', value: ['Europe', 'Asia'] },
+      { path: ['research_value'], type: 'number', operator: 'gte', value: 5 },
+      { path: ['research_value'], type: 'number', operator: 'lt', value: 9.5 },
+      { path: ['tags'], type: 'array', operator: 'exists', value: false }
+    ]);
+  });
+
+  test('reads date values as the period they denote', () => {
+    const [filter] = parseMetadataFilters({ 'metadata.excavated': { lte: '500 BCE' } });
+
+    expect(filter.value.start.toISOString()).toBe('-000499-01-01T00:00:00.000Z');
+    expect(filter.value.end.toISOString()).toBe('-000498-01-01T00:00:00.000Z');
+  });
+
+  test('rejects paths outside the allow-list, unsupported operators and unreadable values', () => {
+    expect(() => parseMetadataFilters({ 'metadata.secret': 'x' })).toThrow(
+      'metadata.secret cannot be filtered on (filterable: metadata.region, metadata.tags, metadata.research_value, metadata.excavated)'
+    );
+    expect(() => parseMetadataFilters({ 'metadata.region': { gt: 'a' } })).toThrow('metadata.region does not support [gt]');
+    expect(() => parseMetadataFilters({ 'metadata.research_value': 'lots' })).toThrow('metadata.research_value must be a number');
+    expect(() => parseMetadataFilters({ 'metadata.excavated': 'someday' })).toThrow('must be an ISO 8601 or historical date');
+    expect(() => parseMetadataFilters({ 'metadata.region': { exists: 'maybe' } })).toThrow('[exists] must be true or false');
+  });
+});
+
+describe('readMetadataFilter', () => {
+  test('takes numbers for number paths, as JSON filter trees give them', () => {
+    expect(readMetadataFilter('metadata.research_value', 'gt', 7).value).toBe(7);
+    expect(() => readMetadataFilter('metadata.region', 'eq', 7)).toThrow('takes a single string per operator');
+  });
+
+  test('isMetadataParameter recognises metadata.<path> names only', () => {
+    expect(isMetadataParameter('metadata.region')).toBe(true);
+    expect(isMetadataParameter('metadata')).toBe(false);
+  });
+});
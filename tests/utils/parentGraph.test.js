@@ -0,0 +1,70 @@
+const { PARENT_ERROR_TYPES, findExternalParentIds, resolveInsertionLevels } = require('../../src/utils/parentGraph');
+
+const row = (lineNumber, eventId, parentId = null) => ({ lineNumber, eventId, parentId });
+
+describe('findExternalParentIds', () => {
+  test('lists parents that are not staged, once each', () => {
+    const rows = [row(1, 'a', 'x'), row(2, 'b', 'a'), row(3, 'c', 'x'), row(4, 'd', 'y')];
+    expect(findExternalParentIds(rows).sort()).toEqual(['x', 'y']);
+  });
+});
+
+describe('resolveInsertionLevels', () => {
+  test('puts every child one level below its parent, whatever the row order', () => {
+    const rows = [row(1, 'grandchild', 'child'), row(2, 'child', 'root'), row(3, 'root'), row(4, 'other')];
+    const { levels, errors, maxLevel } = resolveInsertionLevels(rows);
+
+    expect(errors).toEqual([]);
+    expect(Object.fromEntries(levels)).toEqual({ 1: 2, 2: 1, 3: 0, 4: 0 });
+    expect(maxLevel).toBe(2);
+  });
+
+  test('starts rows whose parent is already stored at level 0', () => {
+    const { levels, errors } = resolveInsertionLevels([row(1, 'a', 'stored'), row(2, 'b', 'a')], new Set(['stored']));
+
+    expect(errors).toEqual([]);
+    expect(Object.fromEntries(levels)).toEqual({ 1: 0, 2: 1 });
+  });
+
+  test('reports a dangling parent and rejects the rows below it', () => {
+    const { levels, errors } = resolveInsertionLevels([row(1, 'a', 'missing'), row(2, 'b', 'a'), row(3, 'c')]);
+
+    expect(Object.fromEntries(levels)).toEqual({ 3: 0 });
+    expect(errors.map(({ lineNumber, type }) => [lineNumber, type])).toEqual([
+      [1, PARENT_ERROR_TYPES.DANGLING_PARENT],
+      [2, PARENT_ERROR_TYPES.REJECTED_PARENT]
+    ]);
+    expect(errors[0].message).toBe('Parent event missing not found (dangling reference)');
+    // Rows further down carry the root cause
+    expect(errors[1].message).toBe(`Parent event a was rejected (${errors[0].message})`);
+  });
+
+  test('reports every row of a parent cycle, and the rows hanging off it as rejected', () => {
+    const rows = [row(1, 'a', 'c'), row(2, 'b', 'a'), row(3, 'c', 'b'), row(4, 'd', 'b'), row(5, 'self', 'self')];
+    const { levels, errors, maxLevel } = resolveInsertionLevels(rows);
+
+    expect(levels.size).toBe(0);
+    expect(maxLevel).toBe(-1);
+    expect(errors.map(({ lineNumber, type }) => [lineNumber, type])).toEqual([
+      [1, PARENT_ERROR_TYPES.PARENT_CYCLE],
+      [2, PARENT_ERROR_TYPES.PARENT_CYCLE],
+      [3, PARENT_ERROR_TYPES.PARENT_CYCLE],
+      [4, PARENT_ERROR_TYPES.REJECTED_PARENT],
+      [5, PARENT_ERROR_TYPES.PARENT_CYCLE]
+    ]);
+    expect(errors[0].message).toMatch(/^Parent cycle detected: /);
+    expect(errors[4].message).toBe('Parent cycle detected: self -> self');
+  });
+
+  test('resolves a repeated event ID through the parent its own line names', () => {
+    const rows = [row(1, 'a'), row(2, 'b', 'a'), row(3, 'a', 'b'), row(4, 'b', 'gone'), row(5, 'b')];
+    const { levels, errors } = resolveInsertionLevels(rows);
+
+    // Line 3 would make a its own grandparent; line 4 names a parent that does not exist
+    expect(errors.map(({ lineNumber, type }) => [lineNumber, type])).toEqual([
+      [3, PARENT_ERROR_TYPES.PARENT_CYCLE],
+      [4, PARENT_ERROR_TYPES.DANGLING_PARENT]
+    ]);
+    expect(Object.fromEntries(levels)).toEqual({ 1: 0, 2: 1, 5: 0 });
+  });
+});
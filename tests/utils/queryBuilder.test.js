@@ -0,0 +1,121 @@
+// The filterable paths are read from the environment when the constants load
+process.env.SEARCH_METADATA_FIELDS = 'region:text,tags:array,research_value:number,excavated:date';
+
+const { buildWhereClause, buildKeysetCondition, summarizeBatchInsert } = require('../../src/utils/queryBuilder');
+const { parseFilterTree } = require('../../src/utils/filterTree');
+const { parseMetadataFilters } = require('../../src/utils/metadataFilter');
+
+// Dates are bound as Date values; compare them as ISO text
+const bound = (values) => values.map(value => (value instanceof Date ? value.toISOString() : value));
+
+describe('buildWhereClause with a filter tree', () => {
+  test('compiles and, or and not nodes, binding each leaf value', () => {
+    const filterTree = parseFilterTree({
+      and: [
+        { field: 'name', op: 'contains', value: '50%_off' },
+        { or: [
+          { field: 'start_date', op: 'gt', value: '1450' },
+          { not: { field: 'description', op: 'exists', value: true } }
+        ] },
+        { field: 'metadata.tags', op: 'eq', value: ['pottery', 'coins'] },
+        { field: 'parent', op: 'in', value: ['aaaaaaaa-0000-4000-8000-000000000000'] }
+      ]
+    });
+
+    const { whereClause, values } = buildWhereClause({ filterTree });
+
+    expect(whereClause).toBe(
+      'WHERE deleted_at IS NULL AND (event_name ILIKE $1'
+      + ' AND (start_date >= $2 OR NOT COALESCE(COALESCE(description, \'\') <> \'\', FALSE))'
+      + ' AND (metadata @> $3::jsonb OR metadata @> $4::jsonb)'
+      + ' AND parent_event_id = ANY($5::uuid[]))'
+    );
+    // LIKE wildcards in the text match literally; gt 1450 starts after the year 1450
+    expect(bound(values)).toEqual([
+      '%50\\%\\_off%',
+      '1451-01-01T00:00:00.000Z',
+      '{"tags":["pottery"]}',
+      '{"tags":["coins"]}',
+      ['aaaaaaaa-0000-4000-8000-000000000000']
+    ]);
+  });
+
+  test('compares date leaves by their period', () => {
+    const condition = (op) => {
+      const { whereClause, values } = buildWhereClause({ filterTree: parseFilterTree({ field: 'end_date', op, value: '1450' }) });
+      return [whereClause.replace('WHERE deleted_at IS NULL AND ', ''), bound(values)];
+    };
+
+    expect(condition('eq')).toEqual(['(end_date >= $1 AND end_date < $2)', ['1450-01-01T00:00:00.000Z', '1451-01-01T00:00:00.000Z']]);
+    expect(condition('lt')).toEqual(['end_date < $1', ['1450-01-01T00:00:00.000Z']]);
+    expect(condition('lte')).toEqual(['end_date < $1', ['1451-01-01T00:00:00.000Z']]);
+  });
+});
+
+describe('buildWhereClause with metadata filters', () => {
+  test('matches text by containment, numbers and dates through their readers, and presence by path', () => {
+    const metadataFilters = parseMetadataFilters({
+      'metadata.region': ['Europe', 'Asia'],
+      'metadata.research_value': { gte: '5' },
+      'metadata.excavated': { lte: '1450' },
+      'metadata.tags': { exists: 'false' }
+    });
+
+    const { whereClause, values, paramCount } = buildWhereClause({ metadataFilters }, [], [], 2);
+
+    expect(whereClause).toBe(
+      'WHERE deleted_at IS NULL AND (metadata @> $3::jsonb OR metadata @> $4::jsonb)'
+      + ' AND metadata_numeric(metadata #>> $5::text[]) >= $6'
+      + ' AND metadata_timestamptz(metadata #>> $7::text[]) < $8'
+      + ' AND metadata #> $9::text[] IS NULL'
+    );
+    expect(bound(values)).toEqual([
+      '{"region":"Europe"}', '{"region":"Asia"}',
+      ['research_value'], 5,
+      ['excavated'], '1451-01-01T00:00:00.000Z',
+      ['tags']
+    ]);
+    expect(paramCount).toBe(9);
+  });
+
+  test('binds number equality as a list', () => {
+    const { whereClause, values } = buildWhereClause({ metadataFilters: parseMetadataFilters({ 'metadata.research_value': ['7', '8'] }) });
+
+    expect(whereClause).toBe('WHERE deleted_at IS NULL AND metadata_numeric(metadata #>> $1::text[]) = ANY($2::numeric[])');
+    expect(values).toEqual([['research_value'], [7, 8]]);
+  });
+});
+
+describe('buildKeysetCondition', () => {
+  test('reads on after the key in the order rows are fetched', () => {
+    const values = [];
+    const addParam = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    expect(buildKeysetCondition('start_date', 'event_id', 'ASC', ['2023-01-01', 'id-1'], addParam))
+      .toBe('(start_date, event_id) > ($1, $2)');
+    expect(buildKeysetCondition('start_date', 'event_id', 'DESC', ['2023-01-01', 'id-1'], addParam))
+      .toBe('(start_date, event_id) < ($3, $4)');
+    expect(values).toEqual(['2023-01-01', 'id-1', '2023-01-01', 'id-1']);
+  });
+});
+
+describe('summarizeBatchInsert', () => {
+  test('counts returned rows as inserted or updated, and the rest as skipped', () => {
+    const rows = [
+      { event_id: 'a', inserted: true },
+      { event_id: 'b', inserted: false },
+      { event_id: 'c', inserted: true }
+    ];
+
+    expect(summarizeBatchInsert(rows, 5)).toEqual({
+      events: [{ event_id: 'a' }, { event_id: 'b' }, { event_id: 'c' }],
+      inserted: 2,
+      updated: 1,
+      skipped: 2
+    });
+    expect(summarizeBatchInsert([], 0)).toEqual({ events: [], inserted: 0, updated: 0, skipped: 0 });
+  });
+});